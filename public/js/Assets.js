@@ -1,14 +1,10 @@
 import Sound from "./engine/Sound";
 import Sprite from "./engine/Sprite";
+import Serializer from "./engine/Serializer";
+import { BitmapFont } from "./engine/Font";
 
 export const sprites = {
-    grass: new Sprite("./media/temp/grass.png", [16,16], [0,0], [0.5, 0.5], {
-                        "DRY": {x:0, y:0},
-                        "NORMAL": {x:0, y:3},
-                        "WET": {x:0, y:6}
-					}),
 	player: new Sprite("./media/temp/player.png", [8,8], [1,0]),
-	water: new Sprite("./media/temp/water.png", [16,16]),
 	flame: new Sprite("./media/temp/flame.png", [4,4]),
 	playership: new Sprite("./media/spaceship_player.png", [48,48], [0,0], [0.5, 0.5], {
 		"PURPLE": {x: 0, y: 0},
@@ -42,6 +38,12 @@ export const sprites = {
 		"MISSILE_BLUE": {x: 1, y: 2},
 		"MISSILE_GREEN": {x: 2, y: 2},
 	}),
+	digits: new Sprite("./media/font_digits.png", [3, 5], [0,0], [0,0]),
+	tiles: new Sprite("./media/tiles_space.png", [16, 16], [0,0], [0,0]),
+};
+
+export const fonts = {
+	digits: new BitmapFont(sprites.digits, "0123456789+-"),
 };
 
 export const sounds = {
@@ -57,4 +59,6 @@ export const sounds = {
 			big: new Sound("./media/sounds/explosion_big.wav"),
 		}
 	}
-};
\ No newline at end of file
+};
+
+Serializer.registerResources({sprites, sounds});
@@ -24,10 +24,43 @@ export const canvasConfig = {
 	imageRendering: "pixelated"
 };
 
+
+/* -------------------------------------
+  				RENDERING
+   ------------------------------------- */
+
+/**
+ * The render layers in drawing order. The update layers (see GameObject.init) are only used for updating
+ * name: Set it as a gameObject's renderLayer to draw it on the layer
+ * sort: "insertion" (by update layer, then initialization), "y" (lower on the screen is on top) or "z" (by the gameObject's z)
+ * parallax: How much the layer moves with the camera (1: with the world, 0: stays on the screen)
+ * visible: Whenever the layer is drawn. It can be toggled with RenderLayer.get(name).visible
+ * updateLayers: The update layers drawn on the layer, the rest is drawn on the "default" layer
+ * @type {import("./engine/RenderLayer").RenderLayerConfig[]}
+ */
+export const renderLayers = [
+	{name: "background", updateLayers: [0]},
+	{name: "ships", updateLayers: [1, 10, 15]},
+	{name: "enemies", updateLayers: [20]},
+	{name: "missiles", updateLayers: [40]},
+	{name: "popups", updateLayers: [50]},
+	{name: "default"},
+];
+
 export const debugMode = {
 	isDebugOn: true,
 	Collider: {
 		bounds: false
+	},
+	Stats: {
+		/** Shows the stats (eg.: object pools) in the top left corner */
+		visible: false
+	},
+	Time: {
+		/** Pauses or resumes the game */
+		pauseKey: "KeyP",
+		/** Advances the paused game by one tick */
+		stepKey: "Period",
 	}
 };
 
@@ -61,8 +94,32 @@ export const collisionIgnoreMatrix = {
 	enemy: [colliderTags.missile],
 };
 
-/** How many times should the collision be checked between 2 positions */
+/**
+ * How many times should the collision be checked between 2 positions.
+ * Instead of raising it, make the fast colliders continuous (see Collider.continuous) */
 export const collisionIterations = 1;
 
 /** How close does 2 colliders can be before they collide */
-export const minCollisionDistance = 0.4;
\ No newline at end of file
+export const minCollisionDistance = 0.4;
+
+/** The size of the cells of the collision broadphase. About the size of the common colliders works best */
+export const collisionCellSize = 64;
+
+/** How many times a rigidbody pushes itself out of the colliders it moved into in a tick */
+export const rigidbodyIterations = 4;
+
+
+/* -------------------------------------
+  				  TIME
+   ------------------------------------- */
+export const timeConfig = {
+	/** How many simulation ticks are run per second */
+	tickRate: 60,
+	/** The maximum amount of ticks simulated in a single frame.
+	 * If the game falls further behind (eg.: after a stall) the remaining time is dropped */
+	maxTicksPerFrame: 5,
+	/**
+	 * The layers that are updated even while the game is paused and ignore the time scale (eg.: UI).
+	 * The camera's layer, so it keeps following and shaking in slow motion */
+	unscaledLayers: [60],
+};
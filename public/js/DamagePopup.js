@@ -0,0 +1,51 @@
+import GameObject from "./engine/GameObject";
+import { Vector2 } from "./engine/Struct";
+import Text from "./engine/Text";
+import Pool from "./engine/Pool";
+import { fonts } from "./Assets";
+
+/**
+ * The damage dealt by a hit, floating up from it and fading away
+ */
+export default class DamagePopup extends GameObject {
+
+	/**
+	 * @param {Vector2} position
+	 * @param {Number} damage
+	 * @param {?String} color The colour of the ship that dealt the damage (see ShipLayout.popupColor), null for the font's own colours
+	 */
+	constructor(position, damage, color = null) {
+		super();
+		/** @type {Text} */
+		this.text = this.addComponent(new Text("", fonts.digits, {align: "center", verticalAlign: "bottom"}));
+		this.reset(position, damage, color);
+	}
+
+	/**
+	 * Sets the popup up again. Called by the pool when the popup is reused
+	 * @param {Vector2} position
+	 * @param {Number} damage
+	 * @param {?String} color The colour of the ship that dealt the damage (see ShipLayout.popupColor), null for the font's own colours
+	 */
+	reset(position, damage, color = null) {
+		this.localPosition = position.clone();
+		this.text.text = `${Math.round(damage)}`;
+		this.text.color = color;
+		this.spriteAlpha = 1;
+		this.life = 0;
+	}
+
+	get lifeTime() {return 40;}
+
+	update(tick) {
+		this.life++;
+		this.localPosition = this.localPosition.add(new Vector2(0, -0.5));
+		// Fading out during the second half
+		this.spriteAlpha = Math.min(1, 2 * (1 - this.life / this.lifeTime));
+		if (this.life >= this.lifeTime)
+			this.destroy();
+	}
+}
+
+/** @type {Pool} */
+DamagePopup.pool = new Pool("DamagePopups", (...args) => new DamagePopup(...args));
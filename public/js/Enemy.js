@@ -1,14 +1,19 @@
 import Ship from "./Ship";
-import { asFunction } from "./engine/Utils";
+import { asFunction, decide } from "./engine/Utils";
 import { Vector2, Rect } from "./engine/Struct";
 import GameObject from "./engine/GameObject";
 import Sprite from "./engine/Sprite";
 import { sprites, sounds } from "./Assets";
-import BoxCollider from "./engine/BoxCollider";
+import Collider from "./engine/Collider";
 import { colliderTags } from "./Config";
 import Explosion from "./Explosion";
 import NetworkManager from "./engine/Networking";
-import * as Utils from "./engine/Utils";
+import Serializer from "./engine/Serializer";
+import Prefab from "./engine/Prefab";
+import Player from "./Player";
+import { waitTicks } from "./engine/Coroutine";
+import Random from "./engine/Random";
+import Camera from "./engine/Camera";
 
 /** @public */
 export default class Enemy extends Ship {
@@ -20,10 +25,11 @@ export default class Enemy extends Ship {
 	 * @param {Number | function(Number):Vector2} options.speed
 	 * @param {Sprite | function(Number):Sprite} options.sprite
 	 * @param {Rect | function(Number):Rect} options.spriteRect
+	 * @param {String} options.label The sprite label
 	*/
 	constructor(position, options) {
 		const _sprite = asFunction(options.sprite, sprites.enemies.basic);
-		super(_sprite(), "BASIC", 20);
+		super(_sprite(), options.label || "BASIC");
 		
 		if (options == null)
 			options = {};
@@ -35,13 +41,23 @@ export default class Enemy extends Ship {
 		/** @type {function():Number}*/
 		this._speed = asFunction(options.speed, 1);
 
-		this.collider = this.addComponent(new BoxCollider(colliderTags.enemy, [20, 20], [0,0], true));
-	
 		//this.sprite = this.spriteGetter(0);
 		this.spriteRect = this.spriteRectGetter(0);
 		this.spriteFlipY = true;
+		/**
+		 * How fast the enemy moves sideways towards the nearest player. 0 for enemies flying straight
+		 * @type {Number} */
+		this.tracking = 0;
 		this.destroy(500);
 	}
+
+	/** @type {String[]} */
+	static get serializedFields() { return [...super.serializedFields, "tracking"]; }
+
+	/** 
+	 * The collider added by the prefab
+	 * @type {Collider} */
+	get collider() { return this.getComponent(Collider); }
 	/**
 	 * 
 	 * @param {import("./engine/Collider").Collider} other 
@@ -52,18 +68,30 @@ export default class Enemy extends Ship {
 	}
 
 	onDeath() {
-		const explosionSize = Utils.mobileAndTabletCheck() ? 3 : 10;
-		GameObject.init(new Explosion(this.position, explosionSize));
+		GameObject.init(Explosion.pool.acquire(this.position, 10));
 		sounds.SOUND.explosions.big.playOnce();
+		Camera.shake(0.3);
 		this.destroy();
 	}
 
 
 	get speed() { return this._speed(this.lifetime);}
 
-	get move() { return this._move(this.lifetime); }
+	get move() {
+		const move = this._move(this.lifetime);
+		if (this.tracking <= 0)
+			return move;
+		const target = this.scene.nearest(Player, this.position);
+		if (target == null)
+			return move;
+		const distance = target.position.x - this.position.x;
+		return new Vector2(Math.min(Math.max(distance / 30, -1), 1) * this.tracking, move.y);
+	}
 }
 
+Serializer.register(Enemy, (fields) => new Enemy(fields.localPosition, {}));
+Prefab.register(Enemy, (fields) => new Enemy(fields.localPosition, {label: fields.label}));
+
 
 
 
@@ -73,37 +101,57 @@ export class Spawner extends GameObject {
 	constructor() {
 		super();
 		this.hidden = true;
-		this.currentDelay = this.delay;
 		this.host = true;
-		NetworkManager.onMessage("spawnEnemy", (data) => {this.onSpawn(data);});
+		/** @private */
+		this._onSpawnMessage = (data) => {this.onSpawn(data);};
+		NetworkManager.onMessage("spawnEnemy", this._onSpawnMessage);
+	}
+
+	onInit() {
+		this.startCoroutine(this.spawnEnemies);
+	}
+
+	onDestroy() {
+		NetworkManager.offMessage("spawnEnemy", this._onSpawnMessage);
 	}
 
 	onSpawn(data) {
 		if (!this.enabled)
 			return;
-		GameObject.init(new Enemy(data.position, {}), 20);
+		GameObject.instantiate(data.prefab, data.position);
 		console.log(data);
 	}
 
-	update() {
-		if (!this.host)
-			return;
-		this.currentDelay--;
-		if (this.currentDelay > 0)
-			return;
-		
-		const position = this.position;
-		GameObject.init(new Enemy(position, {}), 20);
-		this.currentDelay = this.delay;
-		NetworkManager.sendMessage("spawnEnemy", {position});
+	/** Spawns a random enemy after a random delay, until the spawner is destroyed */
+	*spawnEnemies() {
+		while (true) {
+			// The clients spawn the enemies when the host tells them to, so they don't use the gameplay stream
+			if (!this.host) {
+				yield;
+				continue;
+			}
+			yield waitTicks(this.delay);
+			const position = this.position;
+			const prefab = this.prefab;
+			GameObject.instantiate(prefab, position);
+			NetworkManager.sendMessage("spawnEnemy", {position, prefab});
+		}
 	}
 
 	get position() {
-		return new Vector2(Math.random() * 580 + 30, -10);
+		return new Vector2(Random.gameplay.range(30, 610), -10);
+	}
+
+	/**
+	 * A random enemy prefab
+	 * @type {String} */
+	get prefab() {
+		const names = Prefab.namesOfType("Enemy");
+		return decide(names.map(() => 1), names, Random.gameplay);
 	}
 
 	get delay() {
-		return Math.floor(Math.random() * 50 + 10);
+		return Random.gameplay.int(10, 60);
 	}
 }
 
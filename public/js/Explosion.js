@@ -2,6 +2,10 @@ import GameObject from "./engine/GameObject";
 import { Vector2 } from "./engine/Struct";
 import { Particle, ParticleSystem } from "./engine/ParticleSystem";
 import { sprites } from "./Assets";
+import { blendModes } from "./engine/Sprite";
+import Pool from "./engine/Pool";
+import Serializer from "./engine/Serializer";
+import Random from "./engine/Random";
 
 
 
@@ -14,19 +18,15 @@ export default class Explosion extends GameObject {
 	 */
 	constructor(position, size) {
 		super();
-		
-		this.position = position;
-		this.explosion_size = size;
-
-		this.destroy(size * 10);
 	
 		const particle = new Particle({
-			velocity: () => {return new Vector2(Math.random() - 0.5, Math.random() + 0.25).multiply(2); },
-			position: () => {return new Vector2(Math.random() - 0.5, Math.random() - 0.5).multiply(3);},
+			velocity: () => {return new Vector2(Random.cosmetic.next() - 0.5, Random.cosmetic.next() + 0.25).multiply(2); },
+			position: () => {return new Vector2(Random.cosmetic.next() - 0.5, Random.cosmetic.next() - 0.5).multiply(3);},
 			sprite: sprites.particles,
 			spriteRect: sprites.particles.getSpriteRect(0,0),
 			spriteAlpha: (life) => {return 1-life;},
 			renderingLayer: 20,
+			blendMode: blendModes.additive,
 		});
 		particle.onUpdate((object) => {
 			//console.log(object);
@@ -35,13 +35,34 @@ export default class Explosion extends GameObject {
 		this.particleSystem = this.addComponent(new ParticleSystem({
 			particles: [particle],
 			delay: 2000,
-			burst: size * 10,
 		}, true));
+		this.reset(position, size);
 	}
 
+	/**
+	 * Sets the explosion up again. Called by the pool when the explosion is reused
+	 * @param {Vector2} position 
+	 * @param {Number} size 
+	 */
+	reset(position, size) {
+		this.localPosition = position;
+		this.explosion_size = size;
+		this.particleSystem.burst = () => size * 10;
+
+		this.destroy(size * 10);
+	}
+
+
+	/** @type {String[]} */
+	static get serializedFields() { return [...super.serializedFields, "explosion_size"]; }
 
 	update() {
 		//console.log("updated");
 	}
 
-}
\ No newline at end of file
+}
+
+/** @type {Pool} */
+Explosion.pool = new Pool("Explosions", (...args) => new Explosion(...args));
+
+Serializer.register(Explosion, (fields) => Explosion.pool.acquire(fields.localPosition, fields.explosion_size));
@@ -121,6 +121,10 @@ export const axisConfig = {
 		dead: 0.1,
 		radius: 50,
 		minimumChange: 0.001,
+	},
+	3: {	// Virtual
+		dead: 0,
+		minimumChange: 0.001,
 	}
 };
 
@@ -1,211 +1,123 @@
 import { main } from "./engine/run";
-import GameObject from './engine/GameObject';
-import { sounds, sprites } from "./Assets";
-import Player from './Player';
+import Scene from "./engine/Scene";
+import Serializer from "./engine/Serializer";
+import Prefab from "./engine/Prefab";
+import Tilemap from "./engine/Tilemap";
+import Random from "./engine/Random";
+import { ReplayPlayer } from "./engine/Replay";
 import * as Input from "./Input";
 import NetworkManager from "./engine/Networking";
-import { ParticleSystem, Particle } from "./engine/ParticleSystem";
-import { Vector2 } from "./engine/Struct";
-import * as Utils from "./engine/Utils";
-import { Spawner } from "./Enemy";
 import Slider from "./Slider";
-import { canvasConfig } from "./Config";
+import { session, SpaceScene, MenuScene, LobbyBrowserScene, LobbyScene, GameplayScene, ReplayScene } from "./Scenes";
 
 document.title = "Spaceships";
 
-window.players = [];
-
-/** @type {("PURPLE" | "BLUE" | "GREEN")} */
-const playerColor = null;
-
-const ui = document.querySelector(canvasConfig.uiContainerQuery);
-const startText = document.querySelector("#startText");
-const menu = document.querySelector("#menu");
-const lobbies = document.querySelector("#lobbies");
+/** The files with the ship and enemy definitions */
+const prefabFiles = ["./data/ships.json", "./data/enemies.json"];
+/** The files with the tilemaps */
+const mapFiles = ["./data/maps/space.json"];
 
 
 customElements.define('game-slider', Slider);
 
-const spawner = new Spawner();
-let isInLobby = false;
-let isHost = true;
-let isStarted = false;
-spawner.enabled = false;
-
-let couchMode = false;
-
-const particleHolder = GameObject.init(new GameObject(), 0);
-const players = [];
 window.main = main(() => {
-	
+
 	Input.OnNewControllerListener(onNewController);
-	InitStarParticles();
-	GameObject.init(spawner);
+	Promise.all([Prefab.load(...prefabFiles), Tilemap.load(...mapFiles)])
+		.then(() => Scene.load(new MenuScene()))
+		// The scenes can't be built without the definitions, the game stays on the empty scene
+		.catch(error => console.error("Couldn't load the game data", error));
 });
 
 
 
 /**
- * 
- * @param {import("./engine/InputManager").Inputs} input 
- * @param {*} id 
+ *
+ * @param {import("./engine/InputManager").Inputs} input
+ * @param {*} id
  */
-function onNewController(input, id) {		
-	const health = document.createElement("game-slider");
-	ui.appendChild(health);
+function onNewController(input, id) {
+	session.controllers[id] = {input, color: null};
 
-	const player = new Player(input, playerColor, health);
-	players.push(player);
 	Input.OnGetControllerState(id, () => {
-		return {position: player.localPosition, color: player.label, health: player.health};
+		return (Scene.current instanceof SpaceScene) ? Scene.current.getPlayerState(id) : {};
 	});
 
 	Input.OnSetControllerState(id, (data) => {
 		console.log(data);
-		if (data) {
-			player.localPosition = data.position;
-			player.label = data.color;
-			health.value = data.health;
-		}
+		if (Scene.current instanceof SpaceScene)
+			Scene.current.setPlayerState(id, data);
 	});
-	
+
 	Input.OnControllerRemoved(id, () => {
-		player.clearThrusters();
-		player.onDeath();
-		health.remove();
+		delete session.controllers[id];
+		if (Scene.current instanceof SpaceScene)
+			Scene.current.removePlayer(id);
 		console.log("Player removed!");
 	});
-	
-	input.Buttons.A.onPressed(StartGame);
-
 
-	GameObject.init(player, 10);
-}
-
-function checkCouchMode() {
-	if (!couchMode)
-		return;
-	particleHolder.enabled = false;
-	spawner.enabled = false;
-	ui.style.display = "none";
+	// The scenes spawn the players of the already connected controllers on load
+	if (Scene.current instanceof SpaceScene)
+		Scene.current.addPlayer(id);
 }
 
-function StartGame() {
-	if (!isInLobby || isStarted || !isHost)
+/**
+ * Downloads the replay of the current or the last hosted match, so it can be attached to a bug report.
+ * Call it from the browser's console
+ */
+window.saveReplay = () => {
+	const recorder = (Scene.current instanceof GameplayScene) ? Scene.current.recorder : null;
+	const replay = (recorder != null && recorder.isRecording) ? recorder.replay : session.replay;
+	if (replay == null) {
+		console.warn("There's no replay to save");
 		return;
-	isStarted = true;
-	startText.remove();
-	spawner.enabled = true;
-	sounds.MUSIC.bgm.play();
-	NetworkManager.sendMessage("start game");
-}
+	}
+	const link = document.createElement("a");
+	link.href = URL.createObjectURL(new Blob([JSON.stringify(replay)], {type: "application/json"}));
+	link.download = "replay.json";
+	link.click();
+	URL.revokeObjectURL(link.href);
+};
 
-NetworkManager.onMessage("start game", () => {
-	startText.style.display = "none";
-	spawner.enabled = !couchMode;
-	spawner.host = isHost;
-	checkCouchMode();
+/**
+ * Plays back a replay saved with saveReplay(). Call it from the browser's console
+ * @example
+ * 	const player = playReplay(await (await fetch("./replay.json")).json());
+ * 	player.seek(1200);
+ * @param {import("./engine/Replay").Replay} replay
+ * @returns {ReplayPlayer} For pausing, fast-forwarding and seeking the playback
+ */
+window.playReplay = (replay) => {
+	const player = new ReplayPlayer(replay, (player) => new ReplayScene(player));
+	player.play();
+	return player;
+};
+
+NetworkManager.onMessage("start game", ({seed}) => {
+	Scene.load(new GameplayScene(null, seed));
 });
 
-function InitStarParticles() {
-	const particle = new Particle({
-		position: () => [Math.random() * 640, -5],
-		velocity: () => [0, Math.random() * 0.3 + 0.5],
-		gravity: Vector2.zero,
-		sprite: sprites.stars,
-		spriteRect: () => {
-			const value = Utils.decide([100, 10, 1]);
-			return sprites.stars.getSpriteRect(value, 0);
-			},
-		lifespan: 1000,
-		renderingLayer: 0,
-	});
-
-	const particleSystem = new ParticleSystem({
-		particles: [particle],
-		delay: () => Math.random() * 50,
-	}, true);
-	particleHolder.addComponent(particleSystem);
-}
+NetworkManager.onMessage("end game", () => {
+	Scene.load(new LobbyScene());
+});
 
 NetworkManager.setStateGetter(() => {
-	return {isStarted};
+	const isStarted = Scene.current instanceof GameplayScene;
+	return {
+		isStarted,
+		objects: isStarted ? Serializer.serialize(Scene.current.gameObjects) : null,
+		random: Random.state,
+	};
 });
 
 
-NetworkManager.setStateSetter(({isStarted}) => {
-	startText.style.display = (isStarted) ? "none" : "block";
-	spawner.enabled = isStarted;
-	spawner.host = false;
+NetworkManager.setStateSetter(({isStarted, objects, random}) => {
+	if (isStarted)
+		Scene.load(new GameplayScene(objects, random));
 });
 
 
 NetworkManager.onLobbiesRefreshed((lobbylist) => {
-	while (lobbies.childElementCount > 1) {
-		lobbies.removeChild(lobbies.firstChild);
-	}
-
-
-	lobbylist.forEach((lobby) => {
-		const element = document.createElement("div");
-		element.innerText = lobby.lobbyName;
-		element.classList.add("button");
-		element.classList.add("lobby");
-
-		element.addEventListener("click", () => {
-			NetworkManager.connect(lobby);
-			lobbies.style.display = "none";
-			startText.innerText = "Waiting for host...";
-			startText.style.display = "block";
-			couchModeElement.style.display = "none";
-			isHost = false;
-			checkCouchMode();
-		});
-
-		lobbies.insertBefore(element, lobbies.firstChild);
-	});
-
+	if (Scene.current instanceof LobbyBrowserScene)
+		Scene.current.showLobbies(lobbylist);
 });
-
-document.querySelector("#local").addEventListener("click", (e) => {
-	isInLobby = true;
-	menu.style.display = "none";
-	couchModeElement.style.display = "none";
-	startText.innerText = "Press button A to start!";
-	startText.style.display = "block";
-});
-
-document.querySelector("#toMenu").addEventListener("click", (e) => {
-	menu.style.display = "block";
-	lobbies.style.display = "none";
-});
-
-document.querySelector("#host").addEventListener("click", (e) => {
-	isInLobby = true;
-	menu.style.display = "none";
-	startText.innerText = "Press button A to start!";
-	startText.style.display = "block";
-	NetworkManager.host(prompt("Lobby name"));
-});
-
-document.querySelector("#connect").addEventListener("click", (e) => {
-	NetworkManager.refreshLobbies();
-	lobbies.style.display = "block";
-	menu.style.display = "none";
-});
-
-const couchModeElement = document.querySelector("#couchMode");
-if (Utils.mobileAndTabletCheck()) {
-	couchModeElement.style.display = "block";
-}
-
-couchModeElement.addEventListener("click", () => {
-	couchMode = !couchMode;
-	if (couchMode) {
-		couchModeElement.innerText = "Couch Mode ON";
-		couchModeElement.classList.add("on");
-	} else {
-		couchModeElement.innerText = "Couch Mode OFF";
-		couchModeElement.classList.remove("on");
-	}
-});
\ No newline at end of file
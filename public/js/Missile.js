@@ -2,10 +2,15 @@ import GameObject from "./engine/GameObject";
 import { Vector2 } from "./engine/Struct";
 import { sprites, sounds } from "./Assets";
 import BoxCollider from "./engine/BoxCollider";
+import Rigidbody from "./engine/Rigidbody";
 import { colliderTags } from "./Config";
 import { ParticleSystem, Particle } from "./engine/ParticleSystem";
 import Explosion from "./Explosion";
-import * as Utils from './engine/Utils';
+import DamagePopup from "./DamagePopup";
+import Pool from "./engine/Pool";
+import Serializer from "./engine/Serializer";
+import Enemy from "./Enemy";
+import Random from "./engine/Random";
 
 
 export default class Missile extends GameObject {
@@ -15,40 +20,86 @@ export default class Missile extends GameObject {
 	 * @param {GameObject} ship 
 	 * @param {Vector2} offset 
 	 * @param {Number} damage
+	 * @param {Number} homing How much the missile can turn towards it's target in a tick (in radians)
+	 * @param {?String} popupColor The colour of the damage popup, null for the font's own colours
 	 */
-	constructor(label, ship, offset, damage = 10) {
+	constructor(label, ship, offset, damage = 10, homing = 0, popupColor = null) {
 		super();
 		this.sprite = sprites.missile;
+
+		/** @type {Particle} */
+		this.trail = new Particle({
+			velocity: () => {return new Vector2(Random.cosmetic.next() - 0.5, Random.cosmetic.next() + 4); },
+			sprite: sprites.particles,
+			spriteAlpha: (life) => {return 1-life;}
+		});
+		this.addComponent(new ParticleSystem({
+			particles: [this.trail],
+			delay: 5,
+		}, true));
+		this.addComponent(new Rigidbody({isKinematic: true}));
+
+		this.reset(label, ship, offset, damage, homing, popupColor);
+		const collider = this.addComponent(new BoxCollider(colliderTags.playerMissile, [5, 8], [0,0], true));
+		// A faster missile could skip over an enemy between two ticks
+		collider.continuous = true;
+	}
+
+	/**
+	 * Sets the missile up for a new shot. Called by the pool when the missile is reused
+	 * @param {String} label 
+	 * @param {GameObject} ship 
+	 * @param {Vector2} offset 
+	 * @param {Number} damage
+	 * @param {Number} homing How much the missile can turn towards it's target in a tick (in radians)
+	 * @param {?String} popupColor The colour of the damage popup, null for the font's own colours
+	 */
+	reset(label, ship, offset, damage = 10, homing = 0, popupColor = null) {
+		/** @type {String} */
+		this.label = label;
 		this.spriteRect = this.sprite.getSpriteFromLabel(label);
-		this.position = ship.position.add(new Vector2(offset));
+		this.trail.spriteRect = sprites.particles.getSpriteFromLabel(`MISSILE_${label}`, 0, 0);
+		// Moved without checking the collisions on the way
+		this.localPosition = ship.position.add(new Vector2(offset));
 
 		this.damage = damage;
+		this.homing = homing;
+		/** @type {?String} */
+		this.popupColor = popupColor;
+		this.rigidbody.velocity = new Vector2(0, -4);
+		this.localRotation = 0;
+		/** 
+		 * The enemy the missile is homing in on
+		 * @type {Enemy} */
+		this.target = null;
 		
 		this.destroy(this.lifeTime);
-		this.addComponent(new BoxCollider(colliderTags.playerMissile, [5, 8], [0,0], true));
-		if (!Utils.mobileAndTabletCheck()) {
-			let particle = new Particle({
-				velocity: () => {return new Vector2(Math.random() - 0.5, Math.random() + 4); },
-				sprite: sprites.particles,
-				spriteRect: sprites.particles.getSpriteFromLabel(`MISSILE_${label}`, 0, 0),
-				spriteAlpha: (life) => {return 1-life;}
-			});
-
-			this.addComponent(new ParticleSystem({
-				particles: [particle],
-				delay: 5,
-			}, true));
-		}
 	}
 
+	/** @type {String[]} */
+	static get serializedFields() { return [...super.serializedFields, "label", "damage", "homing", "popupColor", "target"]; }
+
 	get lifeTime() {return 150;}
 
 	update(tick) {
-		this.position = this.position.add(this.velocity);
+		if (this.homing > 0)
+			this.steer();
 	}
 
-	get velocity() {
-		return new Vector2(0, -4);
+	/** Turns the missile towards the nearest enemy in front of it */
+	steer() {
+		if (this.target == null || this.target.isDestroyed)
+			this.target = this.scene.nearest(Enemy, this.position, (enemy) => enemy.position.y < this.position.y);
+		if (this.target == null)
+			return;
+		const direction = this.target.position.substract(this.position);
+		const rigidbody = this.rigidbody;
+		const angle = Math.atan2(direction.y, direction.x) - Math.atan2(rigidbody.velocity.y, rigidbody.velocity.x);
+		// The shorter way around
+		const turn = Math.atan2(Math.sin(angle), Math.cos(angle));
+		rigidbody.velocity = rigidbody.velocity.rotate(Math.min(Math.max(turn, -this.homing), this.homing));
+		// The sprite points upwards
+		this.localRotation = Math.atan2(rigidbody.velocity.x, -rigidbody.velocity.y);
 	}
 
 	/** @param {import("./engine/Collider").Collider} other */
@@ -57,8 +108,15 @@ export default class Missile extends GameObject {
 			other.gameObject.hit(this.damage);
 			sounds.SOUND.explosions.normal.playOnce();
 			this.destroy();
-			GameObject.init(new Explosion(this.position, 1));
+			GameObject.init(Explosion.pool.acquire(this.position, 1));
+			GameObject.init(DamagePopup.pool.acquire(this.position, this.damage, this.popupColor), 50);
 		}
 	}
 
-}
\ No newline at end of file
+}
+
+/** @type {Pool} */
+Missile.pool = new Pool("Missiles", (...args) => new Missile(...args));
+
+// The position is set from the fields afterwards
+Serializer.register(Missile, (fields) => Missile.pool.acquire(fields.label, {position: fields.localPosition}, [0,0], fields.damage));
@@ -3,52 +3,88 @@ import {sprites, sounds} from './Assets';
 import * as Input from './Input';
 import { Vector2 } from './engine/Struct';
 import * as Utils from './engine/Utils';
-import BoxCollider from './engine/BoxCollider';
-import { colliderTags } from './Config';
 import Ship from './Ship';
 import Missile from './Missile';
 import Enemy from './Enemy';
 import Explosion from './Explosion';
-import Slider from './Slider';
+import Time from './engine/Time';
+import Camera from './engine/Camera';
+import Prefab from './engine/Prefab';
+
+/**
+ * @typedef {Object} ThrusterLayout
+ * @property {Number[]} default The offset of the thruster
+ * @property {Number[]} left The offset while the ship moves to the left
+ * @property {Number[]} right The offset while the ship moves to the right
+ * @property {("NORMAL" | "NORMAL2" | "WIDE" | "THIN")} width
+ */
+
+/**
+ * The parts of a ship that depend on it's colour
+ * @typedef {Object} ShipLayout
+ * @property {ThrusterLayout[]} thrusters
+ * @property {{DEFAULT: Number[][], LEFT: Number[][], RIGHT: Number[][]}} missiles The offsets of the missiles based on the ship's movement
+ * @property {Number} damage The damage of a missile
+ * @property {Number} homing How much the missiles turn towards the nearest enemy in a tick (in radians). 0 for straight missiles
+ * @property {String} popupColor The colour of the damage popups of the missiles, the font's own colours if it's missing
+ */
 
 export default class Player extends Ship {
-	constructor(input, label, healthSlider, x=310, y=280) {
-		super(sprites.playership, (label) ? label : Utils.decide([1,1,1], ["PURPLE", "GREEN", "BLUE"]));
+	/**
+	 * Use GameObject.instantiate("player", null, input, label, healthSlider) instead
+	 * @param {import("./engine/InputManager").Inputs} input
+	 * @param {String} label The colour of the ship. A random one is picked if it's null
+	 * @param {import("./Slider").default} healthSlider
+	 * @param {Object.<string, ShipLayout>} ships The ship layouts by their colours
+	 */
+	constructor(input, label, healthSlider, ships, x=310, y=280) {
+		const colours = Object.keys(ships);
+		super(sprites.playership, (label) ? label : Utils.decide(colours.map(() => 1), colours));
+		/** @type {Object.<string, ShipLayout>} */
+		this.ships = ships;
+		// The ships weren't set yet when Ship's constructor added them
+		this.addThrusters();
 
 		/** @type {Vector2} */
 		this.position = {x: x, y: y};
-		
-		this.addComponent(new BoxCollider(colliderTags.player, [24,24], [0,0], true));
 
  		/** @type {import("./engine/InputManager").Inputs} input */
 		this.input = input;
 
-		this.input.Buttons.A.onPressed(() => {this.onShoot();} );
+		/** @private */
+		this._onShootPressed = () => {this.onShoot();};
+		this.input.Buttons.A.onPressed(this._onShootPressed);
 		//this.input.Buttons.B.onPressed(() => {this.onBack();} );
 		this.shootDelay = 0;
-		/** @type {Slider} */
+		/** 
+		 * The health bar on the UI. Null when running headless
+		 * @type {import("./Slider").default} */
 		this.healthSlider = healthSlider;
-		this.healthSlider.maxValue = this.maxHealth;
 	}
 
-	addThrusters() {
-		switch (this.label) {
-			default:
-			case "PURPLE":
-				this.addThruster([-5, 21], [-6, 21], [-3, 21], "NORMAL2");
-				this.addThruster([6, 21], [4, 21], [7, 21], "NORMAL2");
-				break;
-			case "BLUE":
-				this.addThruster([0, 19], [-2, 19], [2, 19]);
-				break;
-			case "GREEN":
-				this.addThruster([0, 20], [-2, 20], [2, 20], "WIDE");
-				this.addThruster([-13, 20], [-14, 20], [-10, 20], "THIN");
-				this.addThruster([14, 20], [11, 20], [15, 20], "THIN");
-				break;
+	/** 
+	 * The layout of the ship's current colour
+	 * @type {ShipLayout} */
+	get ship() {
+		return (this.ships != null) ? this.ships[this.label] : null;
+	}
+
+	onInit() {
+		// The prefab's stats are only set after the constructor
+		if (this.healthSlider != null) {
+			this.healthSlider.maxValue = this.maxHealth;
+			this.healthSlider.value = this.health;
 		}
 	}
 
+	addThrusters() {
+		const ship = this.ship;
+		if (ship == null)
+			return;
+		for (const thruster of ship.thrusters)
+			this.addThruster(thruster.default, thruster.left, thruster.right, thruster.width);
+	}
+
 
 
 	onShoot() {
@@ -65,26 +101,9 @@ export default class Player extends Ship {
 	}
 
 	spawnMissiles() {
-		const positions = {
-			"PURPLE": {
-				"DEFAULT":[[-3.5, -14], [3.5, -14]],
-				"LEFT":   [[-5.5, -14], [0.5, -14]],
-				"RIGHT":  [[-0.5, -14], [5.5, -14]],
-			},
-			"GREEN": {
-				"DEFAULT":[[-8.5, 0], [8.5, 0]],
-				"LEFT":   [[-9.5, 0], [5.5, 0]],
-				"RIGHT":  [[-5.5, 0], [9.5, 0]],
-			},
-			"BLUE": {
-				"DEFAULT":[[-5.5, -8], [5.5, -8]],
-				"LEFT":   [[-7.5, -8], [3.5, -8]],
-				"RIGHT":  [[-3.5, -8], [7.5, -8]],
-			},
-		};
-
-
-
+		const ship = this.ship;
+		if (ship == null)
+			return;
 		const move = this.move;
 		const way = (Math.abs(move.x) <= 0.2) ?
 				"DEFAULT" : 
@@ -92,8 +111,8 @@ export default class Player extends Ship {
 					"LEFT" :
 					"RIGHT";
 
-		for (const pos of positions[this.label][way]) {
-			GameObject.init(new Missile(this.label, this, pos), 40);
+		for (const pos of ship.missiles[way]) {
+			GameObject.init(Missile.pool.acquire(this.label, this, pos, ship.damage, ship.homing, ship.popupColor), 40);
 		}
 	}
 
@@ -122,14 +141,22 @@ export default class Player extends Ship {
 
 	onDeath() {
 		super.onDeath();
-		this.clearThrusters();
-		const explosionSize = Utils.mobileAndTabletCheck() ? 5 : 15;
-		GameObject.init(new Explosion(this.position, explosionSize));
+		GameObject.init(Explosion.pool.acquire(this.position, 15));
 		sounds.SOUND.explosions.big.playOnce();
+		Camera.shake(0.6);
+
+		// Half a second of game time
+		Time.slowMotion(0.25, 120);
 	}
 
 	onHit() {
-		this.healthSlider.value = this.health;
+		super.onHit();
+		if (this.healthSlider != null)
+			this.healthSlider.value = this.health;
+	}
+
+	onDestroy() {
+		this.input.Buttons.A.offPressed(this._onShootPressed);
 	}
 
 	/**
@@ -149,3 +176,5 @@ export default class Player extends Ship {
 	}
 
 }
+
+Prefab.register(Player, (fields, input, label, healthSlider) => new Player(input, label, healthSlider, fields.ships));
@@ -0,0 +1,417 @@
+import Scene from "./engine/Scene";
+import GameObject from "./engine/GameObject";
+import Serializer from "./engine/Serializer";
+import NetworkManager from "./engine/Networking";
+import { Rect } from "./engine/Struct";
+import * as Utils from "./engine/Utils";
+import { sprites, sounds } from "./Assets";
+import { canvasConfig } from "./Config";
+import Player from "./Player";
+import { Spawner } from "./Enemy";
+import Random from "./engine/Random";
+import { ReplayRecorder } from "./engine/Replay";
+import Camera from "./engine/Camera";
+import Tilemap from "./engine/Tilemap";
+import Background, { StarLayer } from "./engine/Background";
+
+/**
+ * The state shared between the scenes
+ */
+export const session = {
+	/**
+	 * The connected controllers by their id
+	 * @type {Object.<string, {input: import("./engine/InputManager").Inputs, color: String}>} */
+	controllers: {},
+	/** Whenever this client is the one running the game */
+	isHost: true,
+	/** When it's on, the device is only used as a controller for the host */
+	couchMode: false,
+	/**
+	 * The replay of the last match hosted on this device
+	 * @type {import("./engine/Replay").Replay} */
+	replay: null,
+};
+
+function $(query) {return document.querySelector(query);}
+
+/**
+ * The base for every Spaceships scene.
+ * Creates the background, a ship for every controller and cleans up it's UI on unload
+ */
+export class SpaceScene extends Scene {
+
+	constructor() {
+		super();
+		/** @type {Object.<string, Player>} */
+		this.players = {};
+		/**
+		 * Follows the players and shakes on the big explosions
+		 * @type {Camera} */
+		this.camera = null;
+		/**
+		 * The starfield swaying with the players. The couch clients don't have it
+		 * @type {?Background} */
+		this.background = null;
+		/**
+		 * Called on unload
+		 * @private
+		 * @type {Function[]} */
+		this._cleanups = [];
+	}
+
+	/** True if the device is only used as a controller */
+	get isCouchClient() { return session.couchMode && !session.isHost; }
+
+	onLoad() {
+		this.camera = InitCamera();
+		if (!this.isCouchClient)
+			this.background = InitBackground();
+		for (const id in session.controllers)
+			if (session.controllers.hasOwnProperty(id))
+				this.addPlayer(id);
+	}
+
+	onUnload() {
+		for (const id in this.players)
+			if (this.players.hasOwnProperty(id) && this.players[id].healthSlider != null)
+				this.players[id].healthSlider.remove();
+		for (const cleanup of this._cleanups)
+			cleanup();
+		this._cleanups = [];
+	}
+
+	/**
+	 * Sets the element's display style until the scene is unloaded
+	 * @param {HTMLElement} element
+	 * @param {String} display
+	 */
+	show(element, display = "block") {
+		const original = element.style.display;
+		element.style.display = display;
+		this._cleanups.push(() => { element.style.display = original; });
+	}
+
+	/**
+	 * Adds an event listener that's removed when the scene is unloaded
+	 * @param {HTMLElement} element
+	 * @param {String} type
+	 * @param {EventListener} callback
+	 */
+	listen(element, type, callback) {
+		element.addEventListener(type, callback);
+		this._cleanups.push(() => { element.removeEventListener(type, callback); });
+	}
+
+	/**
+	 * Spawns the ship for the controller
+	 * @param {String} id Controller id
+	 */
+	addPlayer(id) {
+		const controller = session.controllers[id];
+		let health = null;
+		// There's no UI when running headless
+		if (!Utils.isHeadless()) {
+			health = document.createElement("game-slider");
+			$(canvasConfig.uiContainerQuery).appendChild(health);
+		}
+
+		const player = GameObject.instantiate("player", null, controller.input, controller.color, health);
+		controller.color = player.label;
+		this.players[id] = player;
+		this.followPlayers();
+	}
+
+	/**
+	 * Removes the ship of the controller
+	 * @param {String} id Controller id
+	 */
+	removePlayer(id) {
+		const player = this.players[id];
+		if (player == null)
+			return;
+		if (player.healthSlider != null)
+			player.healthSlider.remove();
+		player.destroy();
+		delete this.players[id];
+		this.followPlayers();
+	}
+
+	/** Points the camera and the background at the current players */
+	followPlayers() {
+		const players = Object.values(this.players);
+		this.camera.follow(...players);
+		if (this.background != null)
+			this.background.follow(...players);
+	}
+
+	/** @param {String} id Controller id */
+	getPlayerState(id) {
+		const player = this.players[id];
+		if (player == null)
+			return {};
+		return {position: player.localPosition, color: player.label, health: player.health};
+	}
+
+	/** @param {String} id Controller id */
+	setPlayerState(id, data) {
+		const player = this.players[id];
+		if (player == null || !data)
+			return;
+		player.localPosition = data.position;
+		player.label = data.color;
+		if (player.healthSlider != null)
+			player.healthSlider.value = data.health;
+		session.controllers[id].color = data.color;
+	}
+}
+
+export class MenuScene extends SpaceScene {
+
+	onLoad() {
+		super.onLoad();
+		this.show($("#menu"));
+
+		const couchModeElement = $("#couchMode");
+		if (Utils.mobileAndTabletCheck())
+			this.show(couchModeElement);
+
+		this.listen($("#local"), "click", () => {
+			session.isHost = true;
+			Scene.load(new LobbyScene());
+		});
+
+		this.listen($("#host"), "click", () => {
+			session.isHost = true;
+			NetworkManager.host(prompt("Lobby name"));
+			Scene.load(new LobbyScene());
+		});
+
+		this.listen($("#connect"), "click", () => {
+			Scene.load(new LobbyBrowserScene());
+		});
+
+		this.listen(couchModeElement, "click", () => {
+			session.couchMode = !session.couchMode;
+			if (session.couchMode) {
+				couchModeElement.innerText = "Couch Mode ON";
+				couchModeElement.classList.add("on");
+			} else {
+				couchModeElement.innerText = "Couch Mode OFF";
+				couchModeElement.classList.remove("on");
+			}
+		});
+	}
+}
+
+export class LobbyBrowserScene extends SpaceScene {
+
+	onLoad() {
+		super.onLoad();
+		this.show($("#lobbies"));
+		this.listen($("#toMenu"), "click", () => {
+			Scene.load(new MenuScene());
+		});
+		NetworkManager.refreshLobbies();
+	}
+
+	/** @param {import("./engine/Networking").Lobby[]} lobbylist */
+	showLobbies(lobbylist) {
+		const lobbies = $("#lobbies");
+		while (lobbies.childElementCount > 1) {
+			lobbies.removeChild(lobbies.firstChild);
+		}
+
+		lobbylist.forEach((lobby) => {
+			const element = document.createElement("div");
+			element.innerText = lobby.lobbyName;
+			element.classList.add("button");
+			element.classList.add("lobby");
+
+			element.addEventListener("click", () => {
+				NetworkManager.connect(lobby);
+				session.isHost = false;
+				Scene.load(new LobbyScene());
+			});
+
+			lobbies.insertBefore(element, lobbies.firstChild);
+		});
+	}
+}
+
+/** Waits for the host to start the game */
+export class LobbyScene extends SpaceScene {
+
+	onLoad() {
+		super.onLoad();
+		const startText = $("#startText");
+		startText.innerText = (session.isHost) ? "Press button A to start!" : "Waiting for host...";
+		this.show(startText);
+		if (this.isCouchClient)
+			this.show($(canvasConfig.uiContainerQuery), "none");
+	}
+
+	update() {
+		if (!session.isHost)
+			return;
+		for (const id in session.controllers)
+			if (session.controllers.hasOwnProperty(id) && session.controllers[id].input.Buttons.A.isPressed)
+				return this.startGame();
+	}
+
+	startGame() {
+		// Every client plays the match with the same seed
+		const seed = Random.newSeed();
+		NetworkManager.sendMessage("start game", {seed});
+		Scene.load(new GameplayScene(null, seed));
+	}
+}
+
+/** The match itself. Goes back to the lobby after every player died */
+export class GameplayScene extends SpaceScene {
+
+	/**
+	 * @param {import("./engine/Serializer").SerializedLayers} snapshot The gameObjects of a match in progress (eg.: from the host)
+	 * @param {Number | import("./engine/Random").RandomState} random The seed of the match, or the Random.state of a match in progress
+	 */
+	constructor(snapshot = null, random = Random.newSeed()) {
+		super();
+		/** The ticks to wait after every player died */
+		this.endDelay = 120;
+		/** @private */
+		this._snapshot = snapshot;
+		/** @private */
+		this._random = random;
+		/**
+		 * Records the inputs of the match, so it can be replayed (eg.: to reproduce a bug)
+		 * @type {ReplayRecorder} */
+		this.recorder = null;
+	}
+
+	/** Only the host records the matches it started */
+	get isRecorded() { return session.isHost && this._snapshot == null; }
+
+	onLoad() {
+		if (typeof this._random == "number")
+			Random.setSeed(this._random);
+		else
+			Random.state = this._random;
+		const random = Random.state;
+		super.onLoad();
+		if (this.isCouchClient)
+			this.show($(canvasConfig.uiContainerQuery), "none");
+
+		const spawner = new Spawner();
+		spawner.host = session.isHost;
+		GameObject.init(spawner);
+		spawner.enabled = !this.isCouchClient;
+		if (this._snapshot != null)
+			Serializer.deserialize(this._snapshot);
+		if (session.isHost)
+			sounds.MUSIC.bgm.play();
+		if (this.isRecorded) {
+			// Started after the players, so the colours of their ships are known
+			this.recorder = new ReplayRecorder(id => ({color: session.controllers[id].color}));
+			this.recorder.start(random);
+		}
+	}
+
+	onUnload() {
+		super.onUnload();
+		if (session.isHost)
+			sounds.MUSIC.bgm.paused = true;
+		if (this.recorder != null)
+			session.replay = this.recorder.stop();
+	}
+
+	update() {
+		if (!session.isHost || !this.isOver)
+			return;
+		this.endDelay--;
+		if (this.endDelay == 0)
+			this.endGame();
+	}
+
+	/** True if there are players and all of them are dead */
+	get isOver() {
+		let hasPlayers = false;
+		for (const id in this.players) {
+			if (this.players.hasOwnProperty(id)) {
+				if (this.players[id].health > 0)
+					return false;
+				hasPlayers = true;
+			}
+		}
+		return hasPlayers;
+	}
+
+	endGame() {
+		NetworkManager.sendMessage("end game");
+		Scene.load(new LobbyScene());
+	}
+}
+
+/** Plays back a recorded match (eg.: from a bug report). Goes back to the menu at the end */
+export class ReplayScene extends GameplayScene {
+
+	/** @param {import("./engine/Replay").ReplayPlayer} player */
+	constructor(player) {
+		super(null, player.replay.random);
+		/** @type {import("./engine/Replay").ReplayPlayer} */
+		this.player = player;
+	}
+
+	get isRecorded() { return false; }
+
+	onUnload() {
+		super.onUnload();
+		// Restarting the replay loads a new scene instead
+		if (this.player.scene == this)
+			this.player.stop();
+	}
+
+	/**
+	 * Only the replay's controllers get a ship, with the colour they had in the match
+	 * @param {String} id Controller id
+	 */
+	addPlayer(id) {
+		const data = this.player.dataOf(id);
+		if (data == null)
+			return;
+		session.controllers[id].color = data.color;
+		super.addPlayer(id);
+	}
+
+	endGame() {
+		Scene.load(new MenuScene());
+	}
+}
+
+/**
+ * The camera is kept inside the screen, so it only moves when it's zoomed in
+ * @returns {Camera}
+ */
+function InitCamera() {
+	const holder = GameObject.init(new GameObject(), 60);
+	holder.position = [canvasConfig.size.x / 2, canvasConfig.size.y / 2];
+	const camera = holder.addComponent(new Camera(true));
+	camera.bounds = new Rect(0, 0, canvasConfig.size.x, canvasConfig.size.y);
+	return camera;
+}
+
+/**
+ * The nebulas and the debris of the space map, with the stars in front of them.
+ * It's drawn on the screen, the stars sway with the players instead of the camera
+ * @returns {Background}
+ */
+function InitBackground() {
+	const holder = new GameObject();
+	holder.canvasPosition = true;
+	holder.addComponent(Tilemap.create("space"));
+	const background = holder.addComponent(new Background([
+		new StarLayer({sprite: sprites.stars, count: 40, speed: [0, 0.15], sway: 0.02}),
+		new StarLayer({sprite: sprites.stars, count: 20, weights: [100, 10], speed: [0, 0.35], sway: 0.05}),
+		new StarLayer({sprite: sprites.stars, count: 10, weights: [100, 10, 1], speed: [0, 0.65], sway: 0.1}),
+	]));
+	GameObject.init(holder, 0);
+	return background;
+}
@@ -1,11 +1,11 @@
 import GameObject from "./engine/GameObject";
 import Animator from "./engine/Animator";
 import { sprites } from "./Assets";
-import Sprite from "./engine/Sprite";
+import Sprite, { blendModes } from "./engine/Sprite";
 import { Vector2 } from "./engine/Struct";
 import { colliderTags } from "./Config";
 import { ParticleSystem, Particle } from "./engine/ParticleSystem";
-import * as Utils from "./engine/Utils";
+import Random from "./engine/Random";
 
 class ShipAnimator extends Animator {
 	/**
@@ -69,24 +69,27 @@ class Thruster extends GameObject {
 		this.type = Thruster.types.normal;
 		this.sprite = sprites.thruster;
 		this.width = width;
+		/** 
+		 * The localPositions used based on the ship's movement
+		 * @type {{default: Vector2, left: Vector2, right: Vector2}} */
+		this.offsets = null;
 
-		if(!Utils.mobileAndTabletCheck()) {
-			let particle = new Particle({
-				gravity: () => {return Vector2.up.multiply(Math.random() * 0.02);},
-				spriteAlpha: (lifetime) => {return 1-lifetime;},
-				velocity: () => {return Vector2.right.multiply(Math.random() - 0.5);},
-				sprite: sprites.particles,
-				spriteRect: () => {
-					let x = Math.round(Math.random());
-					let y = Math.round(Math.random());
-					return sprites.particles.getSpriteRect(4 + x, 2 + y);
-				},
-			 });
-			this.particles = this.addComponent(new ParticleSystem({
-				particles: [particle],
-				delay: 10,
-			}, true));
-		}
+		let particle = new Particle({
+			gravity: () => {return Vector2.up.multiply(Random.cosmetic.next() * 0.02);},
+			spriteAlpha: (lifetime) => {return 1-lifetime;},
+			velocity: () => {return Vector2.right.multiply(Random.cosmetic.next() - 0.5);},
+			sprite: sprites.particles,
+			blendMode: blendModes.screen,
+			spriteRect: () => {
+				let x = Math.round(Random.cosmetic.next());
+				let y = Math.round(Random.cosmetic.next());
+				return sprites.particles.getSpriteRect(4 + x, 2 + y);
+			},
+		 });
+		this.particles = this.addComponent(new ParticleSystem({
+			particles: [particle],
+			delay: 10,
+		}, true));
 
 	}
 
@@ -122,10 +125,12 @@ export default class Ship extends GameObject {
 		this.lifetime = 0;
 		this._health = health;
 		this._maxHealth = health;
-		this.thrusters = [];
 		this.addThrusters();
 	}
 
+	/** @type {String[]} */
+	static get serializedFields() { return [...super.serializedFields, "label", "maxHealth", "health", "lifetime"]; }
+
 	hit(damage) {
 		this.health -= damage;
 		this.onHit();
@@ -134,13 +139,12 @@ export default class Ship extends GameObject {
 	}
 
 	onHit() {
-
+		this.flash();
 	}
 
 	onDeath() {
 		this.anim.deadTime = GameObject.tick;
 		console.log(`${this.constructor.name} died`);
-		this.clearThrusters();
 		this.destroy();
 	}
 
@@ -150,7 +154,12 @@ export default class Ship extends GameObject {
 
 	/** @type {Number} */
 	get maxHealth() {return this._maxHealth;}
-	set maxHealth(value) { this._maxHealth = value; this.health = this.health;}
+	set maxHealth(value) {
+		// A ship at full health stays at full health (eg.: when a prefab sets it)
+		const isFull = this._health >= this._maxHealth;
+		this._maxHealth = value;
+		this.health = isFull ? value : this.health;
+	}
 
 	/** @type {String} */
 	get label() {return this._label; }
@@ -161,11 +170,17 @@ export default class Ship extends GameObject {
 		this.addThrusters();
 	}
 
+	/** 
+	 * The thrusters attached to the ship
+	 * @type {Thruster[]} */
+	get thrusters() {
+		return this.children.filter((child) => child instanceof Thruster);
+	}
+
 	clearThrusters() {
 		for (const thruster of this.thrusters) {
-			thruster.object.destroy();
+			thruster.destroy();
 		}
-		this.thrusters = [];
 	}
 
 	/**
@@ -180,21 +195,22 @@ export default class Ship extends GameObject {
 		object.spriteFlipX = flipX;
 		object.spriteFlipY = flipY;
 		object.localPosition = new Vector2(defaultOffset);
-		this.thrusters.push({object, offsets: {
+		object.offsets = {
 			default: new Vector2(defaultOffset),
 			left: new Vector2(leftOffset),
 			right: new Vector2(rightOffset),
-		}});
+		};
 	}
 
 	/** @type {String} */
 	set thrusterType(type) {
 		for (const thruster of this.thrusters) {
-			thruster.object.type = type;
+			thruster.type = type;
 		}
 	}
 	get thrusterType() {
-		return this.thrusters[0].type || Thruster.types.normal;
+		const thrusters = this.thrusters;
+		return (thrusters.length > 0) ? thrusters[0].type : Thruster.types.normal;
 	}
 
 	/**
@@ -252,7 +268,7 @@ export default class Ship extends GameObject {
 	/** Sets the thrusters' localposition to match their assigned position */
 	setThrusterWay(way) {
 		for (const thruster of this.thrusters) {
-			thruster.object.localPosition = thruster.offsets[way];
+			thruster.localPosition = thruster.offsets[way];
 		}
 	}
 }
\ No newline at end of file
@@ -0,0 +1,244 @@
+import Component from "./Component";
+import Random from "./Random";
+import { decide, modulo } from "./Utils";
+import { Vector2 } from "./Struct";
+import { canvasConfig } from "../Config";
+
+/**
+ * A layer of the background, it scrolls endlessly with it's speed
+ * @abstract
+ */
+export class BackgroundLayer {
+
+	/**
+	 * @param {Object} options
+	 * @param {Vector2} options.speed The distance the layer moves in a tick
+	 * @param {Number} options.sway How much the layer moves opposite to the followed gameObjects. 0 doesn't move, the further layers should move less
+	 */
+	constructor(options = {}) {
+		/** @type {Vector2} */
+		this.speed = new Vector2(options.speed || [0, 0]);
+		/** @type {Number} */
+		this.sway = options.sway || 0;
+		/**
+		 * How far the layer scrolled
+		 * @type {Vector2} */
+		this.scroll = Vector2.zero;
+		/** @type {Boolean} */
+		this.visible = true;
+	}
+
+	/**
+	 * The size of the repeated part of the layer, the scroll wraps around it
+	 * @param {Vector2} size The size of the background
+	 * @returns {Vector2}
+	 */
+	getLoopSize(size) { return size; }
+
+	/** @param {Vector2} size The size of the background */
+	update(size) {
+		const loop = this.getLoopSize(size);
+		const scroll = this.scroll.add(this.speed);
+		this.scroll = new Vector2(modulo(scroll.x, loop.x), modulo(scroll.y, loop.y));
+	}
+
+	/**
+	 * @abstract
+	 * @param {CanvasRenderingContext2D} canvas
+	 * @param {Vector2} offset The scroll and the sway of the layer
+	 * @param {Vector2} size The size of the background
+	 */
+	draw(canvas, offset, size) {}
+}
+
+/**
+ * Stars scattered randomly over the background. The stars are only positions, there's no gameObject for them
+ * @example
+ * 	new StarLayer({sprite: sprites.stars, count: 40, weights: [100, 10, 1], speed: [0, 0.5], sway: 0.05});
+ */
+export class StarLayer extends BackgroundLayer {
+
+	/**
+	 * @param {Object} options
+	 * @param {import("./Sprite").default} options.sprite
+	 * @param {Number} options.count The amount of stars
+	 * @param {Number[]} options.weights The chances of the sprite's columns (see Utils.decide), the first column by default
+	 * @param {Vector2} options.speed The distance the stars move in a tick
+	 * @param {Number} options.sway How much the stars move opposite to the followed gameObjects
+	 * @param {Vector2} options.size The area the stars are scattered in, the size of the canvas by default
+	 */
+	constructor(options = {}) {
+		super(options);
+		/** @type {import("./Sprite").default} */
+		this.sprite = options.sprite;
+		const count = options.count || 0;
+		const weights = options.weights || [1];
+		const size = new Vector2(options.size || canvasConfig.size);
+		/**
+		 * The x and y positions of the stars after each other
+		 * @private @type {Float32Array} */
+		this._positions = new Float32Array(count * 2);
+		/**
+		 * The column of the sprite of every star
+		 * @private @type {Uint8Array} */
+		this._frames = new Uint8Array(count);
+		// The cosmetic stream, so the stars can't change the gameplay
+		for (let i = 0; i < count; i++) {
+			this._positions[i * 2] = Random.cosmetic.next() * size.x;
+			this._positions[i * 2 + 1] = Random.cosmetic.next() * size.y;
+			this._frames[i] = decide(weights);
+		}
+	}
+
+	/** @type {Number} */
+	get count() { return this._frames.length; }
+
+	/**
+	 * The stars wrap after they left the background completely
+	 * @param {Vector2} size
+	 */
+	getLoopSize(size) { return size.add(this.sprite.size); }
+
+	draw(canvas, offset, size) {
+		const image = this.sprite.element;
+		const frameSize = this.sprite.size;
+		const loop = this.getLoopSize(size);
+		for (let i = 0; i < this.count; i++) {
+			const rect = this.sprite.getSpriteRect(this._frames[i], 0);
+			let x = modulo(this._positions[i * 2] + offset.x, loop.x) - frameSize.x;
+			let y = modulo(this._positions[i * 2 + 1] + offset.y, loop.y) - frameSize.y;
+			if (canvasConfig.pixelPerfectPosition) {
+				x = Math.round(x);
+				y = Math.round(y);
+			}
+			canvas.drawImage(image, rect.x, rect.y, rect.w, rect.h, x, y, rect.w, rect.h);
+		}
+	}
+}
+
+/**
+ * An image repeated over the whole background
+ * @example
+ * 	new ImageLayer({sprite: sprites.clouds, speed: [0, 1], sway: 0.1});
+ */
+export class ImageLayer extends BackgroundLayer {
+
+	/**
+	 * @param {Object} options
+	 * @param {import("./Sprite").default} options.sprite
+	 * @param {import("./Struct").Rect} options.spriteRect The part of the sprite that's repeated, the first frame by default
+	 * @param {Vector2} options.speed The distance the image moves in a tick
+	 * @param {Number} options.sway How much the image moves opposite to the followed gameObjects
+	 */
+	constructor(options = {}) {
+		super(options);
+		/** @type {import("./Sprite").default} */
+		this.sprite = options.sprite;
+		/** @type {import("./Struct").Rect} */
+		this.spriteRect = options.spriteRect || this.sprite.getSpriteRect(0, 0);
+	}
+
+	getLoopSize(size) { return new Vector2(this.spriteRect.w, this.spriteRect.h); }
+
+	draw(canvas, offset, size) {
+		const image = this.sprite.element;
+		const rect = this.spriteRect;
+		let start = new Vector2(modulo(offset.x, rect.w) - rect.w, modulo(offset.y, rect.h) - rect.h);
+		if (canvasConfig.pixelPerfectPosition)
+			start = start.round();
+		for (let y = start.y; y < size.y; y += rect.h)
+			for (let x = start.x; x < size.x; x += rect.w)
+				canvas.drawImage(image, rect.x, rect.y, rect.w, rect.h, x, y, rect.w, rect.h);
+	}
+}
+
+/**
+ * Draws layers scrolling with different speeds behind everything, without a gameObject for every star.
+ * The layers sway opposite to the followed gameObjects (eg.: the players), the further layers should sway less.
+ * The background is drawn from the gameObject's position, so it should be at the top left of the screen with canvasPosition
+ * @example
+ * 	const holder = new GameObject();
+ * 	holder.canvasPosition = true;
+ * 	const background = holder.addComponent(new Background([
+ * 		new StarLayer({sprite: sprites.stars, count: 40, speed: [0, 0.2], sway: 0.02}),
+ * 		new StarLayer({sprite: sprites.stars, count: 10, weights: [10, 1], speed: [0, 0.6], sway: 0.08}),
+ * 	]));
+ * 	GameObject.init(holder, 0);
+ * 	background.follow(player);
+ * @public
+ * @class
+ */
+export default class Background extends Component {
+
+	/**
+	 * @param {BackgroundLayer[]} layers In drawing order, the furthest first
+	 * @param {Object} options
+	 * @param {Vector2} options.size The size of the background, the size of the canvas by default
+	 * @param {Number} options.followSpeed How much of the distance to the targets the sway moves in a tick
+	 * @param {Boolean} enabled
+	 */
+	constructor(layers = [], options = {}, enabled = true) {
+		super(null, enabled);
+		/** @type {BackgroundLayer[]} */
+		this.layers = layers;
+		/** @type {Vector2} */
+		this.size = new Vector2(options.size || canvasConfig.size);
+		/** @type {Number} */
+		this.followSpeed = (options.followSpeed != null) ? options.followSpeed : 0.05;
+		/**
+		 * The gameObjects the layers sway from, they move opposite to their average position
+		 * @type {import("./GameObject").default[]} */
+		this.targets = [];
+		/**
+		 * The followed point on the screen, the layers are still while it's in the center
+		 * @type {Vector2} */
+		this.focus = this.center;
+	}
+
+	/**
+	 * The center of the background
+	 * @type {Vector2}
+	 */
+	get center() { return this.size.divide(2); }
+
+	get isDrawn() { return this.layers.length > 0; }
+
+	/**
+	 * Sways from the gameObjects instead of the current targets
+	 * @param {...import("./GameObject").default} targets
+	 */
+	follow(...targets) {
+		this.targets = targets;
+	}
+
+	update(tick) {
+		for (const layer of this.layers)
+			layer.update(this.size);
+		// The focus returns to the center without targets
+		const targets = this.targets.filter(target => target != null && !target.isDestroyed);
+		let target = this.center;
+		if (targets.length > 0) {
+			target = Vector2.zero;
+			for (const gameObject of targets)
+				target = target.add(gameObject.position);
+			target = target.divide(targets.length);
+		}
+		this.focus = this.focus.add(target.substract(this.focus).multiply(this.followSpeed));
+	}
+
+	/**
+	 * The scroll and the sway of the layer
+	 * @param {BackgroundLayer} layer
+	 * @returns {Vector2}
+	 */
+	getOffset(layer) {
+		return layer.scroll.add(this.center.substract(this.focus).multiply(layer.sway));
+	}
+
+	/** @param {CanvasRenderingContext2D} canvas */
+	draw(canvas) {
+		for (const layer of this.layers)
+			if (layer.visible)
+				layer.draw(canvas, this.getOffset(layer), this.size);
+	}
+}
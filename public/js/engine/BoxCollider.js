@@ -1,7 +1,8 @@
 import Collider from "./Collider";
 import { Vector2, Rect } from "./Struct";
 import * as Debug from "./Debug";
-import { debugMode, minCollisionDistance } from "../Config";
+import { rectsIntersect } from "./Shapes";
+import { debugMode } from "../Config";
 
 /**
  * @see https://github.com/Luminighty/jelloscript/wiki/BoxCollider
@@ -23,15 +24,11 @@ export default class BoxCollider extends Collider {
 		this.debugBounds = false;
 	}
 
-	/**
-	 * Determines if the object collides with the other one
-	 * @param {Collider} other 
-	 */
-	collides(other) {
-		if (other instanceof BoxCollider)
-			return BoxCollider.intersects(this.bounds, other.bounds);
-		return false;
-	}
+	/** @type {import("./Shapes").Shape} */
+	get shape() { return {type: "rect", rect: this.bounds}; }
+
+	/** @type {String[]} */
+	static get serializedFields() { return [...super.serializedFields, "size", "offset"]; }
 
 	/**
 	 * Checks whenever 2 rects intersects as collision
@@ -39,10 +36,7 @@ export default class BoxCollider extends Collider {
 	 * @param {Rect} b 
 	 */
 	static intersects(a, b) {
-		return !(a.minX + minCollisionDistance >= b.maxX ||
-				 a.minY + minCollisionDistance >= b.maxY ||
-				 b.minX + minCollisionDistance >= a.maxX ||
-				 b.minY + minCollisionDistance >= a.maxY);
+		return rectsIntersect(a, b);
 	}
 
 	/** @type {Rect} */
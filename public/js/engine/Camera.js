@@ -1,5 +1,6 @@
 import Component from "./Component";
-import { Vector2 } from "./Struct";
+import { Vector2, Rect } from "./Struct";
+import Random from "./Random";
 import { canvasConfig } from "../Config";
 
 /**
@@ -10,50 +11,183 @@ export default class Camera extends Component {
 		super();
 		if (Camera.main == null || isMainCamera)
 			Camera.main = this;
+		/**
+		 * How much bigger everything is drawn. The layers with 0 parallax (eg.: UI) aren't zoomed
+		 * @type {Number} */
+		this.zoom = 1;
+		/**
+		 * The gameObjects the camera follows, it moves towards their average position
+		 * @type {import("./GameObject").default[]} */
+		this.targets = [];
+		/**
+		 * How much of the distance to the targets is moved in a tick. 1 moves right on them
+		 * @type {Number} */
+		this.followSpeed = 0.1;
+		/**
+		 * The area of the world the camera can show, null if it's not limited
+		 * @type {?Rect} */
+		this.bounds = null;
+		/**
+		 * The amount of screen shake [0;1]. The shake grows with it's square, so small amounts are subtle
+		 * @type {Number} */
+		this.trauma = 0;
+		/**
+		 * The distance of the biggest shake in pixels
+		 * @type {Number} */
+		this.maxShake = 8;
+		/**
+		 * The trauma lost in a second
+		 * @type {Number} */
+		this.traumaDecay = 1.5;
+		/** @private @type {Vector2} */
+		this._shake = Vector2.zero;
+		/**
+		 * The interpolation value of the current frame
+		 * @private */
+		this._alpha = 1;
+	}
+
+	/**
+	 * The center of the view in the world, with the screen shake
+	 * @type {Vector2}
+	 */
+	get viewPosition() {
+		return this.gameObject.getInterpolatedPosition(this._alpha).add(this._shake);
+	}
+
+	/**
+	 * The size of the world shown on the screen
+	 * @type {Vector2}
+	 */
+	get viewSize() {
+		return new Vector2(canvasConfig.size.x / this.zoom, canvasConfig.size.y / this.zoom);
+	}
+
+	/**
+	 * Follows the gameObjects instead of the current targets
+	 * @param {...import("./GameObject").default} targets
+	 */
+	follow(...targets) {
+		this.targets = targets;
+	}
+
+	/**
+	 * Shakes the screen. The trauma adds up to 1 and fades over time
+	 * @param {Number} amount
+	 */
+	addTrauma(amount) {
+		this.trauma = Math.min(Math.max(this.trauma + amount, 0), 1);
+	}
+
+	update(tick, deltaTime) {
+		const target = this.targetPosition;
+		if (target != null) {
+			const position = this.gameObject.position;
+			this.gameObject.position = position.add(target.substract(position).multiply(this.followSpeed));
+		}
+		if (this.bounds != null)
+			this.gameObject.position = this.clamp(this.gameObject.position);
+
+		this.trauma = Math.max(this.trauma - this.traumaDecay * deltaTime, 0);
+		const shake = this.maxShake * this.trauma * this.trauma;
+		// The cosmetic stream, so the shake can't change the gameplay
+		this._shake = (shake > 0) ? new Vector2(Random.cosmetic.range(-1, 1), Random.cosmetic.range(-1, 1)).multiply(shake) : Vector2.zero;
+	}
+
+	onDestroy() {
+		if (Camera.main == this)
+			Camera.main = null;
+	}
+
+	/**
+	 * The average position of the targets that aren't destroyed, null if there are none
+	 * @type {?Vector2}
+	 */
+	get targetPosition() {
+		const targets = this.targets.filter(target => target != null && !target.isDestroyed);
+		if (targets.length == 0)
+			return null;
+		let sum = Vector2.zero;
+		for (const target of targets)
+			sum = sum.add(target.position);
+		return sum.divide(targets.length);
+	}
+
+	/**
+	 * Moves the center of the view, so it only shows the inside of the bounds.
+	 * If the bounds are smaller than the view, it's centered on them
+	 * @param {Vector2} position
+	 * @returns {Vector2}
+	 */
+	clamp(position) {
+		const half = this.viewSize.divide(2);
+		const bounds = this.bounds;
+		const clampAxis = (value, min, size, half) =>
+			(size <= half * 2) ? min + size / 2 : Math.min(Math.max(value, min + half), min + size - half);
+		return new Vector2(clampAxis(position.x, bounds.x, bounds.w, half.x), clampAxis(position.y, bounds.y, bounds.h, half.y));
+	}
+
+	/**
+	 * The zoom of a layer with the parallax
+	 * @param {Number} parallax
+	 * @returns {Number}
+	 */
+	zoomOf(parallax = 1) {
+		return (parallax == 0) ? 1 : this.zoom;
 	}
 
 	/**
 	 * Converts a position in world to the screen position
 	 * @param {Vector2} position
-	 * @returns {Vector2} 
+	 * @param {Number} parallax How much the position moves with the camera (see the render layers)
+	 * @returns {Vector2}
 	 */
-	toScreenPosition(position) {
-		const pos = this.gameObject.position;
-		position = new Vector2(position);
-		position.x -= pos.x - (canvasConfig.size.x / 2);
-		position.y -= pos.y - (canvasConfig.size.y / 2);
-		return position;
+	toScreenPosition(position, parallax = 1) {
+		const center = new Vector2(canvasConfig.size.x / 2, canvasConfig.size.y / 2);
+		// The camera is moved from the center of the screen by the parallax, it's zoomed around the center
+		const offset = this.viewPosition.substract(center).multiply(parallax);
+		return new Vector2(position).substract(offset).substract(center).multiply(this.zoomOf(parallax)).add(center);
 	}
 
 	/**
 	 * Converts a position on the screen to the world position
 	 * @param {Vector2} position
-	 * @returns {Vector2} 
+	 * @returns {Vector2}
 	 */
 	toWorldPosition(position) {
-		const pos = this.gameObject.position;
+		const view = this.viewPosition;
 		position = new Vector2(position);
-		position.x += pos.x - (canvasConfig.size.x / 2);
-		position.y += pos.y - (canvasConfig.size.y / 2);
+		position.x = (position.x - (canvasConfig.size.x / 2)) / this.zoom + view.x;
+		position.y = (position.y - (canvasConfig.size.y / 2)) / this.zoom + view.y;
 		return position;
 	}
 
+	/**
+	 * Sets the interpolation value for the frame. Called by the game loop before drawing
+	 * @private
+	 * @param {Number} alpha
+	 */
+	_interpolate(alpha) {
+		this._alpha = alpha;
+	}
+
 	/**
 	 * Calls toScreenPosition() on Camera.main
 	 * If Camera.main is null then returns itself
-	 * @param {Vector2} position 
+	 * @param {Vector2} position
+	 * @param {Number} parallax
 	 * @returns {Vector2}
 	 */
-	static toScreenPosition(position) {
+	static toScreenPosition(position, parallax = 1) {
 		if (Camera.main == null)
 			return new Vector2(position);
-		return Camera.main.toScreenPosition(position);
+		return Camera.main.toScreenPosition(position, parallax);
 	}
 
 	/**
 	 * Calls toWorldPosition() on Camera.main
 	 * If Camera.main is null then returns itself
-	 * @param {Vector2} position 
+	 * @param {Vector2} position
 	 * @returns {Vector2}
 	 */
 	static toWorldPosition(position) {
@@ -61,7 +195,16 @@ export default class Camera extends Component {
 			return new Vector2(position);
 		return Camera.main.toWorldPosition(position);
 	}
+
+	/**
+	 * Calls addTrauma() on Camera.main, if there's one
+	 * @param {Number} amount
+	 */
+	static shake(amount) {
+		if (Camera.main != null)
+			Camera.main.addTrauma(amount);
+	}
 }
 
 /** @type {Camera} */
-Camera.main = null;
\ No newline at end of file
+Camera.main = null;
@@ -0,0 +1,57 @@
+import Collider from "./Collider";
+import { Vector2, Rect } from "./Struct";
+import * as Debug from "./Debug";
+import { debugMode } from "../Config";
+
+/**
+ * A round collider (eg.: for round enemies), it collides with every other collider type
+ * @example
+ * 	this.addComponent(new CircleCollider(colliderTags.enemy, 10, [0, 2], true));
+ */
+export default class CircleCollider extends Collider {
+
+	/**
+	 * The circle's center will be the gameObject's position
+	 * @param {String} tag A value from colliderTags in config.js
+	 * @param {Number} radius
+	 * @param {Vector2} offset The offset of the center from the gameObject's position
+	 * @param {Boolean} isTrigger Is the collider a trigger or a collision
+	 * @param {Number} collisionCheckMethod A value from Collider.COLLISION_CHECK_METHOD
+	 */
+	constructor(tag, radius, offset=[0,0], isTrigger = false, collisionCheckMethod = null) {
+		super(tag, isTrigger, collisionCheckMethod);
+		/** @type {Number} */
+		this.radius = radius;
+		this.offset = new Vector2(offset);
+		this.debugBounds = false;
+	}
+
+	/**
+	 * The center of the circle in the world
+	 * @type {Vector2}
+	 */
+	get center() {
+		if (this.gameObject == null)
+			throw "Parent not found for Collider";
+		return this.gameObject.position.add(this.offset);
+	}
+
+	/** @type {Rect} */
+	get bounds() {
+		const center = this.center;
+		return new Rect(center.x - this.radius, center.y - this.radius, this.radius * 2, this.radius * 2);
+	}
+
+	/** @type {import("./Shapes").Shape} */
+	get shape() {
+		const center = this.center;
+		if (debugMode.isDebugOn && (this.debugBounds || CircleCollider.debugAllBounds))
+			Debug.drawCircle(center.x, center.y, this.radius);
+		return {type: "circle", center, radius: this.radius};
+	}
+
+	/** @type {String[]} */
+	static get serializedFields() { return [...super.serializedFields, "radius", "offset"]; }
+}
+
+CircleCollider.debugAllBounds = debugMode.Collider.bounds;
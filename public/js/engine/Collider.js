@@ -1,5 +1,8 @@
-import { colliderTags, collisionIgnoreMatrix } from "../Config";
+import { colliderTags, collisionIgnoreMatrix, collisionCellSize } from "../Config";
 import Component from "./Component";
+import SpatialHash from "./SpatialHash";
+import { shapesIntersect, translateShape, sweepRects, boundsOf, rectPoints } from "./Shapes";
+import { Vector2 } from "./Struct";
 
 
 /** 
@@ -24,15 +27,36 @@ export default class Collider extends Component {
 		this.isTrigger = isTrigger;
 		/** @type {Collider[]} */
 		this.collisions = [];
+		/**
+		 * The colliders storing this one in their collisions, they exit when this one is disabled or destroyed
+		 * @private
+		 * @type {Set<Collider>} */
+		this._collidedBy = new Set();
+		/**
+		 * Whenever the moves are swept, so the collider can't pass through an other one in a single tick (eg.: for fast projectiles).
+		 * It's only used by the ON_MOVED colliders
+		 * @type {Boolean} */
+		this.continuous = false;
 
 		this.collisionCheckMethod = (collisionCheckMethod != null) ? collisionCheckMethod : COLLISION_CHECK_METHOD.ON_MOVED;
 		colliders.push(this);
+		broadphase.add(this);
 	}
 
 
+	/**
+	 * The area the collider can collide in, the broadphase sorts the colliders by it.
+	 * Null if it's not known, then it's checked with every collider
+	 * @type {?import("./Struct").Rect}
+	 */
+	get bounds() { return null; }
+
 	/** @type {Array.<string>} */
 	get ignoreTagMatrix() { return collisionIgnoreMatrix[this.tag];}
 
+	/** @type {String[]} */
+	static get serializedFields() { return [...super.serializedFields, "tag", "isTrigger", "collisionCheckMethod", "continuous"]; }
+
 	/**
 	 * Checks whenever the collision should be ignored because of their tags
 	 * @param {Collider} a 
@@ -44,29 +68,56 @@ export default class Collider extends Component {
 		return (aMatrix != null && aMatrix.includes(b.tag)) || (bMatrix != null && bMatrix.includes(a.tag));
 	}
 
+	/**
+	 * The area of the collider in the world, null if it can't collide
+	 * @type {?import("./Shapes").Shape}
+	 */
+	get shape() { return null; }
+
 	/**
 	 * Determines if the object collides with the other one
 	 * @param {Collider} other 
 	 */
-	collides(other) { return false; }
+	collides(other) {
+		const shape = this.shape;
+		const otherShape = other.shape;
+		return shape != null && otherShape != null && shapesIntersect(shape, otherShape);
+	}
 
 	/**
 	 * Checks if the 2 collider can collide with eachother.
-	 * They can collide if they're both enabled and not ignored by their tags
+	 * They can collide if they're both enabled, not destroyed and not ignored by their tags
 	 * @param {Collider} other 
 	 * @returns {Boolean}
 	 */
 	canCollide(other) {
-		return this.enabled && other.enabled && !Collider.isIgnoredByTags(this, other);
+		return this.enabled && other.enabled &&
+			!this.gameObject.isDestroyed && !other.gameObject.isDestroyed &&
+			!Collider.isIgnoredByTags(this, other);
 	}
 
 	onDisabled() {
-		for (const c of this.collisions)
+		this._stopCollisions();
+	}
+
+	/**
+	 * Calls the exit events on the colliders colliding with this one, and forgets it's own collisions
+	 * @private
+	 */
+	_stopCollisions() {
+		// The collisions are only stored by the collider that checked them
+		for (const c of [...this._collidedBy])
 			c._onCollisionStop(this);
+		for (const other of this.collisions)
+			other._collidedBy.delete(this);
+		this.collisions = [];
 	}
 
 	_onCollisionStop(other) {
-		this.collisions.splice(this.collisions.indexOf(other), 1);
+		const index = this.collisions.indexOf(other);
+		if (index >= 0)
+			this.collisions.splice(index, 1);
+		other._collidedBy.delete(this);
 		this.isTrigger ? this.gameObject.onTriggerExit(other) : this.gameObject.onCollisionExit(other);
 		for (const c of this.gameObject.components)
 			if (c != null && c != this)
@@ -75,6 +126,7 @@ export default class Collider extends Component {
 
 	_onCollisionStart(other) {
 		this.collisions.push(other);
+		other._collidedBy.add(this);
 		this.isTrigger ? this.gameObject.onTriggerEnter(other) : this.gameObject.onCollisionEnter(other);
 		for (const c of this.gameObject.components)
 			if (c != null && c != this)
@@ -88,10 +140,20 @@ export default class Collider extends Component {
 				this.isTrigger ? c.onTriggerStay(other) : c.onCollisionStay(other);
 	}
 
+	onInit() {
+		// The collider is unregistered when it's gameObject is destroyed, but pooled gameObjects are reused
+		if (!colliders.includes(this)) {
+			colliders.push(this);
+			broadphase.add(this);
+		}
+	}
+
 	onDestroy() {
-		for (const c of this.collisions)
-			c._onCollisionStop(this);
-		colliders.splice(colliders.indexOf(this), 1);
+		this._stopCollisions();
+		const index = colliders.indexOf(this);
+		if (index >= 0)
+			colliders.splice(index, 1);
+		broadphase.remove(this);
 	}
 
 	/**
@@ -100,13 +162,15 @@ export default class Collider extends Component {
 	 */
 	updateCollision() {
 		let collide = false;
-		for (const other of colliders) {
+		for (const other of this._nearbyColliders()) {
 			if (other.gameObject.equals(this.gameObject))
 				continue;
 			const contains = this.collisions.includes(other);
 
 			if(this.canCollide(other) && this.collides(other)) {
-				collide = !this.isTrigger && !other.isTrigger;
+				// The order of the nearby colliders isn't fixed, so a trigger can't clear an earlier collision
+				if (!this.isTrigger && !other.isTrigger)
+					collide = true;
 				if (!contains) {
 					this._onCollisionStart(other);
 				} else {
@@ -118,6 +182,91 @@ export default class Collider extends Component {
 		}
 		return collide;
 	}
+
+	/**
+	 * The colliders the collider would run into while moving by the delta, from the earliest.
+	 * The bounds are swept first, then the shapes are checked along the part of the move where the bounds overlap.
+	 * The colliders it already collides with aren't hit again
+	 * @param {Vector2} delta The move in world space
+	 * @returns {{collider: Collider, time: Number}[]} The time is the part of the move it can do before touching the other collider (0 - 1)
+	 */
+	sweep(delta) {
+		delta = new Vector2(delta);
+		const shape = this.shape;
+		const bounds = this.bounds;
+		if (shape == null || bounds == null || delta.sqrMagnitude == 0)
+			return [];
+		const area = boundsOf([...rectPoints(bounds), ...rectPoints(bounds).map(point => point.add(delta))]);
+		const nearby = broadphase.enabled ? broadphase.query(area) : colliders;
+		// The shape is checked at least every half of it's size, so it can't skip over anything as big as itself
+		const step = Math.max(Math.min(bounds.w, bounds.h) / 2, 1) / delta.magnitude;
+
+		const hits = [];
+		for (const other of nearby) {
+			if (other.gameObject == null || other.gameObject.equals(this.gameObject) || !this.canCollide(other))
+				continue;
+			const otherShape = other.shape;
+			const otherBounds = other.bounds;
+			if (otherShape == null || otherBounds == null || shapesIntersect(shape, otherShape))
+				continue;
+			const overlap = sweepRects(bounds, delta, otherBounds);
+			if (overlap == null)
+				continue;
+			let free = overlap[0];
+			for (let time = overlap[0]; ; time = Math.min(time + step, overlap[1])) {
+				if (shapesIntersect(translateShape(shape, delta.multiply(time)), otherShape)) {
+					hits.push({collider: other, time: contactTime(shape, delta, otherShape, free, time)});
+					break;
+				}
+				if (time >= overlap[1])
+					break;
+				free = time;
+			}
+		}
+		return hits.sort((a, b) => a.time - b.time);
+	}
+
+	/**
+	 * Sweeps the move of a continuous collider. It enters the triggers on the way, until it hits a solid collider.
+	 * The gameObject is moved to the triggers while they're entered, so the events see where the hit happened
+	 * @param {Vector2} delta The move in world space
+	 * @returns {Number} The part of the move the gameObject can do (0 - 1), less than 1 if a solid collider is in the way
+	 */
+	sweepCollision(delta) {
+		delta = new Vector2(delta);
+		const gameObject = this.gameObject;
+		const start = gameObject.localPosition;
+		for (const hit of this.sweep(delta)) {
+			const other = hit.collider;
+			if (!this.isTrigger && !other.isTrigger) {
+				gameObject.localPosition = start;
+				return hit.time;
+			}
+			// The trigger enter can destroy either of them (eg.: a missile hitting an enemy)
+			if (this.canCollide(other) && !this.collisions.includes(other)) {
+				gameObject.localPosition = start.add(gameObject.toLocalDelta(delta.multiply(hit.time)));
+				this._onCollisionStart(other);
+			}
+		}
+		gameObject.localPosition = start;
+		return 1;
+	}
+
+	/**
+	 * The colliders the broadphase found near this one, and the ones it's still colliding with (so they can exit)
+	 * @private
+	 * @returns {Iterable<Collider>}
+	 */
+	_nearbyColliders() {
+		const bounds = this.bounds;
+		if (!broadphase.enabled || bounds == null)
+			return colliders;
+		broadphase.invalidate(this);
+		const nearby = broadphase.query(bounds);
+		for (const other of this.collisions)
+			nearby.add(other);
+		return nearby;
+	}
 }
 
 /**
@@ -134,3 +283,30 @@ export const COLLISION_CHECK_METHOD = {
 
 /** @type {Collider[]} */
 export let colliders = [];
+
+/**
+ * The spatial hash of every collider, updateCollision() only checks the colliders near each other
+ * @type {SpatialHash}
+ */
+export const broadphase = new SpatialHash(collisionCellSize);
+
+/**
+ * Narrows the time of a hit down to where the shapes start intersecting
+ * @param {import("./Shapes").Shape} shape The shape at the start of the move
+ * @param {Vector2} delta The move in world space
+ * @param {import("./Shapes").Shape} other
+ * @param {Number} free A time of the move where they don't intersect yet
+ * @param {Number} hit A later time where they already do
+ * @returns {Number} The last time they don't intersect, closer than a hundredth of a pixel to the hit
+ */
+function contactTime(shape, delta, other, free, hit) {
+	const precision = 0.01 / delta.magnitude;
+	while (hit - free > precision) {
+		const time = (free + hit) / 2;
+		if (shapesIntersect(translateShape(shape, delta.multiply(time)), other))
+			hit = time;
+		else
+			free = time;
+	}
+	return free;
+}
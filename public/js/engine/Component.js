@@ -1,7 +1,7 @@
 /* jshint expr: true */
 import GameObject from "./GameObject";
-import {gameObjects} from "./GameObject";
 import { setGameTimeout, clearGameTimeout } from "./Utils";
+import Coroutine from "./Coroutine";
 //import Collider from "./Collider";
 
 let currentId = 0;
@@ -21,6 +21,11 @@ export default class Component {
 		this.gameObject = gameObject;
 		/** @private */
 		this._enabled = enabled;
+		/** 
+		 * The running coroutines started by the component
+		 * @private
+		 * @type {Coroutine[]} */
+		this._coroutines = [];
 		this.start();
 	}
 
@@ -57,6 +62,11 @@ export default class Component {
 	 * @public
 	 *  */
 	onDestroy() {}
+	/** 
+	 * Called when the gameObject is added to a scene, including every time it's reused from a pool
+	 * @public
+	 *  */
+	onInit() {}
 	/** 
 	 * Called after the constructor
 	 * @public 
@@ -64,9 +74,60 @@ export default class Component {
 	start() {}
 	/** 
 	 * Called every frame
+	 * @param {Number} tick The current tick since the game started
+	 * @param {Number} deltaTime The time between two ticks in seconds
 	 * @public 
 	 * */
-	update(tick) {}
+	update(tick, deltaTime) {}
+
+	/**
+	 * Whenever draw() is called (eg.: for a Text)
+	 * @type {Boolean}
+	 */
+	get isDrawn() { return false; }
+
+	/**
+	 * Called every frame after the gameObject's sprite got drawn, if isDrawn is true.
+	 * The canvas is moved to the gameObject's position on the screen, and rotated and scaled with it
+	 * @param {CanvasRenderingContext2D} canvas
+	 * @public
+	 */
+	draw(canvas) {}
+
+	/**
+	 * Starts a coroutine on the game clock. It's stopped when the gameObject gets destroyed, and paused while the component is disabled
+	 * @example
+	 * 	this.startCoroutine(function* () {
+	 * 		yield waitTicks(60);
+	 * 		this.shoot();
+	 * 	});
+	 * @param {Generator | GeneratorFunction} routine A generator, or a generator function called on the component
+	 * @returns {Coroutine}
+	 */
+	startCoroutine(routine) {
+		const generator = (typeof routine == "function") ? routine.call(this) : routine;
+		// Finished coroutines are only removed when a new one is started
+		this._coroutines = this._coroutines.filter(coroutine => coroutine.isRunning);
+		const coroutine = new Coroutine(generator, this);
+		if (coroutine.isRunning)
+			this._coroutines.push(coroutine);
+		return coroutine;
+	}
+
+	/**
+	 * Stops the coroutine started by startCoroutine()
+	 * @param {Coroutine} coroutine
+	 */
+	stopCoroutine(coroutine) {
+		coroutine.stop();
+	}
+
+	/** Stops every coroutine started by the component */
+	stopAllCoroutines() {
+		for (const coroutine of this._coroutines)
+			coroutine.stop();
+		this._coroutines = [];
+	}
 
 	/**
 	 * Called when the gameobject starts colliding with another collider
@@ -102,31 +163,57 @@ export default class Component {
 
 
 	/**
-	 * Destroys the gameObject
+	 * Destroys the gameObject and it's children.
+	 * While the game is updating, the gameObject is only removed at the end of the tick.
+	 * Destroying an already destroyed gameObject does nothing
 	 * @param {GameObject} object 
 	 * @param {Number} delay Delay before deleting the gameObject
 	 */
 	static destroy(object, delay=0) {
 		const gameObject = object.gameObject;
+		if (gameObject.isDestroyed)
+			return;
 		const des = function() {
-			if (toDestoryObjects[gameObject.id])
+			if (gameObject.isDestroyed)
+				return;
+			// The first timer's id is 0
+			if (toDestoryObjects[gameObject.id] != null)
 				clearGameTimeout(toDestoryObjects[gameObject.id]);
 			delete toDestoryObjects[gameObject.id];
-			const layer = gameObjects[gameObject.updateLayer];
-			layer.splice(layer.indexOf(gameObject), 1);
-			
+			gameObject._destroyed = true;
+			gameObject.stopAllCoroutines();
 			for (const component of gameObject.components)
 				if (component != null)
-					component.onDestroy();
-			gameObject.onDestroy();
-			//console.log(`${gameObject.constructor.name} destroyed`);
-			
+					component.stopAllCoroutines();
+			// The children are destroyed together with their parent
+			for (const child of gameObject.children.slice())
+				child.destroy();
+			gameObject.parent = null;
+			GameObject.defer(() => {
+				if (gameObject.scene != null)
+					gameObject.scene.remove(gameObject);
+				
+				for (const component of gameObject.components)
+					if (component != null)
+						component.onDestroy();
+				gameObject.onDestroy();
+				//console.log(`${gameObject.constructor.name} destroyed`);
+				if (gameObject.pool != null)
+					gameObject.pool.release(gameObject);
+			});
 		};
 		if (delay <= 0) {
 			des();
 		} else { toDestoryObjects[gameObject.id] = setGameTimeout(() => { des(); }, delay); }
 	}
 
+	/**
+	 * The fields saved by the Serializer. Subclasses extend it with their own fields:
+	 * static get serializedFields() { return [...super.serializedFields, "speed"]; }
+	 * @type {String[]}
+	 */
+	static get serializedFields() { return ["enabled"]; }
+
 	/**
 	 * Class-level equality check. Used if either objectA or objectB can be null
 	 * @returns {Boolean} True if both are null or objectA.equals(objectB) is true
@@ -272,6 +272,14 @@ export class Controller {
 		this.eventHandler.on("input", callback);
 	}
 
+	/**
+	 * Removes a listener added with onInputReceived()
+	 * @param {ControllerStateCallback} callback
+	 */
+	offInputReceived(callback) {
+		this.eventHandler.off("input", callback);
+	}
+
 	/** 
 	 * Calls the onInputReceived listeners
 	 * @protected
@@ -583,6 +591,94 @@ class TouchController extends Controller {
 	get type() { return InputMethods.TOUCH; }
 }
 
+/**
+ * A controller driven by code instead of a physical device (eg.: tests, bots or headless games)
+ * @public
+ * @class
+ */
+export class VirtualController extends Controller {
+
+	/**
+	 * @param {String[]} buttons The names of the buttons
+	 * @param {String[]} axes The names of the axes
+	 * 
+	 * @example
+	 * 	const controller = new VirtualController(["A", "B"], ["Horizontal"]);
+	 * 	controller.press("A");
+	 * 	controller.setAxis("Horizontal", -1);
+	 */
+	constructor(buttons = Object.keys(Buttons), axes = Object.keys(Axes)) {
+		super(toKeys(buttons), toKeys(axes));
+	}
+
+	/**
+	 * Returns InputMethods.VIRTUAL
+	 * @type {Number}
+	 */
+	get type() { return InputMethods.VIRTUAL; }
+
+	/**
+	 * Presses the button down until it's released
+	 * @param {String} key The name of the button
+	 */
+	press(key) {
+		const button = this.buttons[key];
+		if (button.state > 0)
+			return;
+		button.state = 1;
+		button.callListener(Button.listenerTypes.Pressed);
+	}
+
+	/**
+	 * Releases the button
+	 * @param {String} key The name of the button
+	 */
+	release(key) {
+		const button = this.buttons[key];
+		if (button.state <= 0)
+			return;
+		button.state = -1;
+		button.callListener(Button.listenerTypes.Released);
+	}
+
+	/**
+	 * Sets the state of the axis right away
+	 * @param {String} key The name of the axis
+	 * @param {Number} value [-1.0 ; 1.0]
+	 */
+	setAxis(key, value) {
+		const axis = this.axes[key];
+		if (axis.state == value)
+			return;
+		axis.state = value;
+		axis.callListener(Axis.listenerTypes.Changed, axis.state);
+	}
+
+	/** The axis only changes with setAxis() */
+	updateAxis(axis, key) {}
+
+	/**
+	 * Removes the controller, calling the callback set by OnControllerRemoved()
+	 */
+	remove() {
+		if (this.removeController)
+			this.removeController();
+		delete controllers[this.id];
+	}
+}
+
+/**
+ * Maps every name to itself
+ * @param {String[]} names 
+ * @returns {Object.<String, String>}
+ */
+function toKeys(names) {
+	const keys = {};
+	for (const name of names)
+		keys[name] = name;
+	return keys;
+}
+
 /** @type {Object.<string, Controller>} Controllers */
 const controllers = {};
 
@@ -611,6 +707,15 @@ export function FromPlayer(id) {
 	return controllers[id].input;
 }
 
+/**
+ * Gets the controller from it's id, or null if it's not attached
+ * @param {String} id
+ * @returns {Controller}
+ */
+export function GetController(id) {
+	return controllers.hasOwnProperty(id) ? controllers[id] : null;
+}
+
 /**
  * Stores the keyboard controller IDs
  * @type {String[]}
@@ -650,6 +755,14 @@ export function OnNewControllerListener(listener) {
 	newControllerHandler.on("default", listener);
 }
 
+/**
+ * Removes a listener added with OnNewControllerListener()
+ * @param {controllerCallback} listener
+ */
+export function OffNewControllerListener(listener) {
+	newControllerHandler.off("default", listener);
+}
+
 /**
  * @callback ControllerStateSetter
  * @param {any} data
@@ -803,6 +916,9 @@ export const Mouse = (function() {
 		wheel: 0
 	};
 
+	// There's no mouse without a browser
+	if (Utils.isHeadless())
+		return Mouse;
 
 	/** @type {HTMLCanvasElement} */
 	const canvas = document.body.querySelector(canvasConfig.canvasQuery);
@@ -0,0 +1,268 @@
+/**
+ * Something a coroutine can wait for. Yield it from the coroutine to pause it until it's done
+ * @public
+ * @class
+ */
+export class YieldInstruction {
+
+	/**
+	 * Called when the coroutine starts waiting for it
+	 * @public
+	 */
+	start() {}
+
+	/**
+	 * Called every game tick while the coroutine is waiting
+	 * @public
+	 * @returns {Boolean} True if the coroutine should keep waiting
+	 */
+	keepWaiting() { return false; }
+
+	/**
+	 * Called when the coroutine stops waiting, including when it got stopped
+	 * @public
+	 */
+	stop() {}
+
+	/**
+	 * The value the yield returns in the coroutine
+	 * @type {any}
+	 */
+	get result() { return undefined; }
+}
+
+class WaitTicks extends YieldInstruction {
+	/** @param {Number} ticks */
+	constructor(ticks) {
+		super();
+		this.ticksLeft = ticks;
+	}
+
+	keepWaiting() { return --this.ticksLeft > 0; }
+}
+
+class WaitUntil extends YieldInstruction {
+	/** @param {Function} predicate */
+	constructor(predicate) {
+		super();
+		this.predicate = predicate;
+	}
+
+	keepWaiting() { return !this.predicate(); }
+}
+
+class WaitForEvent extends YieldInstruction {
+	/**
+	 * @param {{on: Function, off: Function}} source
+	 * @param {String} type
+	 */
+	constructor(source, type) {
+		super();
+		this.source = source;
+		this.type = type;
+		/** @private */
+		this._called = false;
+		/** @private */
+		this._args = [];
+		/** @private */
+		this._listener = (...args) => {
+			this._called = true;
+			this._args = args;
+		};
+	}
+
+	start() { this.source.on(this.type, this._listener); }
+	keepWaiting() { return !this._called; }
+	stop() { this.source.off(this.type, this._listener); }
+
+	/** The first argument of the event */
+	get result() { return this._args[0]; }
+}
+
+class WaitForCoroutine extends YieldInstruction {
+	/** @param {Coroutine} coroutine */
+	constructor(coroutine) {
+		super();
+		this.coroutine = coroutine;
+	}
+
+	keepWaiting() { return this.coroutine.isRunning; }
+}
+
+/**
+ * Waits for the amount of game ticks
+ * @param {Number} ticks
+ * @returns {YieldInstruction}
+ */
+export function waitTicks(ticks) {
+	return new WaitTicks(ticks);
+}
+
+/**
+ * Waits until the predicate returns true. It's checked once every game tick
+ * @param {Function} predicate
+ * @returns {YieldInstruction}
+ */
+export function waitUntil(predicate) {
+	return new WaitUntil(predicate);
+}
+
+/**
+ * Waits until the event gets called. The yield returns the event's first argument
+ * @param {{on: Function, off: Function}} source An EventHandler or anything with the same on() and off()
+ * @param {String} type The event's type
+ * @returns {YieldInstruction}
+ */
+export function waitForEvent(source, type) {
+	return new WaitForEvent(source, type);
+}
+
+/**
+ * A generator function running on the game clock. Every yield pauses it, until the yielded instruction is done:
+ * - nothing: the next game tick
+ * - waitTicks(), waitUntil(), waitForEvent() or any YieldInstruction
+ * - an other Coroutine: until it finishes
+ *
+ * Use component.startCoroutine(), so it's stopped when the gameObject gets destroyed
+ * @example
+ * 	*attackPattern() {
+ * 		while (true) {
+ * 			this.shoot();
+ * 			yield waitTicks(30);
+ * 			const player = yield waitForEvent(this.events, "playerSpotted");
+ * 			yield this.startCoroutine(this.chase(player));
+ * 		}
+ * 	}
+ * @public
+ * @class
+ */
+export default class Coroutine {
+
+	/**
+	 * Starts running the generator right away, until it's first yield
+	 * @param {Generator} generator
+	 * @param {import("./Component").default} owner It's paused while the owner is disabled
+	 */
+	constructor(generator, owner = null) {
+		/** @private @type {Generator} */
+		this._generator = generator;
+		/** @type {import("./Component").default} */
+		this.owner = owner;
+		/** @private @type {YieldInstruction} */
+		this._waitingFor = null;
+		/** @private */
+		this._running = true;
+		/** 
+		 * True while the generator's code is running
+		 * @private */
+		this._executing = false;
+		running.push(this);
+		this._resume(undefined);
+	}
+
+	/**
+	 * False after the generator finished or the coroutine got stopped
+	 * @type {Boolean}
+	 */
+	get isRunning() { return this._running; }
+
+	/**
+	 * Whenever the coroutine is skipped, because it's owner is disabled
+	 * @type {Boolean}
+	 */
+	get isPaused() {
+		if (this.owner == null)
+			return false;
+		return !this.owner.enabled || (this.owner.gameObject != null && !this.owner.gameObject.enabled);
+	}
+
+	/** Stops the coroutine, it won't continue anymore */
+	stop() {
+		if (!this._running)
+			return;
+		this._running = false;
+		if (this._waitingFor != null)
+			this._waitingFor.stop();
+		this._waitingFor = null;
+		running.splice(running.indexOf(this), 1);
+		// A coroutine stopping itself (eg.: by destroying it's gameObject) is finished after it's next yield
+		if (!this._executing)
+			this._generator.return();
+	}
+
+	/**
+	 * Continues the generator until it yields an instruction that's not done yet
+	 * @private
+	 * @param {any} value The result of the last yield
+	 */
+	_resume(value) {
+		let step;
+		this._executing = true;
+		try {
+			step = this._generator.next(value);
+		} catch (error) {
+			this._executing = false;
+			this.stop();
+			throw error;
+		}
+		this._executing = false;
+		if (!this._running) {
+			this._generator.return();
+			return;
+		}
+		if (step.done) {
+			this.stop();
+			return;
+		}
+		this._waitingFor = toInstruction(step.value);
+		this._waitingFor.start();
+	}
+
+	/** @private */
+	_update() {
+		if (this.isPaused || this._waitingFor.keepWaiting())
+			return;
+		const waitingFor = this._waitingFor;
+		waitingFor.stop();
+		this._waitingFor = null;
+		this._resume(waitingFor.result);
+	}
+
+	/**
+	 * Advances every running coroutine.
+	 * Called by the game loop every game tick
+	 * @private
+	 */
+	static updateAll() {
+		// The coroutines started or stopped meanwhile are handled on the next tick
+		for (const coroutine of running.slice())
+			if (coroutine.isRunning)
+				coroutine._update();
+	}
+
+	/**
+	 * Stops every running coroutine (eg.: when restarting the game)
+	 */
+	static stopAll() {
+		for (const coroutine of running.slice())
+			coroutine.stop();
+	}
+}
+
+/**
+ * The yielded value as a YieldInstruction
+ * @param {any} value
+ * @returns {YieldInstruction}
+ */
+function toInstruction(value) {
+	if (value == null)
+		return waitTicks(1);
+	if (value instanceof YieldInstruction)
+		return value;
+	if (value instanceof Coroutine)
+		return new WaitForCoroutine(value);
+	throw new TypeError(`Coroutines can't wait for ${value}`);
+}
+
+/** @type {Coroutine[]} */
+const running = [];
@@ -3,9 +3,8 @@ let debugCount = 0;
 export let currentDebugs = {};
 
 
-// TODO: substract camera position
 /**
- * 
+ * Draws the outline of a rectangle in the world, moved with the main camera
  * @param {Number} x 
  * @param {Number} y 
  * @param {Number} w 
@@ -14,28 +13,134 @@ export let currentDebugs = {};
  * @param {Number} time 
  */
 export function drawRect(x,y,w,h,color="red",time=1) {
-	x = Math.round(x) + 0.5;
-	y = Math.round(y) + 0.5;
-	w = Math.round(w) - 1;
-	h = Math.round(h) - 1;
 	const id = debugCount++;
 	/**
 	 * @param {CanvasRenderingContext2D} canvas 
+	 * @param {import("./Camera").default} camera The main camera, null if there's none
 	 */
-	let draw = function (canvas) {
+	let draw = function (canvas, camera) {
 		time--;
 		if (time <= 0)
 			delete currentDebugs[id];
+		let position = {x, y};
+		let zoom = 1;
+		if (camera != null) {
+			position = camera.toScreenPosition([x, y]);
+			zoom = camera.zoom;
+		}
+		const left = Math.round(position.x) + 0.5;
+		const top = Math.round(position.y) + 0.5;
+		const width = Math.round(w * zoom) - 1;
+		const height = Math.round(h * zoom) - 1;
 		canvas.beginPath();
 		canvas.strokeStyle = color;
 		canvas.lineWidth = 1;
-		canvas.moveTo(x,y);
-		canvas.lineTo(x+w,y);
-		canvas.lineTo(x+w,y+h);
-		canvas.lineTo(x,y+h);
-		canvas.lineTo(x,y);
+		canvas.moveTo(left,top);
+		canvas.lineTo(left+width,top);
+		canvas.lineTo(left+width,top+height);
+		canvas.lineTo(left,top+height);
+		canvas.lineTo(left,top);
 		canvas.stroke();
 	};
 
 	currentDebugs[id] = draw;
-}
\ No newline at end of file
+}
+
+/**
+ * Draws the outline of a polygon in the world, moved with the main camera
+ * @param {import("./Struct").Vector2[]} points
+ * @param {String} color
+ * @param {Number} time
+ */
+export function drawPolygon(points, color="red", time=1) {
+	const id = debugCount++;
+	/**
+	 * @param {CanvasRenderingContext2D} canvas
+	 * @param {import("./Camera").default} camera The main camera, null if there's none
+	 */
+	let draw = function (canvas, camera) {
+		time--;
+		if (time <= 0)
+			delete currentDebugs[id];
+		const screenPoints = points.map(point => (camera != null) ? camera.toScreenPosition(point) : point);
+		canvas.beginPath();
+		canvas.strokeStyle = color;
+		canvas.lineWidth = 1;
+		screenPoints.forEach((point, index) => {
+			const x = Math.round(point.x) + 0.5;
+			const y = Math.round(point.y) + 0.5;
+			(index == 0) ? canvas.moveTo(x, y) : canvas.lineTo(x, y);
+		});
+		canvas.closePath();
+		canvas.stroke();
+	};
+
+	currentDebugs[id] = draw;
+}
+
+/**
+ * Draws the outline of a circle in the world, moved with the main camera
+ * @param {Number} x
+ * @param {Number} y
+ * @param {Number} radius
+ * @param {String} color
+ * @param {Number} time
+ */
+export function drawCircle(x, y, radius, color="red", time=1) {
+	const id = debugCount++;
+	/**
+	 * @param {CanvasRenderingContext2D} canvas
+	 * @param {import("./Camera").default} camera The main camera, null if there's none
+	 */
+	let draw = function (canvas, camera) {
+		time--;
+		if (time <= 0)
+			delete currentDebugs[id];
+		let position = {x, y};
+		let zoom = 1;
+		if (camera != null) {
+			position = camera.toScreenPosition([x, y]);
+			zoom = camera.zoom;
+		}
+		canvas.beginPath();
+		canvas.strokeStyle = color;
+		canvas.lineWidth = 1;
+		canvas.arc(position.x, position.y, radius * zoom, 0, Math.PI * 2);
+		canvas.stroke();
+	};
+
+	currentDebugs[id] = draw;
+}
+
+/** 
+ * The values shown on the debug overlay
+ * @type {Object.<string, any>} */
+export const stats = {};
+
+/**
+ * Shows the value on the debug overlay
+ * @param {String} name 
+ * @param {any} value 
+ */
+export function setStat(name, value) {
+	stats[name] = value;
+}
+
+/**
+ * Draws the stats in the top left corner of the canvas
+ * @param {CanvasRenderingContext2D} canvas 
+ */
+export function drawStats(canvas) {
+	canvas.save();
+	canvas.font = "8px monospace";
+	canvas.textBaseline = "top";
+	canvas.fillStyle = "white";
+	let y = 2;
+	for (const name in stats) {
+		if (stats.hasOwnProperty(name)) {
+			canvas.fillText(`${name}: ${stats[name]}`, 2, y);
+			y += 10;
+		}
+	}
+	canvas.restore();
+}
@@ -16,7 +16,8 @@ export default class EventHandler {
 	call(type, ...args) {
 		if (this.listeners[type] === undefined)
 			return;
-		const lists = this.listeners[type];
+		// Copied, so listeners can remove themselves while being called
+		const lists = this.listeners[type].slice();
 		for (const list of lists) {
 			list(...args);
 		}
@@ -33,6 +34,20 @@ export default class EventHandler {
 		this.listeners[type].push(callback);
 	}
 
+	/**
+	 * Removes a listener from the event
+	 * @param {String} type 
+	 * @param {CallableFunction} callback The same function that was passed to on()
+	 */
+	off(type, callback) {
+		const lists = this.listeners[type];
+		if (lists === undefined)
+			return;
+		const index = lists.indexOf(callback);
+		if (index >= 0)
+			lists.splice(index, 1);
+	}
+
 	/**
 	 * @callback ForeachCallback
 	 * @param {CallableFunction} listener 
@@ -0,0 +1,175 @@
+import { Rect } from "./Struct";
+import { spriteEffects } from "./Sprite";
+import { isHeadless } from "./Utils";
+
+/**
+ * The context the canvas fonts are measured with when no canvas is given, created on the first use
+ * @type {?CanvasRenderingContext2D}
+ */
+let measuringContext = null;
+
+/**
+ * A font drawn from a sprite sheet, every character is a tile of the sprite.
+ * The glyphs should be white, as the colour tint replaces their colour
+ * @example
+ * 	const sheet = new Sprite("./media/font.png", [5, 7]);
+ * 	const font = new BitmapFont(sheet, ["ABCDEFGHIJKLM", "NOPQRSTUVWXYZ", "0123456789.!?"], {widths: {"I": 3, "!": 1}});
+ * @public
+ * @class
+ */
+export class BitmapFont {
+
+	/**
+	 * @param {import("./Sprite").default} sprite The sprite sheet, it's size is the size of a tile
+	 * @param {String | String[]} glyphs The characters of the tiles, a string for every row of the sheet
+	 * @param {Object} options
+	 * @param {Number} options.spacing The space between two characters in pixels, 1 by default
+	 * @param {Number} options.lineHeight The distance between two lines in pixels, the tile's height + 1 by default
+	 * @param {Number} options.spaceWidth The width of the space and the missing characters, the tile's width by default
+	 * @param {Object.<string, number>} options.widths The widths of the characters narrower than the tile
+	 */
+	constructor(sprite, glyphs, options = {}) {
+		/** @type {import("./Sprite").default} */
+		this.sprite = sprite;
+		/** @type {Number} */
+		this.spacing = (options.spacing != null) ? options.spacing : 1;
+		/** @type {Number} */
+		this.lineHeight = (options.lineHeight != null) ? options.lineHeight : sprite.size.y + 1;
+		/** @type {Number} */
+		this.spaceWidth = (options.spaceWidth != null) ? options.spaceWidth : sprite.size.x;
+		/** @type {Object.<string, number>} */
+		this.widths = options.widths || {};
+		/**
+		 * The tiles of the characters
+		 * @private
+		 * @type {Object.<string, import("./Struct").Rect>} */
+		this._glyphs = {};
+
+		const rows = Array.isArray(glyphs) ? glyphs : [glyphs];
+		for (let y = 0; y < rows.length; y++)
+			for (let x = 0; x < rows[y].length; x++)
+				this._glyphs[rows[y][x]] = sprite.getSpriteRect(x, y);
+	}
+
+	/**
+	 * The tile of the character. If the font only has the other case of the letter, it's used instead
+	 * @param {String} char
+	 * @returns {?import("./Struct").Rect} Null if the font doesn't have it
+	 */
+	glyph(char) {
+		for (const variant of [char, char.toUpperCase(), char.toLowerCase()])
+			if (this._glyphs.hasOwnProperty(variant))
+				return this._glyphs[variant];
+		return null;
+	}
+
+	/**
+	 * The width of the character in pixels, without the spacing
+	 * @param {String} char
+	 */
+	width(char) {
+		if (this.widths.hasOwnProperty(char))
+			return this.widths[char];
+		return (this.glyph(char) != null) ? this.sprite.size.x : this.spaceWidth;
+	}
+
+	/**
+	 * The width of the line in pixels
+	 * @param {String} text
+	 */
+	measure(text) {
+		let width = 0;
+		for (const char of text)
+			width += this.width(char) + this.spacing;
+		return Math.max(width - this.spacing, 0);
+	}
+
+	/**
+	 * Draws the line with it's top left corner at the position
+	 * @param {CanvasRenderingContext2D} canvas
+	 * @param {String} text
+	 * @param {Number} x
+	 * @param {Number} y
+	 * @param {?String} color The tint, or null for the sprite's own colours
+	 */
+	draw(canvas, text, x, y, color = null) {
+		const image = (color == null) ? this.sprite.element : this.tinted(color);
+		for (const char of text) {
+			const rect = this.glyph(char);
+			const width = this.width(char);
+			if (rect != null)
+				canvas.drawImage(image, rect.x, rect.y, width, rect.h, x, y, width, rect.h);
+			x += width + this.spacing;
+		}
+	}
+
+	/**
+	 * The sprite sheet with every pixel replaced by the colour (see Sprite.getEffectFrame)
+	 * @param {String} color
+	 * @returns {CanvasImageSource} The untinted sheet while it isn't loaded
+	 */
+	tinted(color) {
+		const image = this.sprite.element;
+		// It can only be tinted after it got loaded
+		if (!this.sprite.isLoaded)
+			return image;
+		const tinted = this.sprite.getEffectFrame(new Rect(0, 0, image.naturalWidth, image.naturalHeight), spriteEffects.fill, color);
+		return (tinted != null) ? tinted : image;
+	}
+}
+
+/**
+ * A font drawn with the canvas' own text rendering (eg.: for longer texts, where a bitmap font would be too much work)
+ * @example
+ * 	const font = new CanvasFont("8px monospace", 10);
+ * @public
+ * @class
+ */
+export class CanvasFont {
+
+	/**
+	 * @param {String} font The CSS font
+	 * @param {Number} lineHeight The distance between two lines in pixels
+	 */
+	constructor(font = "10px sans-serif", lineHeight = 12) {
+		/** @type {String} */
+		this.font = font;
+		/** @type {Number} */
+		this.lineHeight = lineHeight;
+	}
+
+	/**
+	 * The width of the line in pixels
+	 * @param {String} text
+	 * @param {?CanvasRenderingContext2D} canvas Used for measuring the text, an offscreen canvas by default. It's required when running headless
+	 */
+	measure(text, canvas = null) {
+		if (canvas == null) {
+			if (isHeadless())
+				throw new Error(`The text "${text}" can't be measured with the font "${this.font}" without a canvas when running headless`);
+			if (measuringContext == null)
+				measuringContext = document.createElement("canvas").getContext("2d");
+			canvas = measuringContext;
+		}
+		canvas.save();
+		canvas.font = this.font;
+		const width = canvas.measureText(text).width;
+		canvas.restore();
+		return width;
+	}
+
+	/**
+	 * Draws the line with it's top left corner at the position
+	 * @param {CanvasRenderingContext2D} canvas
+	 * @param {String} text
+	 * @param {Number} x
+	 * @param {Number} y
+	 * @param {?String} color White by default
+	 */
+	draw(canvas, text, x, y, color = null) {
+		canvas.font = this.font;
+		canvas.fillStyle = (color != null) ? color : "white";
+		canvas.textBaseline = "top";
+		canvas.fillText(text, x, y);
+	}
+}
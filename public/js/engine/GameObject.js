@@ -1,16 +1,14 @@
 /* jshint expr: true */
 import {Vector2, Rect} from './Struct';
 import Component from "./Component";
-import Sprite from "./Sprite";
+import Sprite, { blendModes } from "./Sprite";
 import Animator from "./Animator";
-import Collider, {COLLISION_CHECK_METHOD} from './Collider';
+import Collider, {COLLISION_CHECK_METHOD, broadphase} from './Collider';
+import Rigidbody from './Rigidbody';
 import { sprites } from '../Assets';
 import * as Config from '../Config';
-
-
-
-/** @type [[GameObject]] */
-export let gameObjects = [];
+import Scene from './Scene';
+import { waitTicks } from './Coroutine';
 
 
 
@@ -27,8 +25,26 @@ export default class GameObject extends Component {
 		super(null, enabled);
 		/** @type {Vector2} */
 		this._size = size;
-		/** @type GameObject */
-		this.parent = null;
+		/** @private @type GameObject */
+		this._parent = null;
+		/** 
+		 * The gameObjects whose parent is this gameObject
+		 * @type {GameObject[]} */
+		this.children = [];
+		/** 
+		 * The scene the gameObject was initialized in
+		 * @type {Scene} */
+		this.scene = null;
+		/**
+		 * Used for finding the gameObject with scene.findByName()
+		 * @type {String} */
+		this.name = null;
+		/** @private @type {Set<String>} */
+		this._tags = new Set();
+		/** 
+		 * The pool the gameObject is released to when it's destroyed
+		 * @type {import("./Pool").default} */
+		this.pool = null;
 		/** @type [Component] */
 		this.components = [];
 		/**
@@ -36,9 +52,21 @@ export default class GameObject extends Component {
 		 * @type {Vector2}
 		 */
 		this._localPosition = new Vector2(0,0);
+		/**
+		 * The position at the start of the last tick, used for interpolating while rendering
+		 * @private
+		 * @type {Vector2}
+		 */
+		this._lastPosition = null;
+		/** @private */
+		this._localRotation = 0;
+		/** @private */
+		this._localScale = new Vector2(1,1);
 		/** @private */
 		this._enabled = enabled;
 		/** @private */
+		this._destroyed = false;
+		/** @private */
 		this._hidden = hidden;
 		/** @private */
 		this._spriteRect = new Rect(0,0,1,1);
@@ -50,6 +78,15 @@ export default class GameObject extends Component {
 		/** @type {Boolean}
 		 * Whenever the object's position is relative to the canvas or the camera (true for ui elements )*/
 		this.canvasPosition = false;
+		/**
+		 * The name of the render layer it's drawn on (see the Config's renderLayers).
+		 * If it's null, it's drawn on the render layer of it's update layer
+		 * @type {String} */
+		this.renderLayer = null;
+		/**
+		 * The drawing order on the render layers sorted by z, the higher ones are drawn on top
+		 * @type {Number} */
+		this.z = 0;
 		/** 
 		 * @type {Animator}
 		 * @private */
@@ -58,11 +95,36 @@ export default class GameObject extends Component {
 		 * @type {Collider[]}
 		 * @private */
 		this._colliders = [];
+		/**
+		 * @type {Rigidbody}
+		 * @private */
+		this._rigidbody = null;
 		/** 
 		 * The transparency of the rendered sprite
 		 * @public 
 		 */
 		this.spriteAlpha = 1.0;
+		/**
+		 * The colour the sprite's colours are multiplied with, null for the original colours
+		 * @type {?String} */
+		this.spriteTint = null;
+		/**
+		 * The colour every pixel of the sprite is replaced with (see flash()), null for the original colours
+		 * @type {?String} */
+		this.spriteFlash = null;
+		/**
+		 * The colour of the 1 pixel outline around the sprite, null for no outline
+		 * @type {?String} */
+		this.spriteOutline = null;
+		/**
+		 * How the sprite is mixed with what's under it, one of the blendModes
+		 * @type {String} */
+		this.spriteBlendMode = blendModes.normal;
+		/**
+		 * The coroutine ending the current flash
+		 * @private
+		 * @type {import("./Coroutine").default} */
+		this._flash = null;
 		this.gameObject = this;
 	}
 
@@ -79,6 +141,12 @@ export default class GameObject extends Component {
 			}
 		if (component instanceof Collider)
 			this._colliders.push(component);
+		if (component instanceof Rigidbody)
+			if (this._rigidbody == null) {
+				this._rigidbody = component;
+			} else {
+				throw "A rigidbody is already attached to this gameObject!";
+			}
 		component.gameObject = this;
 		this.components.push(component);
 		return component;
@@ -86,6 +154,8 @@ export default class GameObject extends Component {
 	removeComponent(component) {
 		if(component instanceof Collider)
 			this._colliders.splice(this._colliders.indexOf(component), 1);
+		if (component == this._rigidbody)
+			this._rigidbody = null;
 		this.components.splice(this.components.indexOf(component), 1); 
 	}
 
@@ -108,23 +178,81 @@ export default class GameObject extends Component {
 	 * @returns [Component]
 	 */
 	getComponents(type) {
-		outs = [];
+		const outs = [];
 		for (const component of this.components)
 			if (component instanceof type)
 				outs.push(component);
 		return outs;
 	}
 
+	/**
+	 * The user-defined tags of the gameObject, used for finding it with scene.findByTag()
+	 * @type {Set<String>}
+	 */
+	get tags() { return this._tags; }
+	set tags(value) { this._tags = new Set(value); }
+
+	/**
+	 * True if the gameObject has the user-defined tag
+	 * @param {String} tag
+	 */
+	hasTag(tag) {
+		return this._tags.has(tag);
+	}
+
+	/**
+	 * True if any of the gameObject's colliders has the tag
+	 * @param {String} tag One of the colliderTags
+	 */
+	hasColliderTag(tag) {
+		return this._colliders.some(collider => collider.tag == tag);
+	}
+
+	/**
+	 * The attached rigidbody, null if there's none
+	 * @type {?Rigidbody}
+	 */
+	get rigidbody() { return this._rigidbody; }
+
 	/** 
 	 * Calls update() on gameobject and on it's components
 	 * Do not override, unless you know what you're doing
 	 * @private
 	 */
-	tick(tick) {
-		this.update(tick);
+	tick(tick, deltaTime) {
+		this._lastPosition = this.position;
+		this.update(tick, deltaTime);
 		for (const component of this.components)
 			if (component.enabled)
-				component.update(tick);
+				component.update(tick, deltaTime);
+	}
+
+	/**
+	 * Returns the position between the one at the start of the last tick and the current one
+	 * @param {Number} alpha 0.0 for the last position, 1.0 for the current one
+	 * @returns {Vector2}
+	 */
+	getInterpolatedPosition(alpha) {
+		const position = this.position;
+		if (this._lastPosition == null)
+			return position;
+		return this._lastPosition.add(position.substract(this._lastPosition).multiply(alpha));
+	}
+
+	/**
+	 * The parent of the gameObject. Setting it keeps the localPosition
+	 * @type {GameObject}
+	 */
+	get parent() { return this._parent; }
+	set parent(value) {
+		if (this._parent == value)
+			return;
+		if (this._parent != null)
+			this._parent.children.splice(this._parent.children.indexOf(this), 1);
+		this._parent = value;
+		if (value != null)
+			value.children.push(this);
+		this._invalidateColliders();
 	}
 
 	/**
@@ -133,7 +261,7 @@ export default class GameObject extends Component {
 	get position() {
 		if(this.parent == null)
 			return this.localPosition;
-		return (this.parent.position.add(this.localPosition)).clone();
+		return this.parent.transformPoint(this.localPosition);
 	}
 
 	/** @public */
@@ -146,10 +274,36 @@ export default class GameObject extends Component {
 		const delta = value.substract(currentPosition);
 		// If no collider is attached, we set it's position
 		if (this._colliders.length == 0) {
-			this.localPosition = this.localPosition.add(delta);
+			this.localPosition = this.localPosition.add(this.toLocalDelta(delta));
+			return;
+		}
+
+		// The continuous colliders stop at the first solid collider on the way, instead of passing through it
+		let time = 1;
+		for (const col of this._colliders)
+			if (col.continuous && col.collisionCheckMethod == COLLISION_CHECK_METHOD.ON_MOVED)
+				time = Math.min(time, col.sweepCollision(delta));
+		if (time < 1) {
+			// Up to the contact, then a pixel further, so the collision is found and undone like without the sweep
+			this._moveChecked(delta.multiply(time));
+			this._moveChecked(delta.normalized.multiply(Math.min(1, delta.magnitude * (1 - time))));
+			return;
+		}
+		this._moveChecked(delta);
+	}
+
+	/**
+	 * Moves the gameObject, checking the collisions of it's ON_MOVED colliders
+	 * @private
+	 * @param {Vector2} delta The move in world space
+	 */
+	_moveChecked(delta) {
+		// A dynamic rigidbody slides along or bounces off the solid colliders, instead of undoing the move
+		const rigidbody = this._rigidbody;
+		if (rigidbody != null && rigidbody.enabled && !rigidbody.isKinematic) {
+			rigidbody.move(delta);
 			return;
 		}
-		
 
 		/**
 		 * tries to move the gameobject by deltaX and deltaY
@@ -159,7 +313,7 @@ export default class GameObject extends Component {
 		 */
 		const collisionCheck = function(obj, deltaX, deltaY) {
 			const lastPosition = obj.localPosition;
-			obj.localPosition = obj.localPosition.add({x: deltaX, y: deltaY});
+			obj.localPosition = obj.localPosition.add(obj.toLocalDelta(new Vector2(deltaX, deltaY)));
 			
 			for (const col of obj._colliders)
 				if(col.collisionCheckMethod == COLLISION_CHECK_METHOD.ON_MOVED && col.updateCollision()) {
@@ -179,7 +333,120 @@ export default class GameObject extends Component {
 
 	/** @type {Vector2} */
 	get localPosition() {return this._localPosition.clone(); }
-	set localPosition(value) { this._localPosition = new Vector2(value); }
+	set localPosition(value) {
+		this._localPosition = new Vector2(value);
+		this._invalidateColliders();
+	}
+
+	/**
+	 * The rotation relative to the parent in radians
+	 * @type {Number}
+	 */
+	get localRotation() { return this._localRotation; }
+	set localRotation(value) {
+		this._localRotation = value;
+		this._invalidateColliders();
+	}
+
+	/**
+	 * The rotation in world space in radians
+	 * @type {Number}
+	 */
+	get rotation() {
+		if (this.parent == null)
+			return this.localRotation;
+		return this.parent.rotation + this.localRotation;
+	}
+	set rotation(value) {
+		this.localRotation = (this.parent == null) ? value : value - this.parent.rotation;
+	}
+
+	/** 
+	 * The scale relative to the parent
+	 * @type {Vector2} */
+	get localScale() { return this._localScale.clone(); }
+	set localScale(value) {
+		this._localScale = new Vector2(value);
+		this._invalidateColliders();
+	}
+
+	/**
+	 * Tells the broadphase that the colliders of the gameObject and it's children moved
+	 * @private
+	 */
+	_invalidateColliders() {
+		for (const collider of this._colliders)
+			broadphase.invalidate(collider);
+		for (const child of this.children)
+			child._invalidateColliders();
+	}
+
+	/**
+	 * The scale in world space
+	 * @type {Vector2}
+	 */
+	get scale() {
+		if (this.parent == null)
+			return this.localScale;
+		return this.parent.scale.scale(this.localScale);
+	}
+	set scale(value) {
+		value = new Vector2(value);
+		if (this.parent != null) {
+			const parentScale = this.parent.scale;
+			value = new Vector2(value.x / parentScale.x, value.y / parentScale.y);
+		}
+		this.localScale = value;
+	}
+
+	/**
+	 * Converts a point from the gameObject's local space to world space
+	 * @param {Vector2} point 
+	 * @returns {Vector2}
+	 */
+	transformPoint(point) {
+		return this.transformVector(point).add(this.position);
+	}
+
+	/**
+	 * Converts a point from world space to the gameObject's local space
+	 * @param {Vector2} point 
+	 * @returns {Vector2}
+	 */
+	inverseTransformPoint(point) {
+		return this.inverseTransformVector(new Vector2(point).substract(this.position));
+	}
+
+	/**
+	 * Converts a vector (direction and length) from the gameObject's local space to world space.
+	 * Unlike transformPoint() it's not affected by the position
+	 * @param {Vector2} vector 
+	 * @returns {Vector2}
+	 */
+	transformVector(vector) {
+		return new Vector2(vector).scale(this.scale).rotate(this.rotation);
+	}
+
+	/**
+	 * Converts a vector (direction and length) from world space to the gameObject's local space.
+	 * @param {Vector2} vector 
+	 * @returns {Vector2}
+	 */
+	inverseTransformVector(vector) {
+		const scale = this.scale;
+		const rotated = new Vector2(vector).rotate(-this.rotation);
+		return new Vector2(rotated.x / scale.x, rotated.y / scale.y);
+	}
+
+	/**
+	 * Converts a movement in world space to the space of the localPosition
+	 * @private
+	 * @param {Vector2} delta 
+	 * @returns {Vector2}
+	 */
+	toLocalDelta(delta) {
+		return (this.parent == null) ? delta : this.parent.inverseTransformVector(delta);
+	}
 
 	/** @type {Vector2} */
 	get size() { return this._size.clone(); }
@@ -223,7 +490,8 @@ export default class GameObject extends Component {
 	get sprite() {return (this._animator == null) ? this._sprite : this._animator.sprite;}
 	/** @public */
 	set sprite(sprite) {
-		this._spriteRect = sprite.getSpriteRect(0,0);
+		if (sprite != null)
+			this._spriteRect = sprite.getSpriteRect(0,0);
 		this._sprite = sprite;
 	}
 	/**
@@ -248,22 +516,104 @@ export default class GameObject extends Component {
 	/** @public */
 	set spriteFlipY(value)  {this._spriteFlip.y = value;}
 
-	/** @public
+	/**
+	 * Draws the sprite with a single colour for a few ticks (eg.: flashing white when it's hit)
+	 * @param {String} color
+	 * @param {Number} ticks
+	 */
+	flash(color = "white", ticks = 4) {
+		if (this._flash != null)
+			this.stopCoroutine(this._flash);
+		this.spriteFlash = color;
+		this._flash = this.startCoroutine(function* () {
+			yield waitTicks(ticks);
+			this.spriteFlash = null;
+			this._flash = null;
+		});
+	}
+
+	/**
+	 * True after the gameObject got destroyed, even if it's only removed at the end of the tick
+	 * @type {Boolean} */
+	get isDestroyed() { return this._destroyed; }
+
+	/**
+	 * Brings a destroyed gameObject back, so it can be initialized again. Used by the pools
+	 * @private
+	 */
+	_revive() {
+		this._destroyed = false;
+		this._lastPosition = null;
+		// The flash's coroutine got stopped when it was destroyed
+		this.spriteFlash = null;
+		this._flash = null;
+	}
+
+	/** 
+	 * Adds the object to the active scene.
+	 * While the game is updating, it's only added at the end of the tick
+	 * @public
 	 * @param {GameObject} object
 	 * @param {Number} layer
 	 */
 	static init(object, layer = 0) {
-		 if (gameObjects[layer] == null)
-			gameObjects[layer] = [];
-		object.updateLayer = layer;
-		gameObjects[layer].push(object);
+		const scene = Scene.active;
+		GameObject.defer(() => {
+			scene.add(object, layer);
+			for (const component of object.components)
+				if (component != null)
+					component.onInit();
+			object.onInit();
+		});
 		return object;
 	}
 
+	/**
+	 * Calls the callback at the end of the tick if the game is updating, otherwise right away
+	 * @private
+	 * @param {Function} callback
+	 */
+	static defer(callback) {
+		if (GameObject.isUpdating)
+			deferredChanges.push(callback);
+		else
+			callback();
+	}
+
+	/**
+	 * Applies the spawns and destroys queued while updating, in the order they happened
+	 * Called by the game loop at the end of every tick
+	 * @private
+	 */
+	static applyChanges() {
+		// Applying a change might queue new ones (eg.: onDestroy spawning an explosion)
+		while (deferredChanges.length > 0)
+			deferredChanges.shift()();
+	}
+
+
+	/** @type {String[]} */
+	static get serializedFields() {
+		return [...super.serializedFields,
+			"name", "tags", "sprite", "spriteRect", "size", "localPosition", "localRotation", "localScale",
+			"hidden", "spriteFlipX", "spriteFlipY", "spriteAlpha", "spriteTint", "spriteOutline", "spriteBlendMode",
+			"canvasPosition", "renderLayer", "z"];
+	}
 
 	/** Shorthand for GameObject.destroy(this, delay); */
 	destroy(delay = 0) { GameObject.destroy(this, delay); }
 
 }
 /** The current tick since the game started */
-GameObject.tick = 0;
\ No newline at end of file
+GameObject.tick = 0;
+/** The time between two ticks in seconds */
+GameObject.deltaTime = 0;
+/**
+ * While true, the spawns and destroys are queued until the end of the tick
+ * @private
+ * @type {Boolean}
+ */
+GameObject.isUpdating = false;
+
+/** @type {Function[]} */
+const deferredChanges = [];
\ No newline at end of file
@@ -13,7 +13,9 @@ export const InputMethods = {
 	/** @constant 1 */
 	KEYBOARD: 1, 
 	/** @constant 2 */
-	TOUCH: 2 
+	TOUCH: 2,
+	/** @constant 3 */
+	VIRTUAL: 3
 };
 
 /** @typedef {Object} KeyboardControls
@@ -115,6 +117,24 @@ export class Button extends Input {
 	onReleased(callback) {
 		return this._listeners.on(Button.listenerTypes.Released, callback);
 	}
+
+	/**
+	 * Removes a listener added with onPressed()
+	 * @param {CallableFunction} callback 
+	 * @public
+	 */
+	offPressed(callback) {
+		this._listeners.off(Button.listenerTypes.Pressed, callback);
+	}
+
+	/**
+	 * Removes a listener added with onReleased()
+	 * @param {CallableFunction} callback 
+	 * @public
+	 */
+	offReleased(callback) {
+		this._listeners.off(Button.listenerTypes.Released, callback);
+	}
 }
 
 Button.listenerTypes = {Pressed: 0, Released: 1};
@@ -156,6 +176,15 @@ export class Axis extends Input {
 	onChanged(callback) {
 		return this._listeners.on(Axis.listenerTypes.Changed, callback);
 	}
+
+	/**
+	 * Removes a listener added with onChanged()
+	 * @param {CallableFunction} callback 
+	 * @public
+	 */
+	offChanged(callback) {
+		this._listeners.off(Axis.listenerTypes.Changed, callback);
+	}
 }
 /** 
  * The types of listeners that's supported for the axis input
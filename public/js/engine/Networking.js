@@ -2,6 +2,7 @@ import {Controller, OnNewControllerListener, foreachController, SetControllerSta
 import {networkConfig, axisConfig} from "../Input";
 import { Axis, Button } from "./InputManager";
 import EventHandler from "./EventHandler";
+import { ReplayPlayer } from "./Replay";
 
 /**
  * @see https://github.com/Luminighty/jelloscript/wiki/Networking
@@ -49,6 +50,12 @@ const NetworkManager = {
 	 * @param {CallableFunction} callback The function to call when a message was received
 	 */
 	onMessage: (type, callback) => {},
+	/**
+	 * Removes a listener added with onMessage
+	 * @param {String} type The type of the message
+	 * @param {CallableFunction} callback The same function that was passed to onMessage
+	 */
+	offMessage: (type, callback) => {},
 	/** Sends a typed message to the other clients
 	 * @param {String} type The type of the message to send
 	 * @param {...any} args The additional data to pass
@@ -81,7 +88,7 @@ let inputToValues = function(inputs) {};
 let addController = function(inputs, id, type, isLocal) {};
 
 
-if (typeof window.io !== 'undefined') {
+if (typeof window !== 'undefined' && typeof window.io !== 'undefined') {
 
 	const socket = window.io(/*networkConfig.host*/);
 	NetworkManager.isOnline = () => true;
@@ -293,7 +300,8 @@ if (typeof window.io !== 'undefined') {
 	});
 
 	NetworkManager.sendMessage = function(type, ...args) {
-		if (!socket)
+		// A replay only plays back the match locally, it doesn't tell the others anything
+		if (!socket || ReplayPlayer.current != null)
 			return;
 		//events.call(`messaging ${type}`, ...args);
 		socket.emit("messaging", type, args);
@@ -302,6 +310,10 @@ if (typeof window.io !== 'undefined') {
 	NetworkManager.onMessage = function(type, callback) {
 		events.on(`messaging ${type}`, callback);
 	};
+
+	NetworkManager.offMessage = function(type, callback) {
+		events.off(`messaging ${type}`, callback);
+	};
 }
 
 export default NetworkManager;
\ No newline at end of file
@@ -1,9 +1,11 @@
 import Component from "./Component";
 import { Vector2, Rect } from "./Struct";
 import GameObject from "./GameObject";
-import Sprite from "./Sprite";
+import Sprite, { blendModes } from "./Sprite";
 import EventHandler from "./EventHandler";
 import { asFunction } from "./Utils";
+import Pool from "./Pool";
+import Random from "./Random";
 
 /**
  * @see https://github.com/Luminighty/jelloscript/wiki/ParticleSystem
@@ -16,6 +18,17 @@ class ParticleObject extends GameObject {
 	 */
 	constructor(particle, parent, listeners) {
 		super(particle.size);
+		this.reset(particle, parent, listeners);
+	}
+
+	/**
+	 * Sets the object up for a new particle. Called by the pool when the object is reused
+	 * @param {Particle} particle 
+	 * @param {GameObject} parent
+	 * @param {EventHandler} listeners
+	 */
+	reset(particle, parent, listeners) {
+		this.size = particle.size;
 		this.parent = parent;
 		/** @type {Vector2} */
 		this.localPosition = particle.position.clone();
@@ -26,10 +39,16 @@ class ParticleObject extends GameObject {
 		this.lifespan = particle.lifespan;
 		this._currentLifeSpan = 0;
 		this.sprite = particle.sprite;
-		this.spriteRect = (particle.spriteRect) ? particle.spriteRect : this.spriteRect;
+		this.spriteRect = (particle.spriteRect) ? particle.spriteRect : new Rect(0,0,1,1);
 		this.spriteAlphaCallback = particle.spriteAlpha;
+		this.spriteAlpha = 1.0;
+		this.spriteBlendMode = particle.blendMode;
 
 		this._listeners = listeners;
+		/** 
+		 * The system that spawned the particle
+		 * @type {ParticleSystem} */
+		this.system = null;
 	}
 
 	update(tick) {
@@ -43,6 +62,15 @@ class ParticleObject extends GameObject {
 		this._listeners.call("update", this);
 	}
 
+	onDestroy() {
+		if (this.system == null)
+			return;
+		const index = this.system.particlesObjects.indexOf(this);
+		if (index >= 0)
+			this.system.particlesObjects.splice(index, 1);
+		this.system = null;
+	}
+
 	/** 
 	 * The current percentage of the particle's life,
 	 * 1.0 is dead,
@@ -69,6 +97,7 @@ export class Particle {
 	 * 	@param { Rect    | Function } options.spriteRect
 	 * 	@param { Number  | Function } options.spriteAlpha
 	 * 	@param { Number  | Function } options.renderingLayer
+	 * 	@param { String  | Function } options.blendMode One of the blendModes
 	 */
 	constructor(options) {
 		if (options == null)
@@ -91,6 +120,8 @@ export class Particle {
 		this._renderingLayer = asFunction(options.renderingLayer, 0);
 		/** @private @type {Function} */
 		this._spriteAlpha = asFunction(options.spriteAlpha, 1.0);
+		/** @private @type {Function} */
+		this._blendMode = asFunction(options.blendMode, blendModes.normal);
 
 		this._listeners = new EventHandler();
 	}
@@ -117,6 +148,8 @@ export class Particle {
 	get renderingLayer() {return this._renderingLayer(); }
 	/** @type {Number} */
 	get spriteAlpha() {return this._spriteAlpha; }
+	/** @type {String} */
+	get blendMode() {return this._blendMode(); }
 
 	/** @param {Vector2|Function} value */
 	set size(value) 			{this._size = asFunction(value); }
@@ -136,6 +169,8 @@ export class Particle {
 	set renderingLayer(value)	{this._renderingLayer = asFunction(value); }
 	/** @param {Number|Function} value */
 	set spriteAlpha(value)		{this._spriteAlpha = asFunction(value); }
+	/** @param {String|Function} value */
+	set blendMode(value)		{this._blendMode = asFunction(value); }
 
 	get values() {
 		return {
@@ -147,7 +182,8 @@ export class Particle {
 			sprite: this.sprite,
 			spriteRect: this.spriteRect,
 			renderingLayer: this.renderingLayer,
-			spriteAlpha: this.spriteAlpha
+			spriteAlpha: this.spriteAlpha,
+			blendMode: this.blendMode,
 		};
 	}
 
@@ -169,7 +205,7 @@ export class Particle {
 	 * @param {GameObject} parent The parent object
 	 */
 	spawn(parent) {
-		return GameObject.init(new ParticleObject(this.values, parent, this._listeners), this.renderingLayer);
+		return GameObject.init(particlePool.acquire(this.values, parent, this._listeners), this.renderingLayer);
 	}
 }
 
@@ -199,7 +235,7 @@ export class ParticleSystem extends Component {
 
 		/** @type {Particle[]} */
 		this.particles = options.particles;
-		this.nextIndex = options.nextIndex || ((length) => Math.floor(Math.random() * length));
+		this.nextIndex = options.nextIndex || ((length) => Math.floor(Random.cosmetic.next() * length));
 		this.delay = asFunction(options.delay, 20);
 		this.burst = asFunction(options.burst, 1);
 		this._currentDelay = 0;
@@ -207,9 +243,14 @@ export class ParticleSystem extends Component {
 		this.particlesObjects = [];
 	}
 
+	onInit() {
+		// Pooled gameObjects start spawning again when they're reused
+		this._currentDelay = 0;
+	}
+
 	onDestroy() {
 		
-		for (const p of this.particlesObjects) {
+		for (const p of this.particlesObjects.slice()) {
 			if (p.lifePercent < 1.0)
 				p.destroy();
 		}
@@ -233,7 +274,13 @@ export class ParticleSystem extends Component {
 		for (let i = 0; i < burst; i++) {
 			const particleIndex = this.nextIndex(this.particles.length);
 			let obj = this.particles[particleIndex].spawn(this.gameObject);
+			obj.system = this;
 			this.particlesObjects.push(obj);
 		}
 	}
-}
\ No newline at end of file
+}
+
+/** 
+ * The particle objects of every particle system
+ * @type {Pool} */
+const particlePool = new Pool("Particles", (...args) => new ParticleObject(...args), null, 1024);
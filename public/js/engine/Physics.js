@@ -0,0 +1,168 @@
+import { colliders, broadphase } from "./Collider";
+import { shapesIntersect, raycastShape, boundsOf } from "./Shapes";
+import { Vector2, Rect } from "./Struct";
+import { collisionIgnoreMatrix } from "../Config";
+
+/**
+ * @typedef {Object} RaycastHit
+ * @property {import("./Collider").default} collider
+ * @property {Vector2} point Where the ray entered the collider
+ * @property {Vector2} normal The direction the hit side of the collider faces
+ * @property {Number} distance The distance of the point from the origin of the ray
+ */
+
+/**
+ * Which colliders a query finds:
+ * a tag (eg.: colliderTags.missile) finds the ones a collider with the tag would collide with (see collisionIgnoreMatrix),
+ * an array of tags only finds the colliders with those tags, and null finds every collider
+ * @typedef {?String | String[]} TagMask
+ */
+
+/**
+ * The colliders that might be in the area
+ * @param {?Rect} area Null if it's unbounded
+ * @returns {Iterable<import("./Collider").default>}
+ */
+function candidates(area) {
+	if (!broadphase.enabled || area == null)
+		return colliders.slice();
+	return broadphase.query(area);
+}
+
+/**
+ * Whenever the query finds the collider
+ * @param {import("./Collider").default} collider
+ * @param {TagMask} tagMask
+ * @param {?import("./GameObject").default} ignore
+ */
+function isFound(collider, tagMask, ignore) {
+	const gameObject = collider.gameObject;
+	if (gameObject == null || gameObject.isDestroyed || !collider.enabled || gameObject == ignore)
+		return false;
+	if (tagMask == null)
+		return true;
+	if (Array.isArray(tagMask))
+		return tagMask.includes(collider.tag);
+	const ignored = collisionIgnoreMatrix[tagMask];
+	const ignoredByOther = collider.ignoreTagMatrix;
+	return !(ignored != null && ignored.includes(collider.tag)) && !(ignoredByOther != null && ignoredByOther.includes(tagMask));
+}
+
+/**
+ * The colliders overlapping the shape
+ * @param {import("./Shapes").Shape} shape
+ * @param {Rect} area The bounds of the shape
+ * @param {TagMask} tagMask
+ * @param {?import("./GameObject").default} ignore
+ * @returns {import("./Collider").default[]}
+ */
+function overlap(shape, area, tagMask, ignore) {
+	const found = [];
+	for (const collider of candidates(area)) {
+		if (!isFound(collider, tagMask, ignore))
+			continue;
+		const otherShape = collider.shape;
+		if (otherShape != null && shapesIntersect(shape, otherShape))
+			found.push(collider);
+	}
+	return found;
+}
+
+/**
+ * Queries the colliders without creating one (eg.: for lasers or checking the line of sight)
+ * @example
+ * 	// Only fires if there's no other enemy in the way
+ * 	const target = this.scene.nearest(Player, this.position);
+ * 	const hit = Physics.linecast(this.position, target.position, colliderTags.enemy, this);
+ * 	if (hit != null && hit.collider.gameObject == target)
+ * 		this.fire();
+ *
+ * 	const inBlast = Physics.overlapCircle(this.position, 40, [colliderTags.enemy]);
+ */
+const Physics = {
+
+	/**
+	 * The first collider the ray hits
+	 * @param {Vector2} origin
+	 * @param {Vector2} direction
+	 * @param {Number} maxDistance
+	 * @param {TagMask} tagMask
+	 * @param {import("./GameObject").default} ignore The colliders of this gameObject are skipped (eg.: the one casting the ray)
+	 * @returns {?RaycastHit} Null if it didn't hit anything
+	 */
+	raycast(origin, direction, maxDistance = Infinity, tagMask = null, ignore = null) {
+		const hits = Physics.raycastAll(origin, direction, maxDistance, tagMask, ignore);
+		return (hits.length > 0) ? hits[0] : null;
+	},
+
+	/**
+	 * Every collider the ray hits (eg.: for a laser going through everything)
+	 * @param {Vector2} origin
+	 * @param {Vector2} direction
+	 * @param {Number} maxDistance
+	 * @param {TagMask} tagMask
+	 * @param {import("./GameObject").default} ignore The colliders of this gameObject are skipped
+	 * @returns {RaycastHit[]} The hits from the closest to the furthest
+	 */
+	raycastAll(origin, direction, maxDistance = Infinity, tagMask = null, ignore = null) {
+		origin = new Vector2(origin);
+		direction = new Vector2(direction).normalized;
+		if (direction.sqrMagnitude == 0)
+			return [];
+		const area = isFinite(maxDistance) ? boundsOf([origin, origin.add(direction.multiply(maxDistance))]) : null;
+		const hits = [];
+		for (const collider of candidates(area)) {
+			if (!isFound(collider, tagMask, ignore))
+				continue;
+			const shape = collider.shape;
+			const hit = (shape != null) ? raycastShape(shape, origin, direction, maxDistance) : null;
+			if (hit != null)
+				hits.push({collider, point: origin.add(direction.multiply(hit.distance)), normal: hit.normal, distance: hit.distance});
+		}
+		return hits.sort((a, b) => a.distance - b.distance);
+	},
+
+	/**
+	 * The first collider between the two points
+	 * @param {Vector2} from
+	 * @param {Vector2} to
+	 * @param {TagMask} tagMask
+	 * @param {import("./GameObject").default} ignore The colliders of this gameObject are skipped
+	 * @returns {?RaycastHit} Null if it didn't hit anything
+	 */
+	linecast(from, to, tagMask = null, ignore = null) {
+		const delta = new Vector2(to).substract(from);
+		return Physics.raycast(from, delta, delta.magnitude, tagMask, ignore);
+	},
+
+	/**
+	 * The colliders overlapping the box
+	 * @param {Vector2} center
+	 * @param {Vector2} size
+	 * @param {TagMask} tagMask
+	 * @param {import("./GameObject").default} ignore The colliders of this gameObject are skipped
+	 * @returns {import("./Collider").default[]}
+	 */
+	overlapBox(center, size, tagMask = null, ignore = null) {
+		center = new Vector2(center);
+		size = new Vector2(size);
+		const rect = new Rect(center.x - size.x / 2, center.y - size.y / 2, size.x, size.y);
+		return overlap({type: "rect", rect}, rect, tagMask, ignore);
+	},
+
+	/**
+	 * The colliders overlapping the circle
+	 * @param {Vector2} center
+	 * @param {Number} radius
+	 * @param {TagMask} tagMask
+	 * @param {import("./GameObject").default} ignore The colliders of this gameObject are skipped
+	 * @returns {import("./Collider").default[]}
+	 */
+	overlapCircle(center, radius, tagMask = null, ignore = null) {
+		center = new Vector2(center);
+		const area = new Rect(center.x - radius, center.y - radius, radius * 2, radius * 2);
+		return overlap({type: "circle", center, radius}, area, tagMask, ignore);
+	},
+};
+
+export default Physics;
@@ -0,0 +1,63 @@
+import Collider from "./Collider";
+import { Vector2 } from "./Struct";
+import * as Debug from "./Debug";
+import { boundsOf, isConvex } from "./Shapes";
+import { debugMode } from "../Config";
+
+/**
+ * A convex polygon collider (eg.: for pointy ships), it collides with every other collider type.
+ * The collisions are found with the separating axis theorem, so concave shapes should be split into more colliders
+ * @example
+ * 	this.addComponent(new PolygonCollider(colliderTags.player, [[0, -14], [10, 8], [-10, 8]], [0, 0], true));
+ */
+export default class PolygonCollider extends Collider {
+
+	/**
+	 * The points are relative to the gameObject's position
+	 * @param {String} tag A value from colliderTags in config.js
+	 * @param {Vector2[]} points The corners of the convex polygon in order
+	 * @param {Vector2} offset The offset of the polygon from the gameObject's position
+	 * @param {Boolean} isTrigger Is the collider a trigger or a collision
+	 * @param {Number} collisionCheckMethod A value from Collider.COLLISION_CHECK_METHOD
+	 * @param {Boolean} followRotation Whenever the polygon rotates with the gameObject (around it's position)
+	 */
+	constructor(tag, points, offset=[0,0], isTrigger = false, collisionCheckMethod = null, followRotation = false) {
+		super(tag, isTrigger, collisionCheckMethod);
+		/** @type {Vector2[]} */
+		this.points = points.map(point => new Vector2(point));
+		this.offset = new Vector2(offset);
+		/** @type {Boolean} */
+		this.followRotation = followRotation;
+		this.debugBounds = false;
+		if (!isConvex(this.points))
+			throw new Error("The points of a PolygonCollider have to form a convex polygon");
+	}
+
+	/**
+	 * The corners of the polygon in the world
+	 * @type {Vector2[]}
+	 */
+	get worldPoints() {
+		if (this.gameObject == null)
+			throw "Parent not found for Collider";
+		const position = this.gameObject.position;
+		const rotation = this.followRotation ? this.gameObject.rotation : 0;
+		return this.points.map(point => point.add(this.offset).rotate(rotation).add(position));
+	}
+
+	/** @type {import("./Struct").Rect} */
+	get bounds() { return boundsOf(this.worldPoints); }
+
+	/** @type {import("./Shapes").Shape} */
+	get shape() {
+		const points = this.worldPoints;
+		if (debugMode.isDebugOn && (this.debugBounds || PolygonCollider.debugAllBounds))
+			Debug.drawPolygon(points);
+		return {type: "polygon", points};
+	}
+
+	/** @type {String[]} */
+	static get serializedFields() { return [...super.serializedFields, "points", "offset", "followRotation"]; }
+}
+
+PolygonCollider.debugAllBounds = debugMode.Collider.bounds;
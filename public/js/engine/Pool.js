@@ -0,0 +1,91 @@
+import GameObject from "./GameObject";
+import { setStat } from "./Debug";
+
+/**
+ * Reuses objects instead of creating new ones, so spawning a lot of them doesn't cause garbage collection stutters.
+ * A pooled gameObject is released back to it's pool when it gets destroyed
+ * @public
+ * @class
+ */
+export default class Pool {
+
+	/**
+	 * @param {String} name The name shown on the debug overlay
+	 * @param {Function} create Creates a new object from the arguments of acquire()
+	 * @param {Function} reset Sets a reused object up from the arguments of acquire(). Calls object.reset(...args) by default
+	 * @param {Number} maxSize The maximum amount of free objects kept in the pool
+	 */
+	constructor(name, create, reset = null, maxSize = 256) {
+		/** @type {String} */
+		this.name = name;
+		/** @type {Number} */
+		this.maxSize = maxSize;
+		/** @private @type {Function} */
+		this._create = create;
+		/** @private @type {Function} */
+		this._reset = reset || ((object, ...args) => object.reset(...args));
+		/** @private @type {Array} */
+		this._free = [];
+		/** @private */
+		this._created = 0;
+		/** @private */
+		this._active = 0;
+	}
+
+	/**
+	 * @type {{created: Number, active: Number, free: Number}}
+	 */
+	get stats() {
+		return {created: this._created, active: this._active, free: this._free.length};
+	}
+
+	/**
+	 * Returns a free object from the pool, or creates a new one if there's none.
+	 * A gameObject still has to be initialized with GameObject.init()
+	 * @param  {...any} args Passed to the create or the reset function
+	 */
+	acquire(...args) {
+		let object = this._free.pop();
+		if (object == null) {
+			object = this._create(...args);
+			this._created++;
+		} else {
+			if (object instanceof GameObject)
+				object._revive();
+			this._reset(object, ...args);
+		}
+		object.pool = this;
+		this._active++;
+		this.updateStats();
+		return object;
+	}
+
+	/**
+	 * Puts the object back into the pool. Destroyed gameObjects are released automatically
+	 * @param {Object} object
+	 */
+	release(object) {
+		// Already released
+		if (object.pool != this)
+			return;
+		object.pool = null;
+		this._active--;
+		if (this._free.length < this.maxSize)
+			this._free.push(object);
+		this.updateStats();
+	}
+
+	/**
+	 * Removes every free object from the pool
+	 */
+	clear() {
+		this._free = [];
+		this.updateStats();
+	}
+
+	/** @private */
+	updateStats() {
+		const stats = this.stats;
+		setStat(`Pool ${this.name}`, `${stats.active} active, ${stats.free} free, ${stats.created} created`);
+	}
+}
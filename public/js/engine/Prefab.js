@@ -0,0 +1,320 @@
+import GameObject from "./GameObject";
+import BoxCollider from "./BoxCollider";
+import CircleCollider from "./CircleCollider";
+import PolygonCollider from "./PolygonCollider";
+import Rigidbody from "./Rigidbody";
+import { ParticleSystem, Particle } from "./ParticleSystem";
+import Serializer from "./Serializer";
+import { Vector2 } from "./Struct";
+import Random from "./Random";
+
+/**
+ * A box collider by default, a circle with a radius or a polygon with points
+ * @typedef {Object} ColliderDefinition
+ * @property {String} tag The collider tag (see colliderTags in the Config)
+ * @property {Number[]} size The size of a box
+ * @property {Number} radius The radius of a circle
+ * @property {Number[][]} points The corners of a convex polygon
+ * @property {Boolean} followRotation Whenever the polygon rotates with the gameObject
+ * @property {Number[]} offset
+ * @property {Boolean} isTrigger
+ * @property {Boolean} continuous Whenever the moves are swept (see Collider.continuous)
+ */
+
+/**
+ * The options of the Rigidbody
+ * @typedef {Object} RigidbodyDefinition
+ * @property {Number[]} velocity
+ * @property {Number[]} acceleration
+ * @property {Number} drag
+ * @property {Number} mass
+ * @property {Number} restitution
+ * @property {Boolean} isKinematic
+ */
+
+/**
+ * The values of the particle's options (see Particle). Use {"$random": [min, max]} for a random value on every spawn
+ * @typedef {Object} ParticleDefinition
+ * @property {String} sprite The registered name of the sprite
+ * @property {String} spriteLabel The label of the sprite's rect
+ */
+
+/**
+ * @typedef {Object} ParticleSystemDefinition
+ * @property {ParticleDefinition[]} particles
+ * @property {Number} delay
+ * @property {Number} burst
+ * @property {Boolean} enabled True by default
+ */
+
+/**
+ * @typedef {Object} ChildDefinition A prefab definition, or a reference to an other prefab with "prefab"
+ * @property {String} prefab The name of the prefab to instantiate
+ * @property {Number[]} position The localPosition of the child
+ */
+
+/**
+ * @typedef {Object} PrefabDefinition
+ * @property {String} extends The name of the prefab this one is based on. The values missing from this one are taken from it
+ * @property {String} type The registered name of the gameObject's class, "GameObject" by default
+ * @property {Number} layer The update layer
+ * @property {String} renderLayer The name of the render layer, by default it's the one of the update layer
+ * @property {String} sprite The registered name of the sprite (eg.: "sprites.enemies.basic")
+ * @property {String} spriteLabel The label of the sprite's rect
+ * @property {Number[]} size
+ * @property {Object.<string, any>} fields Values set on the gameObject (eg.: stats)
+ * @property {ColliderDefinition[]} colliders
+ * @property {RigidbodyDefinition} rigidbody
+ * @property {ParticleSystemDefinition[]} particleSystems
+ * @property {ChildDefinition[]} children
+ */
+
+/**
+ * @callback PrefabFactory
+ * @param {Object.<string, any>} fields The prefab's fields and the localPosition
+ * @param {...any} args The extra arguments of instantiate()
+ * @returns {GameObject} A new instance, the prefab's values are set on it afterwards
+ */
+
+/** @type {Object.<string, PrefabDefinition>} */
+const definitions = {};
+/** @type {Object.<string, {type: Function, factory: PrefabFactory}>} */
+const types = {};
+
+/**
+ * Builds gameObjects from definitions loaded from JSON files, so new variants don't need any code.
+ * Every file contains the prefab definitions by their names
+ * @example
+ * 	// data/enemies.json
+ * 	{
+ * 		"enemy_basic": {
+ * 			"type": "Enemy",
+ * 			"layer": 20,
+ * 			"sprite": "sprites.enemies.basic",
+ * 			"fields": {"maxHealth": 20},
+ * 			"colliders": [{"tag": "enemy", "size": [20, 20], "isTrigger": true}]
+ * 		}
+ * 	}
+ *
+ * 	Prefab.register(Enemy, (fields) => new Enemy(fields.localPosition, {}));
+ * 	await Prefab.load("./data/enemies.json");
+ * 	GameObject.instantiate("enemy_basic", [100, 0]);
+ */
+const Prefab = {
+
+	/**
+	 * Registers a gameObject type, so prefabs can use it
+	 * @param {Function} type The class
+	 * @param {PrefabFactory} factory Creates a new instance. By default the constructor is called without arguments
+	 * @param {String} name The name used in the definitions, the class name by default
+	 */
+	register(type, factory = () => new type(), name = type.name) {
+		types[name] = {type, factory};
+	},
+
+	/**
+	 * Adds a prefab definition. An existing one with the same name is replaced
+	 * @param {String} name
+	 * @param {PrefabDefinition} definition
+	 */
+	define(name, definition) {
+		definitions[name] = definition;
+	},
+
+	/**
+	 * Adds every definition of the object
+	 * @param {Object.<string, PrefabDefinition>} definitions The definitions by their names (eg.: the content of a prefab file)
+	 */
+	defineAll(definitions) {
+		for (const name in definitions)
+			if (definitions.hasOwnProperty(name))
+				this.define(name, definitions[name]);
+	},
+
+	/**
+	 * Loads the prefab files
+	 * @param {...String} paths
+	 * @returns {Promise} Resolves after every file got loaded
+	 */
+	load(...paths) {
+		return Promise.all(paths.map(path =>
+			fetch(path)
+				.then(response => {
+					if (!response.ok)
+						throw new Error(`Couldn't load the prefabs from ${path}`);
+					return response.json();
+				})
+				.then(definitions => this.defineAll(definitions))));
+	},
+
+	/**
+	 * True if there's a prefab with the name
+	 * @param {String} name
+	 */
+	has(name) {
+		return definitions.hasOwnProperty(name);
+	},
+
+	/**
+	 * Returns the definition with the values of the prefabs it extends
+	 * @param {String} name
+	 * @returns {PrefabDefinition}
+	 */
+	get(name) {
+		if (!this.has(name))
+			throw new Error(`There's no prefab named ${name}`);
+		return resolve(definitions[name], [name]);
+	},
+
+	/**
+	 * The names of the prefabs of the type (eg.: every enemy)
+	 * @param {String} type The registered name of the type
+	 * @returns {String[]}
+	 */
+	namesOfType(type) {
+		return Object.keys(definitions).filter(name => (this.get(name).type || "GameObject") == type);
+	},
+
+	/**
+	 * Builds and initializes the gameObject of the prefab
+	 * @param {String} name
+	 * @param {Vector2} position The localPosition of the new gameObject
+	 * @param {...any} args Passed to the type's factory
+	 * @returns {GameObject}
+	 */
+	instantiate(name, position = null, ...args) {
+		return build(this.get(name), position, null, args);
+	},
+};
+
+/**
+ * Merges the definition with the ones it extends
+ * @param {PrefabDefinition} definition
+ * @param {String[]} names The prefabs already visited, used to detect loops
+ * @returns {PrefabDefinition}
+ */
+function resolve(definition, names) {
+	if (definition.extends == null)
+		return definition;
+	if (names.includes(definition.extends))
+		throw new Error(`The prefab ${names[0]} extends itself`);
+	if (!Prefab.has(definition.extends))
+		throw new Error(`There's no prefab named ${definition.extends}`);
+	const base = resolve(definitions[definition.extends], [...names, definition.extends]);
+	const result = Object.assign({}, base, definition);
+	result.fields = Object.assign({}, base.fields, definition.fields);
+	delete result.extends;
+	return result;
+}
+
+/**
+ * @param {PrefabDefinition} definition
+ * @param {Vector2} position
+ * @param {GameObject} parent
+ * @param {any[]} args
+ * @returns {GameObject}
+ */
+function build(definition, position, parent, args) {
+	const typeName = definition.type || "GameObject";
+	const type = types[typeName];
+	if (type == null)
+		throw new Error(`The type ${typeName} is not registered for prefabs`);
+
+	const fields = Serializer.decode(definition.fields || {});
+	if (position != null)
+		fields.localPosition = new Vector2(position);
+	const gameObject = type.factory(fields, ...args);
+	gameObject.parent = parent;
+
+	if (definition.sprite != null)
+		gameObject.sprite = Serializer.decode({$resource: definition.sprite});
+	if (definition.spriteLabel != null)
+		gameObject.spriteRect = gameObject.sprite.getSpriteFromLabel(definition.spriteLabel);
+	if (definition.size != null)
+		gameObject.size = definition.size;
+	if (definition.renderLayer != null)
+		gameObject.renderLayer = definition.renderLayer;
+	for (const field in fields)
+		if (fields.hasOwnProperty(field))
+			gameObject[field] = fields[field];
+
+	for (const collider of definition.colliders || [])
+		gameObject.addComponent(createCollider(collider));
+	if (definition.rigidbody != null)
+		gameObject.addComponent(new Rigidbody(definition.rigidbody));
+	for (const system of definition.particleSystems || [])
+		gameObject.addComponent(new ParticleSystem({
+			particles: system.particles.map(createParticle),
+			delay: system.delay,
+			burst: system.burst,
+		}, system.enabled != false));
+
+	GameObject.init(gameObject, definition.layer || 0);
+
+	for (const child of definition.children || []) {
+		const childDefinition = (child.prefab != null) ? Prefab.get(child.prefab) : resolve(child, []);
+		build(childDefinition, child.position, gameObject, []);
+	}
+	return gameObject;
+}
+
+/**
+ * @param {ColliderDefinition} definition
+ * @returns {import("./Collider").default}
+ */
+function createCollider(definition) {
+	const offset = definition.offset || [0, 0];
+	let collider;
+	if (definition.radius != null)
+		collider = new CircleCollider(definition.tag, definition.radius, offset, definition.isTrigger);
+	else if (definition.points != null)
+		collider = new PolygonCollider(definition.tag, definition.points, offset, definition.isTrigger, null, definition.followRotation);
+	else
+		collider = new BoxCollider(definition.tag, definition.size, offset, definition.isTrigger);
+	collider.continuous = definition.continuous || false;
+	return collider;
+}
+
+/**
+ * @param {ParticleDefinition} definition
+ * @returns {Particle}
+ */
+function createParticle(definition) {
+	const options = {};
+	for (const key in definition)
+		if (definition.hasOwnProperty(key) && key != "spriteLabel")
+			options[key] = decodeOption(definition[key]);
+	if (definition.sprite != null)
+		options.sprite = Serializer.decode({$resource: definition.sprite});
+	if (definition.spriteLabel != null)
+		options.spriteRect = options.sprite.getSpriteFromLabel(definition.spriteLabel);
+	return new Particle(options);
+}
+
+/**
+ * Converts a {"$random": [min, max]} option to a function, that picks a new value every time
+ * @param {any} value
+ */
+function decodeOption(value) {
+	if (value == null || value.$random == null)
+		return value;
+	const [min, max] = value.$random;
+	if (Array.isArray(min))
+		return () => new Vector2(min[0] + Random.cosmetic.next() * (max[0] - min[0]), min[1] + Random.cosmetic.next() * (max[1] - min[1]));
+	return () => min + Random.cosmetic.next() * (max - min);
+}
+
+Prefab.register(GameObject);
+
+/**
+ * Builds the prefab and adds it to the active scene. Shorthand for Prefab.instantiate()
+ * @example
+ * 	GameObject.instantiate("enemy_basic", [100, 0]);
+ * @param {String} name
+ * @param {Vector2} position The localPosition of the new gameObject
+ * @param {...any} args Passed to the type's factory
+ * @returns {GameObject}
+ */
+GameObject.instantiate = (name, position = null, ...args) => Prefab.instantiate(name, position, ...args);
+
+export default Prefab;
@@ -0,0 +1,188 @@
+/**
+ * A seedable pseudo random number generator (mulberry32).
+ * The same seed always gives the same sequence of numbers
+ * @public
+ * @class
+ */
+export class RandomStream {
+
+	/**
+	 * @param {Number} seed A 32 bit integer. A random one by default
+	 */
+	constructor(seed = Random.newSeed()) {
+		/** @private */
+		this._seed = 0;
+		/** @private */
+		this._state = 0;
+		this.reset(seed);
+	}
+
+	/**
+	 * The seed the stream was created or last reset with
+	 * @type {Number}
+	 */
+	get seed() { return this._seed; }
+
+	/**
+	 * The current position in the sequence. Setting it continues the sequence from there (eg.: loading a saved game)
+	 * @type {Number}
+	 */
+	get state() { return this._state; }
+	set state(value) { this._state = value >>> 0; }
+
+	/**
+	 * Starts the sequence of the seed from the beginning
+	 * @param {Number} seed
+	 */
+	reset(seed) {
+		this._seed = seed >>> 0;
+		this._state = this._seed;
+	}
+
+	/**
+	 * The next number of the sequence, same as Math.random()
+	 * @returns {Number} [0.0 ; 1.0)
+	 */
+	next() {
+		this._state = (this._state + 0x6D2B79F5) >>> 0;
+		let t = this._state;
+		t = Math.imul(t ^ (t >>> 15), t | 1);
+		t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+		return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+	}
+
+	/**
+	 * A random number between min and max
+	 * @param {Number} min Inclusive
+	 * @param {Number} max Exclusive
+	 */
+	range(min, max) {
+		return min + this.next() * (max - min);
+	}
+
+	/**
+	 * A random integer between min and max
+	 * @param {Number} min Inclusive
+	 * @param {Number} max Exclusive
+	 */
+	int(min, max) {
+		return Math.floor(this.range(min, max));
+	}
+
+	/**
+	 * A random element of the array
+	 * @param {Array} array
+	 */
+	pick(array) {
+		return array[this.int(0, array.length)];
+	}
+}
+
+/**
+ * @typedef {Object} RandomState
+ * @property {Number} seed
+ * @property {Object.<string, Number>} streams The states of the named streams
+ */
+
+/**
+ * The random number generators of the game.
+ * The named streams are seeded from the game's seed, so the same seed gives the same match.
+ * Things that don't affect the gameplay (eg.: particles) use the cosmetic stream instead,
+ * so they can't push the gameplay streams out of sync
+ * @example
+ * 	Random.setSeed(1234);
+ * 	const delay = Random.gameplay.int(10, 60);
+ * 	const color = decide([1, 1], ["RED", "BLUE"], Random.stream("colors"));
+ */
+const Random = {
+	/** @private */
+	_seed: 0,
+	/**
+	 * @private
+	 * @type {Object.<string, RandomStream>} */
+	_streams: {},
+
+	/**
+	 * The seed of the named streams
+	 * @type {Number}
+	 */
+	get seed() { return this._seed; },
+
+	/**
+	 * Restarts every named stream from the new seed
+	 * @param {Number} seed
+	 */
+	setSeed(seed) {
+		this._seed = seed >>> 0;
+		for (const name in this._streams)
+			if (this._streams.hasOwnProperty(name))
+				this._streams[name].reset(streamSeed(this._seed, name));
+	},
+
+	/**
+	 * Returns the stream with the name, creating it on the first use
+	 * @param {String} name
+	 * @returns {RandomStream}
+	 */
+	stream(name) {
+		if (!this._streams.hasOwnProperty(name))
+			this._streams[name] = new RandomStream(streamSeed(this._seed, name));
+		return this._streams[name];
+	},
+
+	/**
+	 * The seeded stream used for the gameplay (eg.: spawning)
+	 * @type {RandomStream}
+	 */
+	get gameplay() { return this.stream("gameplay"); },
+
+	/**
+	 * The unseeded stream for the things that don't affect the gameplay (eg.: particles)
+	 * @type {RandomStream}
+	 */
+	cosmetic: null,
+
+	/**
+	 * A new random seed
+	 * @returns {Number}
+	 */
+	newSeed() {
+		return Math.floor(Math.random() * 4294967296);
+	},
+
+	/**
+	 * The seed and the position of every named stream
+	 * @type {RandomState}
+	 */
+	get state() {
+		const streams = {};
+		for (const name in this._streams)
+			if (this._streams.hasOwnProperty(name))
+				streams[name] = this._streams[name].state;
+		return {seed: this._seed, streams};
+	},
+	set state(value) {
+		this.setSeed(value.seed);
+		for (const name in value.streams)
+			if (value.streams.hasOwnProperty(name))
+				this.stream(name).state = value.streams[name];
+	},
+};
+
+/**
+ * The seed of a named stream, so the streams with the same seed don't give the same numbers
+ * @param {Number} seed
+ * @param {String} name
+ * @returns {Number}
+ */
+function streamSeed(seed, name) {
+	let hash = seed ^ 0x811C9DC5;
+	for (let i = 0; i < name.length; i++)
+		hash = Math.imul(hash ^ name.charCodeAt(i), 0x01000193);
+	return hash >>> 0;
+}
+
+Random._seed = Random.newSeed();
+Random.cosmetic = new RandomStream();
+
+export default Random;
@@ -0,0 +1,135 @@
+import { renderLayers } from "../Config";
+
+/**
+ * The order the gameObjects of a render layer are drawn in
+ * @enum {String}
+ */
+export const sortModes = {
+	/** By their update layers, then in the order they were initialized */
+	insertion: "insertion",
+	/** The ones lower on the screen are drawn on top (eg.: top-down characters) */
+	y: "y",
+	/** By their z, the higher ones are drawn on top */
+	z: "z",
+};
+
+/**
+ * @typedef {Object} RenderLayerConfig
+ * @property {String} name
+ * @property {String} sort One of the sortModes, insertion by default
+ * @property {Number} parallax How much it moves with the camera. 1 by default, 0 stays in place (eg.: UI), 0.5 moves half as fast (eg.: distant background)
+ * @property {Boolean} visible True by default
+ * @property {Number[]} updateLayers The gameObjects of these update layers are drawn on this layer, unless their renderLayer is set
+ */
+
+/**
+ * A named group of gameObjects drawn together.
+ * The layers are declared in the Config's renderLayers and drawn in that order, independently from the update layers.
+ * A gameObject is drawn on the layer of it's renderLayer, or the one it's update layer belongs to, or the "default" layer
+ * @example
+ * 	// Config.js
+ * 	export const renderLayers = [
+ * 		{name: "background", parallax: 0.5, updateLayers: [0]},
+ * 		{name: "default", sort: "y"},
+ * 		{name: "ui", parallax: 0},
+ * 	];
+ *
+ * 	healthBar.renderLayer = "ui";
+ * 	RenderLayer.get("background").visible = false;
+ * @public
+ * @class
+ */
+export default class RenderLayer {
+
+	/** @param {RenderLayerConfig} config */
+	constructor(config) {
+		/** @type {String} */
+		this.name = config.name;
+		/** @type {String} */
+		this.sort = config.sort || sortModes.insertion;
+		/** @type {Number} */
+		this.parallax = (config.parallax != null) ? config.parallax : 1;
+		/** @type {Boolean} */
+		this.visible = config.visible != false;
+		/** @type {Number[]} */
+		this.updateLayers = config.updateLayers || [];
+		if (!sortModes.hasOwnProperty(this.sort))
+			throw new Error(`The render layer ${this.name} has an unknown sort mode: ${this.sort}`);
+	}
+
+	/**
+	 * Sorts the layer's gameObjects in the order they should be drawn
+	 * @param {import("./GameObject").default[]} gameObjects In insertion order
+	 * @returns {import("./GameObject").default[]}
+	 */
+	order(gameObjects) {
+		switch (this.sort) {
+			case sortModes.y:
+				return gameObjects.sort((a, b) => a.position.y - b.position.y);
+			case sortModes.z:
+				return gameObjects.sort((a, b) => a.z - b.z);
+			default:
+				return gameObjects;
+		}
+	}
+
+	/**
+	 * Returns the render layer with the name
+	 * @param {String} name
+	 * @returns {RenderLayer}
+	 */
+	static get(name) {
+		const layer = RenderLayer.layers.find(layer => layer.name == name);
+		if (layer == null)
+			throw new Error(`There's no render layer named ${name}`);
+		return layer;
+	}
+
+	/**
+	 * The render layer the gameObjects of the update layer are drawn on by default
+	 * @param {Number} updateLayer
+	 * @returns {RenderLayer}
+	 */
+	static ofUpdateLayer(updateLayer) {
+		const layer = RenderLayer.layers.find(layer => layer.updateLayers.includes(updateLayer));
+		return (layer != null) ? layer : RenderLayer.get("default");
+	}
+
+	/**
+	 * The render layer the gameObject is drawn on
+	 * @param {import("./GameObject").default} gameObject
+	 * @returns {RenderLayer}
+	 */
+	static of(gameObject) {
+		if (gameObject.renderLayer != null)
+			return RenderLayer.get(gameObject.renderLayer);
+		return RenderLayer.ofUpdateLayer(gameObject.updateLayer);
+	}
+
+	/**
+	 * Groups the gameObjects by their render layers
+	 * @param {import("./GameObject").default[][]} layers The gameObjects by their update layers (eg.: scene.gameObjects)
+	 * @returns {import("./GameObject").default[][]} The sorted gameObjects of every render layer, in the order of RenderLayer.layers
+	 */
+	static group(layers) {
+		const groups = RenderLayer.layers.map(() => []);
+		for (let index = 0; index < layers.length; index++) {
+			if (layers[index] == null)
+				continue;
+			const defaultGroup = groups[RenderLayer.layers.indexOf(RenderLayer.ofUpdateLayer(index))];
+			for (const gameObject of layers[index]) {
+				const group = (gameObject.renderLayer != null) ? groups[RenderLayer.layers.indexOf(RenderLayer.get(gameObject.renderLayer))] : defaultGroup;
+				group.push(gameObject);
+			}
+		}
+		return groups.map((group, index) => RenderLayer.layers[index].order(group));
+	}
+}
+
+/**
+ * The render layers in drawing order, created from the Config's renderLayers
+ * @type {RenderLayer[]}
+ */
+RenderLayer.layers = renderLayers.map(config => new RenderLayer(config));
+if (!RenderLayer.layers.some(layer => layer.name == "default"))
+	RenderLayer.layers.push(new RenderLayer({name: "default"}));
@@ -0,0 +1,445 @@
+import { VirtualController, GetController, foreachController, OnNewControllerListener, OffNewControllerListener } from "./Controller";
+import { Axis, Button } from "./InputManager";
+import Scene from "./Scene";
+import Random from "./Random";
+import Time from "./Time";
+
+/**
+ * @typedef {Object} ReplayControllerData
+ * @property {{buttons: Object.<string, number>, axes: Object.<string, number>}} states The states of the inputs when it got recorded
+ * @property {?Number} joined The tick the controller got attached, null if it was there from the start
+ * @property {any} data The game's data about the controller (eg.: the colour of it's ship)
+ */
+
+/**
+ * @typedef {Object} ReplayEvent A change of an input, the same as the one onInputReceived() gets
+ * @property {Number} tick The game tick the input changed before
+ * @property {Number} controller The index of the controller
+ * @property {String} key
+ * @property {Number} value
+ * @property {Boolean} isButton
+ */
+
+/**
+ * @typedef {Object} Replay
+ * @property {Number} version
+ * @property {import("./Random").RandomState} random The random state the scene started with
+ * @property {Number} length The amount of recorded game ticks
+ * @property {ReplayControllerData[]} controllers
+ * @property {ReplayEvent[]} events In the order they happened
+ */
+
+/**
+ * @callback ControllerDescriber
+ * @param {String} id The id of the controller
+ * @returns {any} JSON compatible data stored in the replay
+ */
+
+/**
+ * @callback ReplaySceneFactory
+ * @param {ReplayPlayer} player
+ * @returns {Scene} The scene the replay was recorded in
+ */
+
+/**
+ * Records every input change of the controllers, so the match can be played back with a ReplayPlayer.
+ * The random state and the ticks are stored with them, so it should be started when the scene is loaded
+ * @example
+ * 	onLoad() {
+ * 		const random = Random.state;
+ * 		// ...
+ * 		this.recorder = new ReplayRecorder(id => ({color: players[id].color}));
+ * 		this.recorder.start(random);
+ * 	}
+ * 	onUnload() {
+ * 		const json = JSON.stringify(this.recorder.stop());
+ * 	}
+ * @public
+ * @class
+ */
+export class ReplayRecorder {
+
+	/**
+	 * @param {ControllerDescriber} describe The game's data stored about every controller
+	 */
+	constructor(describe = () => null) {
+		/** @type {ControllerDescriber} */
+		this.describe = describe;
+		/** @private @type {Replay} */
+		this._replay = null;
+		/** @private */
+		this._startTick = 0;
+		/** @private */
+		this._recording = false;
+		/**
+		 * @private
+		 * @type {{controller: import("./Controller").Controller, listener: Function}[]} */
+		this._listeners = [];
+		/** @private */
+		this._onNewController = (input, id) => this._add(id, this.tick);
+	}
+
+	/** @type {Boolean} */
+	get isRecording() { return this._recording; }
+
+	/**
+	 * The amount of game ticks since the recording started
+	 * @type {Number}
+	 */
+	get tick() { return Time.tick - this._startTick; }
+
+	/**
+	 * The recorded replay, up to the current tick while recording
+	 * @type {Replay}
+	 */
+	get replay() {
+		if (this._replay == null)
+			return null;
+		if (!this.isRecording)
+			return this._replay;
+		return Object.assign({}, this._replay, {length: this.tick});
+	}
+
+	/**
+	 * Starts recording the attached and the newly attached controllers
+	 * @param {import("./Random").RandomState} random The random state the scene started with. Take it before anything used the random streams
+	 */
+	start(random = Random.state) {
+		this.stop();
+		this._startTick = Time.tick;
+		this._replay = {version: 1, random, length: null, controllers: [], events: []};
+		this._recording = true;
+		foreachController((input, id) => this._add(id, null));
+		OnNewControllerListener(this._onNewController);
+	}
+
+	/**
+	 * Stops the recording
+	 * @returns {Replay} The recorded replay
+	 */
+	stop() {
+		if (!this.isRecording)
+			return this._replay;
+		OffNewControllerListener(this._onNewController);
+		for (const {controller, listener} of this._listeners)
+			controller.offInputReceived(listener);
+		this._listeners = [];
+		this._recording = false;
+		this._replay.length = this.tick;
+		return this._replay;
+	}
+
+	/**
+	 * @private
+	 * @param {String} id
+	 * @param {?Number} joined
+	 */
+	_add(id, joined) {
+		const controller = GetController(id);
+		const index = this._replay.controllers.length;
+		this._replay.controllers.push({states: controller.states, joined, data: this.describe(id)});
+		const listener = (key, value, isButton) => {
+			this._replay.events.push({tick: this.tick, controller: index, key, value, isButton});
+		};
+		controller.onInputReceived(listener);
+		this._listeners.push({controller, listener});
+	}
+}
+
+/**
+ * The controller a ReplayPlayer plays the recorded inputs with.
+ * Instead of the game loop, the player updates it after every game tick, so it stays in sync while fast-forwarding
+ */
+class ReplayController extends VirtualController {
+
+	/** @param {ReplayControllerData} data */
+	constructor(data) {
+		super(Object.keys(data.states.buttons), Object.keys(data.states.axes));
+		for (const key in data.states.buttons)
+			if (data.states.buttons.hasOwnProperty(key))
+				this.buttons[key].state = data.states.buttons[key];
+		for (const key in data.states.axes)
+			if (data.states.axes.hasOwnProperty(key))
+				this.axes[key].state = data.states.axes[key];
+	}
+
+	update() {}
+
+	/** The state changes at the end of a game tick (eg.: pressed to held) */
+	advance() { super.update(); }
+
+	/**
+	 * Sets the input's state, the same way the original controller did
+	 * @param {ReplayEvent} event
+	 */
+	apply(event) {
+		if (event.isButton) {
+			const button = this.buttons[event.key];
+			button.state = event.value;
+			button.callListener((event.value == 1) ? Button.listenerTypes.Pressed : Button.listenerTypes.Released);
+		} else {
+			const axis = this.axes[event.key];
+			axis.state = event.value;
+			axis.callListener(Axis.listenerTypes.Changed, axis.state);
+		}
+	}
+}
+
+/**
+ * Plays back a replay through new controllers, so the game gets the same inputs at the same ticks as when it was recorded.
+ * It controls the game's Time while playing (eg.: pausing after the last recorded tick)
+ * @example
+ * 	const player = new ReplayPlayer(replay, (player) => new LevelScene(player.replay.random));
+ * 	player.play();
+ * 	player.speed = 4;
+ * 	player.seek(600);
+ * @public
+ * @class
+ */
+export class ReplayPlayer {
+
+	/**
+	 * @param {Replay} replay
+	 * @param {ReplaySceneFactory} createScene Creates the scene it was recorded in. It's loaded again on every restart
+	 */
+	constructor(replay, createScene) {
+		/** @type {Replay} */
+		this.replay = replay;
+		/** @type {ReplaySceneFactory} */
+		this.createScene = createScene;
+		/** The game ticks simulated per tick while seeking */
+		this.seekSpeed = 120;
+		/** @private @type {Scene} */
+		this._scene = null;
+		/** @private @type {?Number} */
+		this._startTick = null;
+		/** @private @type {ReplayController[]} */
+		this._controllers = [];
+		/**
+		 * The controller indices by their ids
+		 * @private
+		 * @type {Object.<string, number>} */
+		this._indices = {};
+		/** @private */
+		this._eventIndex = 0;
+		/** @private @type {?Number} */
+		this._seekTo = null;
+		/** @private */
+		this._speed = 1;
+	}
+
+	/**
+	 * The scene the replay is playing in
+	 * @type {Scene}
+	 */
+	get scene() { return this._scene; }
+
+	/**
+	 * The amount of game ticks played
+	 * @type {Number}
+	 */
+	get tick() { return (this._startTick == null) ? 0 : Time.tick - this._startTick; }
+
+	/** @type {Number} */
+	get length() { return this.replay.length; }
+
+	/**
+	 * True after every recorded tick got played
+	 * @type {Boolean}
+	 */
+	get isFinished() { return this.tick >= this.length; }
+
+	/** @type {Boolean} */
+	get isPlaying() { return current == this; }
+
+	/** @type {Boolean} */
+	get isPaused() { return Time.paused; }
+
+	/**
+	 * The speed of the playback (eg.: 4 for fast-forwarding)
+	 * @type {Number}
+	 */
+	get speed() { return this._speed; }
+	set speed(value) {
+		this._speed = value;
+		if (this._seekTo == null)
+			Time.scale = value;
+	}
+
+	/**
+	 * Starts the replay from the beginning, stopping the one currently playing.
+	 * The scene is loaded with the replay's random state on the next tick
+	 */
+	play() {
+		if (current != null)
+			current.stop();
+		current = this;
+		this._scene = this.createScene(this);
+		this._startTick = null;
+		this._eventIndex = 0;
+		this._seekTo = null;
+		for (let i = 0; i < this.replay.controllers.length; i++)
+			if (this.replay.controllers[i].joined == null)
+				this._join(i);
+		Random.state = this.replay.random;
+		Scene.load(this._scene);
+		Time.paused = false;
+		Time.scale = this._speed;
+	}
+
+	/**
+	 * Stops the replay and removes it's controllers. The scene stays loaded
+	 */
+	stop() {
+		if (current != this)
+			return;
+		current = null;
+		this._removeControllers();
+		this._seekTo = null;
+		Time.paused = false;
+		Time.scale = 1;
+	}
+
+	/** Pauses the playback, including a seek in progress */
+	pause() {
+		this._seekTo = null;
+		Time.paused = true;
+		Time.scale = this._speed;
+	}
+
+	/** Continues the playback after pause() */
+	resume() {
+		Time.paused = false;
+	}
+
+	/**
+	 * Plays the replay as fast as possible until the tick, then pauses it.
+	 * Seeking backwards restarts the replay
+	 * @param {Number} tick
+	 */
+	seek(tick) {
+		if (current != this || tick < this.tick)
+			this.play();
+		if (tick == this.tick) {
+			this.pause();
+			return;
+		}
+		this._seekTo = tick;
+		Time.paused = false;
+		Time.scale = Math.min(tick - this.tick, this.seekSpeed);
+	}
+
+	/**
+	 * The index of the controller in the replay, or -1 if it's not one of the replay's controllers
+	 * @param {String} id
+	 * @returns {Number}
+	 */
+	indexOf(id) {
+		if (this._indices.hasOwnProperty(id))
+			return this._indices[id];
+		// The new controller listeners are called by the Controller's constructor, before it's id could be stored
+		if (joining != null && joining.player == this && GetController(id) instanceof ReplayController)
+			return joining.index;
+		return -1;
+	}
+
+	/**
+	 * Returns the game's data stored about the controller (see ReplayRecorder.describe)
+	 * @param {String} id
+	 */
+	dataOf(id) {
+		const index = this.indexOf(id);
+		return (index < 0) ? null : this.replay.controllers[index].data;
+	}
+
+	/**
+	 * Applies the inputs of the tick
+	 * @private
+	 */
+	_update() {
+		if (this._startTick == null) {
+			if (!this._scene.isLoaded)
+				return;
+			this._startTick = Time.tick;
+		}
+		const tick = this.tick;
+		if (tick > 0)
+			for (const controller of this._controllers)
+				if (controller != null)
+					controller.advance();
+		for (let i = 0; i < this.replay.controllers.length; i++)
+			if (this.replay.controllers[i].joined == tick)
+				this._join(i);
+		const events = this.replay.events;
+		while (this._eventIndex < events.length && events[this._eventIndex].tick <= tick) {
+			const event = events[this._eventIndex++];
+			this._controllers[event.controller].apply(event);
+		}
+		this._updateTime(tick);
+	}
+
+	/**
+	 * Pauses the game after the last tick of the seek or the replay.
+	 * The time scale is limited, so a fast-forwarding tick doesn't run past it
+	 * @private
+	 * @param {Number} tick
+	 */
+	_updateTime(tick) {
+		const seeking = this._seekTo != null;
+		const left = (seeking ? this._seekTo : this.length) - tick - 1;
+		if (left == 0) {
+			this.pause();
+			return;
+		}
+		const speed = seeking ? this.seekSpeed : this._speed;
+		Time.scale = (left > 0) ? Math.min(speed, left) : speed;
+	}
+
+	/**
+	 * @private
+	 * @param {Number} index
+	 */
+	_join(index) {
+		joining = {player: this, index};
+		try {
+			const controller = new ReplayController(this.replay.controllers[index]);
+			this._controllers[index] = controller;
+			this._indices[controller.id] = index;
+		} finally {
+			joining = null;
+		}
+	}
+
+	/** @private */
+	_removeControllers() {
+		for (const controller of this._controllers)
+			if (controller != null)
+				controller.remove();
+		this._controllers = [];
+		this._indices = {};
+	}
+
+	/**
+	 * The replay that's currently playing
+	 * @type {ReplayPlayer}
+	 */
+	static get current() { return current; }
+
+	/**
+	 * Applies the inputs of the playing replay.
+	 * Called by the game loop before every game tick
+	 * @private
+	 */
+	static updateCurrent() {
+		if (current != null)
+			current._update();
+	}
+}
+
+/** @type {ReplayPlayer} */
+let current = null;
+/**
+ * The controller being created by a replay
+ * @type {{player: ReplayPlayer, index: Number}}
+ */
+let joining = null;
@@ -28,12 +28,17 @@ export default class Resource {
     }
 
     /** Unloads the element */
-    unload() {this._element.remove();}
+    unload() {
+        if (this._element != null)
+            this._element.remove();
+    }
 
     /** 
-     * Loads the element
+     * Loads the element. When running headless (without a DOM) the element stays null
      */
     load() { 
+        if (typeof document === "undefined")
+            return;
         this._element = document.createElement(this._tag);
         this._element.src = this.path;
         this._element.style.display = "none";
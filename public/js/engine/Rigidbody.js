@@ -0,0 +1,165 @@
+import Component from "./Component";
+import Collider, { COLLISION_CHECK_METHOD, broadphase, colliders } from "./Collider";
+import { penetration } from "./Shapes";
+import { Vector2 } from "./Struct";
+import { rigidbodyIterations } from "../Config";
+
+/**
+ * Moves the gameObject by it's velocity every tick.
+ * A dynamic body slides along or bounces off the solid colliders it runs into, and pushes the other dynamic bodies by their masses.
+ * A kinematic body is only moved by it's velocity, it's blocked like a gameObject without a rigidbody and nothing pushes it
+ * @example
+ * 	const asteroid = new GameObject();
+ * 	asteroid.addComponent(new CircleCollider(colliderTags.enemy, 12));
+ * 	asteroid.addComponent(new Rigidbody({velocity: [0, 1], mass: 4, restitution: 0.8}));
+ *
+ * 	// Knockback
+ * 	ship.rigidbody.addImpulse(ship.position.substract(missile.position).normalized.multiply(6));
+ */
+export default class Rigidbody extends Component {
+
+	/**
+	 * @param {Object} options
+	 * @param {Vector2} options.velocity The starting velocity in pixels per tick
+	 * @param {Vector2} options.acceleration Added to the velocity every tick (eg.: gravity)
+	 * @param {Number} options.drag The part of the velocity lost every tick, 0 by default
+	 * @param {Number} options.mass 1 by default
+	 * @param {Number} options.restitution How much of the speed is kept when bouncing off something, 0 slides along it and 1 bounces back fully
+	 * @param {Boolean} options.isKinematic False by default
+	 * @param {Boolean} enabled
+	 */
+	constructor(options = {}, enabled = true) {
+		super(null, enabled);
+		/**
+		 * In pixels per tick
+		 * @type {Vector2} */
+		this.velocity = new Vector2(options.velocity || [0, 0]);
+		/**
+		 * Added to the velocity every tick, it's ignored by kinematic bodies
+		 * @type {Vector2} */
+		this.acceleration = new Vector2(options.acceleration || [0, 0]);
+		/**
+		 * The part of the velocity lost every tick (0 - 1), it's ignored by kinematic bodies
+		 * @type {Number} */
+		this.drag = options.drag || 0;
+		/** @type {Number} */
+		this.mass = (options.mass != null) ? options.mass : 1;
+		/**
+		 * How much of the speed towards a collider is kept when bouncing off it (0 - 1)
+		 * @type {Number} */
+		this.restitution = options.restitution || 0;
+		/**
+		 * Whenever the body is only moved by it's velocity
+		 * @type {Boolean} */
+		this.isKinematic = options.isKinematic || false;
+	}
+
+	/** @type {String[]} */
+	static get serializedFields() { return [...super.serializedFields, "velocity", "acceleration", "drag", "mass", "restitution", "isKinematic"]; }
+
+	/**
+	 * 1 / mass, 0 for the bodies the collisions can't push
+	 * @type {Number}
+	 */
+	get inverseMass() { return (this.isKinematic || this.mass <= 0) ? 0 : 1 / this.mass; }
+
+	/**
+	 * Changes the velocity at once, the heavier bodies change less (eg.: for a knockback or an explosion)
+	 * @param {Vector2} impulse
+	 */
+	addImpulse(impulse) {
+		if (!this.isKinematic)
+			this.velocity = this.velocity.add(new Vector2(impulse).multiply(this.inverseMass));
+	}
+
+	update(tick) {
+		if (!this.isKinematic)
+			this.velocity = this.velocity.add(this.acceleration).multiply(1 - this.drag);
+		if (this.velocity.sqrMagnitude > 0)
+			this.gameObject.position = this.gameObject.position.add(this.velocity);
+	}
+
+	/**
+	 * Moves the gameObject and pushes it out of the solid colliders it ended up in.
+	 * The gameObject's position setter calls it for the dynamic bodies, use that instead
+	 * @param {Vector2} delta
+	 */
+	move(delta) {
+		const gameObject = this.gameObject;
+		gameObject.localPosition = gameObject.localPosition.add(gameObject.toLocalDelta(delta));
+
+		// The events are called where the move ended up, like without a rigidbody
+		const blocked = [];
+		for (const collider of gameObject.getComponents(Collider))
+			if (collider.collisionCheckMethod == COLLISION_CHECK_METHOD.ON_MOVED && collider.updateCollision())
+				blocked.push(collider);
+
+		// Pushing out of a collider can push into an other one
+		for (let i = 0; i < rigidbodyIterations && blocked.length > 0; i++) {
+			let resolved = false;
+			for (const collider of blocked)
+				for (const other of this._solidContacts(collider))
+					resolved = this._resolve(collider, other) || resolved;
+			if (!resolved)
+				break;
+		}
+	}
+
+	/**
+	 * The solid colliders overlapping the collider
+	 * @private
+	 * @param {Collider} collider
+	 * @returns {Collider[]}
+	 */
+	_solidContacts(collider) {
+		const bounds = collider.bounds;
+		const nearby = (broadphase.enabled && bounds != null) ? broadphase.query(bounds) : colliders;
+		const contacts = [];
+		for (const other of nearby)
+			if (other.gameObject != null && !other.gameObject.equals(this.gameObject) && !other.isTrigger &&
+				collider.canCollide(other) && collider.collides(other))
+				contacts.push(other);
+		return contacts;
+	}
+
+	/**
+	 * Separates the colliders and changes the velocities, so the bodies slide along or bounce off eachother
+	 * @private
+	 * @param {Collider} collider
+	 * @param {Collider} other
+	 * @returns {Boolean} Whenever they were separated
+	 */
+	_resolve(collider, other) {
+		const contact = penetration(collider.shape, other.shape);
+		if (contact == null)
+			return false;
+		const normal = contact.normal;
+		const body = other.gameObject.rigidbody;
+		const otherBody = (body != null && body.enabled) ? body : null;
+		const inverseMass = this.inverseMass;
+		const otherInverseMass = (otherBody != null) ? otherBody.inverseMass : 0;
+		const totalInverseMass = inverseMass + otherInverseMass;
+		if (totalInverseMass == 0)
+			return false;
+
+		// The lighter body is pushed further
+		const gameObject = this.gameObject;
+		gameObject.localPosition = gameObject.localPosition.add(gameObject.toLocalDelta(normal.multiply(contact.depth * inverseMass / totalInverseMass)));
+		if (otherInverseMass > 0) {
+			const otherObject = other.gameObject;
+			otherObject.localPosition = otherObject.localPosition.add(otherObject.toLocalDelta(normal.multiply(-contact.depth * otherInverseMass / totalInverseMass)));
+		}
+
+		const otherVelocity = (otherBody != null) ? otherBody.velocity : Vector2.zero;
+		const approach = Vector2.dot(this.velocity.substract(otherVelocity), normal);
+		// Already moving apart
+		if (approach >= 0)
+			return true;
+		const restitution = (otherBody != null) ? (this.restitution + otherBody.restitution) / 2 : this.restitution;
+		const impulse = normal.multiply(-(1 + restitution) * approach / totalInverseMass);
+		this.velocity = this.velocity.add(impulse.multiply(inverseMass));
+		if (otherInverseMass > 0)
+			otherBody.velocity = otherBody.velocity.substract(impulse.multiply(otherInverseMass));
+		return true;
+	}
+}
@@ -0,0 +1,408 @@
+import { canvasConfig } from "../Config";
+import Time from "./Time";
+
+/**
+ * A collection of gameObjects that are loaded and unloaded together (Menu, Level, Pause screen, ...)
+ * The scenes are stored in a stack, the top one being the current scene
+ * @public
+ * @class
+ */
+export default class Scene {
+
+	constructor() {
+		/**
+		 * The gameObjects of the scene by their layers
+		 * @type {import("./GameObject").default[][]} */
+		this.gameObjects = [];
+		/**
+		 * Whenever the scenes below this one are still updated while this scene is on top of them
+		 * @type {Boolean} */
+		this.updateBelow = false;
+		/**
+		 * Whenever the scenes below this one are still drawn while this scene is on top of them
+		 * @type {Boolean} */
+		this.drawBelow = false;
+		/** @private */
+		this._loaded = false;
+	}
+
+	/** @type {Boolean} */
+	get isLoaded() { return this._loaded; }
+
+	/**
+	 * Called when the scene gets loaded.
+	 * The gameObjects initialized here are added to this scene
+	 * @public
+	 */
+	onLoad() {}
+	/**
+	 * Called before the scene gets unloaded.
+	 * The remaining gameObjects are destroyed after this
+	 * @public
+	 */
+	onUnload() {}
+	/**
+	 * Called when another scene got pushed on top of this one
+	 * @public
+	 */
+	onPause() {}
+	/**
+	 * Called when the scene on top of this one got popped
+	 * @public
+	 */
+	onResume() {}
+	/**
+	 * Called every game tick before the scene's gameObjects are updated
+	 * @param {Number} tick
+	 * @param {Number} deltaTime
+	 * @public
+	 */
+	update(tick, deltaTime) {}
+
+	/**
+	 * Adds the gameObject to the scene. Use GameObject.init() instead
+	 * @param {import("./GameObject").default} object
+	 * @param {Number} layer
+	 */
+	add(object, layer = 0) {
+		if (this.gameObjects[layer] == null)
+			this.gameObjects[layer] = [];
+		object.scene = this;
+		object.updateLayer = layer;
+		this.gameObjects[layer].push(object);
+	}
+
+	/**
+	 * Removes the gameObject from the scene. Use GameObject.destroy() instead
+	 * @param {import("./GameObject").default} object
+	 */
+	remove(object) {
+		const layer = this.gameObjects[object.updateLayer];
+		const index = (layer == null) ? -1 : layer.indexOf(object);
+		if (index < 0)
+			return;
+		layer.splice(index, 1);
+		object.scene = null;
+	}
+
+	/**
+	 * @callback GameObjectFilter
+	 * @param {import("./GameObject").default} gameObject
+	 * @returns {Boolean}
+	 */
+
+	/**
+	 * Returns every gameObject of the scene the filter returns true for.
+	 * The destroyed gameObjects are skipped, even if they're only removed at the end of the tick
+	 * @param {GameObjectFilter} filter
+	 * @returns {import("./GameObject").default[]}
+	 */
+	findAll(filter = () => true) {
+		const found = [];
+		for (const layer of this.gameObjects)
+			if (layer != null)
+				for (const gameObject of layer)
+					if (!gameObject.isDestroyed && filter(gameObject))
+						found.push(gameObject);
+		return found;
+	}
+
+	/**
+	 * Returns the first gameObject the filter returns true for, or null if there's none
+	 * @param {GameObjectFilter} filter
+	 * @returns {import("./GameObject").default}
+	 */
+	find(filter) {
+		for (const layer of this.gameObjects)
+			if (layer != null)
+				for (const gameObject of layer)
+					if (!gameObject.isDestroyed && filter(gameObject))
+						return gameObject;
+		return null;
+	}
+
+	/**
+	 * Returns every gameObject of the class, including the subclasses
+	 * @param {Function} type The class
+	 * @returns {import("./GameObject").default[]}
+	 */
+	findByType(type) {
+		return this.findAll(gameObject => gameObject instanceof type);
+	}
+
+	/**
+	 * Returns every gameObject with a collider of the tag
+	 * @param {String} tag One of the colliderTags
+	 * @returns {import("./GameObject").default[]}
+	 */
+	findByColliderTag(tag) {
+		return this.findAll(gameObject => gameObject.hasColliderTag(tag));
+	}
+
+	/**
+	 * Returns every gameObject with the user-defined tag
+	 * @param {String} tag
+	 * @returns {import("./GameObject").default[]}
+	 */
+	findByTag(tag) {
+		return this.findAll(gameObject => gameObject.hasTag(tag));
+	}
+
+	/**
+	 * Returns the first gameObject with the name, or null if there's none
+	 * @param {String} name
+	 * @returns {import("./GameObject").default}
+	 */
+	findByName(name) {
+		return this.find(gameObject => gameObject.name == name);
+	}
+
+	/**
+	 * Returns the gameObject of the class closest to the point, or null if there's none
+	 * @param {Function} type The class
+	 * @param {import("./Struct").Vector2} point
+	 * @param {GameObjectFilter} filter Additional condition (eg.: skipping the dead ships)
+	 * @returns {import("./GameObject").default}
+	 */
+	nearest(type, point, filter = () => true) {
+		let nearest = null;
+		let nearestDistance = Infinity;
+		for (const gameObject of this.findAll(gameObject => gameObject instanceof type && filter(gameObject))) {
+			const distance = gameObject.position.substract(point).sqrMagnitude;
+			if (distance < nearestDistance) {
+				nearest = gameObject;
+				nearestDistance = distance;
+			}
+		}
+		return nearest;
+	}
+
+	/**
+	 * Updates the scene and it's gameObjects
+	 * Do not override, unless you know what you're doing
+	 * @private
+	 * @param {Number} tick
+	 * @param {Number} deltaTime
+	 * @param {Boolean} unscaled Whenever to update the unscaled layers or the rest of them
+	 */
+	tick(tick, deltaTime, unscaled) {
+		Scene._context = this;
+		if (!unscaled)
+			this.update(tick, deltaTime);
+		for (let index = 0; index < this.gameObjects.length; index++) {
+			const layer = this.gameObjects[index];
+			if (layer == null || Time.isUnscaledLayer(index) != unscaled)
+				continue;
+			for (const gameObject of layer)
+				// Destroyed gameObjects are only removed at the end of the tick
+				if (gameObject.enabled && !gameObject.isDestroyed)
+					gameObject.tick(tick, deltaTime);
+		}
+		Scene._context = null;
+	}
+
+	/** @private */
+	_load() {
+		this._loaded = true;
+		Scene._context = this;
+		this.onLoad();
+		Scene._context = null;
+	}
+
+	/** @private */
+	_unload() {
+		this.onUnload();
+		for (const layer of this.gameObjects)
+			if (layer != null)
+				for (const gameObject of layer.slice())
+					// It might have been destroyed together with an other object
+					if (gameObject.scene == this)
+						gameObject.destroy();
+		this.gameObjects = [];
+		this._loaded = false;
+	}
+
+	/**
+	 * The scene on the top of the stack
+	 * @type {Scene}
+	 */
+	static get current() {
+		return (Scene.stack.length > 0) ? Scene.stack[Scene.stack.length - 1] : null;
+	}
+
+	/**
+	 * The scene new gameObjects are added to.
+	 * While a scene is being loaded or updated it's that scene, otherwise the current one
+	 * @type {Scene}
+	 */
+	static get active() {
+		if (Scene._context != null)
+			return Scene._context;
+		if (Scene.current == null)
+			Scene.stack.push(new Scene());
+		return Scene.current;
+	}
+
+	/**
+	 * The scenes that should be updated, from the top of the stack downwards
+	 * @type {Scene[]}
+	 */
+	static get updatedScenes() {
+		const scenes = [];
+		for (let i = Scene.stack.length - 1; i >= 0; i--) {
+			scenes.push(Scene.stack[i]);
+			if (!Scene.stack[i].updateBelow)
+				break;
+		}
+		return scenes;
+	}
+
+	/**
+	 * The scenes that should be drawn, in drawing order (bottom to top)
+	 * @type {Scene[]}
+	 */
+	static get drawnScenes() {
+		let i = Scene.stack.length - 1;
+		while (i > 0 && Scene.stack[i].drawBelow)
+			i--;
+		return Scene.stack.slice(Math.max(i, 0));
+	}
+
+	/**
+	 * Unloads every scene in the stack and loads the new scene.
+	 * The change happens at the start of the next tick
+	 * @param {Scene} scene
+	 * @param {SceneTransition} transition
+	 */
+	static load(scene, transition = null) {
+		pendingChanges.push({transition, apply: () => {
+			while (Scene.stack.length > 0)
+				Scene.stack.pop()._unload();
+			Scene.stack.push(scene);
+			scene._load();
+		}});
+	}
+
+	/**
+	 * Loads the scene on top of the current one (eg.: pause menu)
+	 * The change happens at the start of the next tick
+	 * @param {Scene} scene
+	 * @param {SceneTransition} transition
+	 */
+	static push(scene, transition = null) {
+		pendingChanges.push({transition, apply: () => {
+			if (Scene.current != null)
+				Scene.current.onPause();
+			Scene.stack.push(scene);
+			scene._load();
+		}});
+	}
+
+	/**
+	 * Unloads the current scene and resumes the one below it
+	 * The change happens at the start of the next tick
+	 * @param {SceneTransition} transition
+	 */
+	static pop(transition = null) {
+		pendingChanges.push({transition, apply: () => {
+			if (Scene.stack.length == 0)
+				return;
+			Scene.stack.pop()._unload();
+			if (Scene.current != null)
+				Scene.current.onResume();
+		}});
+	}
+
+	/**
+	 * Applies the pending scene changes and advances the transition
+	 * Called by the game loop every tick
+	 * @private
+	 */
+	static updateStack() {
+		if (currentTransition == null) {
+			const change = pendingChanges.shift();
+			if (change == null)
+				return;
+			if (change.transition == null) {
+				change.apply();
+				return;
+			}
+			currentTransition = {transition: change.transition, apply: change.apply, tick: 0};
+		}
+		const half = currentTransition.transition.duration / 2;
+		currentTransition.tick++;
+		if (currentTransition.apply != null && currentTransition.tick >= half) {
+			currentTransition.apply();
+			currentTransition.apply = null;
+		}
+		if (currentTransition.tick >= half * 2)
+			currentTransition = null;
+	}
+
+	/**
+	 * Draws the current transition
+	 * @private
+	 * @param {CanvasRenderingContext2D} canvas
+	 */
+	static drawTransition(canvas) {
+		if (currentTransition == null)
+			return;
+		const half = currentTransition.transition.duration / 2;
+		const progress = 1 - Math.abs(currentTransition.tick - half) / half;
+		currentTransition.transition.draw(canvas, Math.min(Math.max(progress, 0), 1));
+	}
+}
+
+/**
+ * The loaded scenes, the last one is the current scene
+ * @type {Scene[]}
+ */
+Scene.stack = [];
+/**
+ * The scene that's being loaded or updated
+ * @private
+ * @type {Scene}
+ */
+Scene._context = null;
+
+/**
+ * The scene changes waiting for the next tick
+ * @type {{transition: SceneTransition, apply: Function}[]}
+ */
+const pendingChanges = [];
+/** @type {{transition: SceneTransition, apply: Function, tick: Number}} */
+let currentTransition = null;
+
+
+/**
+ * A fade to color transition between two scenes.
+ * Extend it and override draw() for custom transitions
+ * @public
+ * @class
+ */
+export class SceneTransition {
+
+	/**
+	 * @param {Number} duration The length of the whole transition in ticks. The scene changes halfway through
+	 * @param {String} color The color to fade to
+	 */
+	constructor(duration = 30, color = "black") {
+		/** @type {Number} */
+		this.duration = duration;
+		/** @type {String} */
+		this.color = color;
+	}
+
+	/**
+	 * Draws the transition on top of the scenes
+	 * @param {CanvasRenderingContext2D} canvas
+	 * @param {Number} progress 0.0 when the scene is fully visible, 1.0 when it's fully covered
+	 */
+	draw(canvas, progress) {
+		canvas.save();
+		canvas.globalAlpha = progress;
+		canvas.fillStyle = this.color;
+		canvas.fillRect(0, 0, canvasConfig.size.x, canvasConfig.size.y);
+		canvas.restore();
+	}
+}
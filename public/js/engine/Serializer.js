@@ -0,0 +1,342 @@
+import GameObject from "./GameObject";
+import Component from "./Component";
+import BoxCollider from "./BoxCollider";
+import CircleCollider from "./CircleCollider";
+import PolygonCollider from "./PolygonCollider";
+import Rigidbody from "./Rigidbody";
+import Resource from "./Resource";
+import { Vector2, Rect } from "./Struct";
+
+/**
+ * @typedef {Object} SerializedComponent
+ * @property {String} type The registered name of the component's type
+ * @property {Object.<string, any>} fields The values of the type's serializedFields
+ */
+
+/**
+ * @typedef {Object} SerializedGameObject
+ * @property {Number} id The id of the gameObject when it was serialized
+ * @property {String} type The registered name of the gameObject's type
+ * @property {Number} layer The update layer of the gameObject
+ * @property {?Number} parent The id of the parent
+ * @property {Object.<string, any>} fields The values of the type's serializedFields
+ * @property {?SerializedComponent[]} components Null for the components that aren't serialized
+ */
+
+/**
+ * @typedef {Object} SerializedLayers
+ * @property {Number} version
+ * @property {SerializedGameObject[]} objects
+ */
+
+/**
+ * @callback SerializerFactory
+ * @param {Object.<string, any>} fields The deserialized fields, the gameObject references are not resolved yet
+ * @returns {Component} A new instance, the fields are set on it afterwards
+ */
+
+/**
+ * @typedef {Object} SerializedType
+ * @property {String} name
+ * @property {Function} type
+ * @property {SerializerFactory} factory
+ */
+
+/** @type {Object.<string, SerializedType>} */
+const typesByName = {};
+/** @type {Map<Function, SerializedType>} */
+const typesByClass = new Map();
+/** @type {Object.<string, Resource>} */
+const resourcesByName = {};
+/** @type {Map<Resource, String>} */
+const resourceNames = new Map();
+let engineTypesRegistered = false;
+
+/**
+ * Converts gameObjects and their components to JSON compatible data and back.
+ *
+ * Only the registered types are serialized, and only the fields in their static serializedFields.
+ * The gameObjects of other types are expected to be recreated by their owners (eg.: thrusters, particles)
+ * @example
+ * 	class Turret extends GameObject {
+ * 		static get serializedFields() { return [...super.serializedFields, "ammo"]; }
+ * 	}
+ * 	Serializer.register(Turret);
+ *
+ * 	const json = JSON.stringify(Serializer.serialize(scene.gameObjects));
+ * 	Serializer.deserialize(JSON.parse(json));
+ */
+const Serializer = {
+
+	/**
+	 * Registers a gameObject or component type, so it can be serialized
+	 * @param {Function} type The class
+	 * @param {SerializerFactory} factory Creates a new instance. By default the constructor is called without arguments
+	 * @param {String} name The name stored in the data. It must be unique, the class name by default
+	 */
+	register(type, factory = () => new type(), name = type.name) {
+		if (typesByName[name] != null && typesByName[name].type != type)
+			throw new Error(`An other type is already registered as ${name}`);
+		const entry = {name, type, factory};
+		typesByName[name] = entry;
+		typesByClass.set(type, entry);
+	},
+
+	/**
+	 * Registers every resource (Sprite, Sound) in the object by their path in the object
+	 * @example
+	 * 	Serializer.registerResources({sprites, sounds});
+	 * 	// sprites.enemies.basic is stored as "sprites.enemies.basic"
+	 * @param {Object} resources
+	 * @param {String} prefix
+	 */
+	registerResources(resources, prefix = "") {
+		for (const key in resources) {
+			if (resources.hasOwnProperty(key)) {
+				const resource = resources[key];
+				const name = prefix + key;
+				if (resource instanceof Resource) {
+					resourcesByName[name] = resource;
+					resourceNames.set(resource, name);
+				} else if (resource != null && typeof resource == "object") {
+					this.registerResources(resource, `${name}.`);
+				}
+			}
+		}
+	},
+
+	/**
+	 * True if the gameObject or component's type is registered
+	 * @param {Component} object
+	 */
+	isSerializable(object) {
+		registerEngineTypes();
+		return object != null && typesByClass.has(object.constructor);
+	},
+
+	/**
+	 * Converts a value of the serialized data back (eg.: {$resource: "sprites.stars"} to the sprite).
+	 * The gameObject references are resolved to null
+	 * @param {any} value
+	 */
+	decode(value) {
+		return decode(value, {});
+	},
+
+	/**
+	 * Serializes the layers of gameObjects (eg.: scene.gameObjects)
+	 * @param {GameObject[][]} layers
+	 * @returns {SerializedLayers}
+	 */
+	serialize(layers) {
+		const objects = [];
+		for (let layer = 0; layer < layers.length; layer++) {
+			if (layers[layer] == null)
+				continue;
+			for (const gameObject of layers[layer])
+				if (this.isSerializable(gameObject) && !gameObject.isDestroyed)
+					objects.push(serializeGameObject(gameObject, layer));
+		}
+		return {version: 1, objects};
+	},
+
+	/**
+	 * Creates the serialized gameObjects and initializes them on their layers in the active scene
+	 * @param {SerializedLayers} data
+	 * @returns {GameObject[]} The new gameObjects
+	 */
+	deserialize(data) {
+		/** @type {Object.<number, GameObject>} */
+		const refs = {};
+		const created = [];
+		for (const record of data.objects) {
+			const gameObject = create(record, refs);
+			refs[record.id] = gameObject;
+			created.push(gameObject);
+		}
+		// The fields can reference each other, so they're only set after every gameObject exists
+		for (let i = 0; i < created.length; i++) {
+			const record = data.objects[i];
+			const gameObject = created[i];
+			applyFields(gameObject, record.fields, refs);
+			applyComponents(gameObject, record.components, refs);
+			gameObject.parent = (record.parent != null && refs[record.parent] != null) ? refs[record.parent] : null;
+			GameObject.init(gameObject, record.layer);
+		}
+		return created;
+	},
+};
+
+/**
+ * @param {GameObject} gameObject
+ * @param {Number} layer
+ * @returns {SerializedGameObject}
+ */
+function serializeGameObject(gameObject, layer) {
+	const parent = gameObject.parent;
+	return {
+		id: gameObject.id,
+		type: typesByClass.get(gameObject.constructor).name,
+		layer,
+		parent: (parent != null && Serializer.isSerializable(parent)) ? parent.id : null,
+		fields: serializeFields(gameObject),
+		components: gameObject.components.map(component =>
+			Serializer.isSerializable(component) ? {
+				type: typesByClass.get(component.constructor).name,
+				fields: serializeFields(component),
+			} : null),
+	};
+}
+
+/**
+ * @param {Component} object
+ * @returns {Object.<string, any>}
+ */
+function serializeFields(object) {
+	const fields = {};
+	for (const field of object.constructor.serializedFields) {
+		const value = encode(object[field]);
+		if (value !== undefined)
+			fields[field] = value;
+	}
+	return fields;
+}
+
+/**
+ * Converts the value to a JSON compatible value. Functions are skipped
+ * @param {any} value
+ */
+function encode(value) {
+	if (value == null)
+		return null;
+	if (typeof value == "function")
+		return undefined;
+	if (typeof value != "object")
+		return value;
+	if (value instanceof Vector2)
+		return {$vector: [value.x, value.y]};
+	if (value instanceof Rect)
+		return {$rect: [value.x, value.y, value.w, value.h]};
+	if (value instanceof GameObject)
+		return {$ref: value.id};
+	if (value instanceof Resource) {
+		if (!resourceNames.has(value))
+			throw new Error(`The resource ${value.path} is not registered`);
+		return {$resource: resourceNames.get(value)};
+	}
+	if (value instanceof Set)
+		return {$set: [...value].map(encode)};
+	if (Array.isArray(value))
+		return value.map(encode);
+	const result = {};
+	for (const key in value) {
+		if (value.hasOwnProperty(key)) {
+			const encoded = encode(value[key]);
+			if (encoded !== undefined)
+				result[key] = encoded;
+		}
+	}
+	return result;
+}
+
+/**
+ * Converts the value back from encode()
+ * @param {any} value
+ * @param {Object.<number, GameObject>} refs The gameObjects by their serialized id
+ */
+function decode(value, refs) {
+	if (value == null || typeof value != "object")
+		return value;
+	if (Array.isArray(value))
+		return value.map(element => decode(element, refs));
+	if (value.$vector)
+		return new Vector2(value.$vector);
+	if (value.$rect)
+		return new Rect(value.$rect);
+	if (value.$set)
+		return new Set(decode(value.$set, refs));
+	if (value.$ref != null)
+		return (refs[value.$ref] != null) ? refs[value.$ref] : null;
+	if (value.$resource != null) {
+		if (resourcesByName[value.$resource] == null)
+			throw new Error(`The resource ${value.$resource} is not registered`);
+		return resourcesByName[value.$resource];
+	}
+	const result = {};
+	for (const key in value)
+		if (value.hasOwnProperty(key))
+			result[key] = decode(value[key], refs);
+	return result;
+}
+
+/**
+ * @param {String} name
+ * @returns {SerializedType}
+ */
+function getType(name) {
+	registerEngineTypes();
+	const type = typesByName[name];
+	if (type == null)
+		throw new Error(`The type ${name} is not registered`);
+	return type;
+}
+
+/**
+ * @param {SerializedGameObject} record
+ * @param {Object.<number, GameObject>} refs
+ * @returns {GameObject}
+ */
+function create(record, refs) {
+	return getType(record.type).factory(decode(record.fields, refs));
+}
+
+/**
+ * Sets the fields in the order of the type's serializedFields
+ * @param {Component} object
+ * @param {Object.<string, any>} fields
+ * @param {Object.<number, GameObject>} refs
+ */
+function applyFields(object, fields, refs) {
+	for (const field of object.constructor.serializedFields)
+		if (fields.hasOwnProperty(field))
+			object[field] = decode(fields[field], refs);
+}
+
+/**
+ * The components created by the gameObject's constructor are reused, the missing ones are added
+ * @param {GameObject} gameObject
+ * @param {?SerializedComponent[]} components
+ * @param {Object.<number, GameObject>} refs
+ */
+function applyComponents(gameObject, components, refs) {
+	for (let i = 0; i < components.length; i++) {
+		const record = components[i];
+		if (record == null)
+			continue;
+		const type = getType(record.type);
+		let component = gameObject.components[i];
+		if (!(component instanceof type.type))
+			component = gameObject.addComponent(type.factory(decode(record.fields, refs)));
+		applyFields(component, record.fields, refs);
+	}
+}
+
+/**
+ * Registers the engine's own types on the first use.
+ * It can't happen while the modules are loaded, as GameObject imports this module through the Assets
+ */
+function registerEngineTypes() {
+	if (engineTypesRegistered)
+		return;
+	engineTypesRegistered = true;
+	Serializer.register(GameObject);
+	Serializer.register(BoxCollider, (fields) =>
+		new BoxCollider(fields.tag, fields.size, fields.offset, fields.isTrigger, fields.collisionCheckMethod));
+	Serializer.register(CircleCollider, (fields) =>
+		new CircleCollider(fields.tag, fields.radius, fields.offset, fields.isTrigger, fields.collisionCheckMethod));
+	Serializer.register(PolygonCollider, (fields) =>
+		new PolygonCollider(fields.tag, fields.points, fields.offset, fields.isTrigger, fields.collisionCheckMethod, fields.followRotation));
+	Serializer.register(Rigidbody);
+}
+
+export default Serializer;
@@ -0,0 +1,396 @@
+import { Vector2, Rect } from "./Struct";
+import { minCollisionDistance } from "../Config";
+
+/**
+ * The area of a collider in the world
+ * @typedef {Object} Shape
+ * @property {String} type "rect", "circle" or "polygon"
+ * @property {Rect} rect The area of a "rect"
+ * @property {Vector2} center The center of a "circle"
+ * @property {Number} radius The radius of a "circle"
+ * @property {Vector2[]} points The corners of a convex "polygon" in order
+ */
+
+/**
+ * The smallest and the biggest value of the points along the axis
+ * @param {Vector2[]} points
+ * @param {Vector2} axis
+ * @returns {Number[]}
+ */
+function project(points, axis) {
+	let min = Infinity;
+	let max = -Infinity;
+	for (const point of points) {
+		const value = Vector2.dot(point, axis);
+		min = Math.min(min, value);
+		max = Math.max(max, value);
+	}
+	return [min, max];
+}
+
+/**
+ * Whenever the projections don't overlap more than the minCollisionDistance
+ * @param {Number[]} a
+ * @param {Number[]} b
+ */
+function separated(a, b) {
+	return a[0] + minCollisionDistance >= b[1] || b[0] + minCollisionDistance >= a[1];
+}
+
+/**
+ * The normals of the polygon's edges, the axes the separating axis theorem checks
+ * @param {Vector2[]} points
+ * @returns {Vector2[]}
+ */
+function edgeNormals(points) {
+	const normals = [];
+	for (let i = 0; i < points.length; i++) {
+		const edge = points[(i + 1) % points.length].substract(points[i]);
+		// The repeated corners don't have an edge
+		if (edge.sqrMagnitude > 0)
+			normals.push(new Vector2(-edge.y, edge.x).normalized);
+	}
+	return normals;
+}
+
+/**
+ * The corners of the rect, clockwise from the top left
+ * @param {Rect} rect
+ * @returns {Vector2[]}
+ */
+export function rectPoints(rect) {
+	return [rect.topLeft, rect.topRight, rect.bottomRight, rect.bottomLeft];
+}
+
+/**
+ * The smallest rect containing the points
+ * @param {Vector2[]} points
+ * @returns {Rect}
+ */
+export function boundsOf(points) {
+	const x = project(points, new Vector2(1, 0));
+	const y = project(points, new Vector2(0, 1));
+	return new Rect(x[0], y[0], x[1] - x[0], y[1] - y[0]);
+}
+
+/**
+ * Whenever the polygon is convex, the separating axis theorem only works with those
+ * @param {Vector2[]} points
+ */
+export function isConvex(points) {
+	let sign = 0;
+	for (let i = 0; i < points.length; i++) {
+		const a = points[i];
+		const b = points[(i + 1) % points.length];
+		const c = points[(i + 2) % points.length];
+		const cross = (b.x - a.x) * (c.y - b.y) - (b.y - a.y) * (c.x - b.x);
+		if (cross == 0)
+			continue;
+		if (sign != 0 && Math.sign(cross) != sign)
+			return false;
+		sign = Math.sign(cross);
+	}
+	return points.length >= 3;
+}
+
+/**
+ * Checks whenever 2 rects intersects as collision
+ * @param {Rect} a
+ * @param {Rect} b
+ */
+export function rectsIntersect(a, b) {
+	return !(a.minX + minCollisionDistance >= b.maxX ||
+			 a.minY + minCollisionDistance >= b.maxY ||
+			 b.minX + minCollisionDistance >= a.maxX ||
+			 b.minY + minCollisionDistance >= a.maxY);
+}
+
+/**
+ * @param {Shape} a
+ * @param {Shape} b
+ */
+export function circlesIntersect(a, b) {
+	const distance = a.radius + b.radius - minCollisionDistance;
+	return distance > 0 && b.center.substract(a.center).sqrMagnitude < distance * distance;
+}
+
+/**
+ * @param {Shape} circle
+ * @param {Rect} rect
+ */
+export function circleIntersectsRect(circle, rect) {
+	const center = circle.center;
+	const closest = new Vector2(Math.min(Math.max(center.x, rect.minX), rect.maxX), Math.min(Math.max(center.y, rect.minY), rect.maxY));
+	// The center inside the rect
+	if (closest.equals(center))
+		return true;
+	const distance = circle.radius - minCollisionDistance;
+	return distance > 0 && center.substract(closest).sqrMagnitude < distance * distance;
+}
+
+/**
+ * The separating axis theorem for 2 convex polygons
+ * @param {Vector2[]} a
+ * @param {Vector2[]} b
+ */
+export function polygonsIntersect(a, b) {
+	for (const axis of [...edgeNormals(a), ...edgeNormals(b)])
+		if (separated(project(a, axis), project(b, axis)))
+			return false;
+	return true;
+}
+
+/**
+ * The separating axis theorem for a circle and a convex polygon.
+ * Besides the edges, the axis from the closest corner to the center is checked
+ * @param {Shape} circle
+ * @param {Vector2[]} points
+ */
+export function circleIntersectsPolygon(circle, points) {
+	const center = circle.center;
+	let closest = points[0];
+	for (const point of points)
+		if (point.substract(center).sqrMagnitude < closest.substract(center).sqrMagnitude)
+			closest = point;
+	const axes = edgeNormals(points);
+	const toCenter = center.substract(closest);
+	if (toCenter.sqrMagnitude > 0)
+		axes.push(toCenter.normalized);
+	for (const axis of axes) {
+		const projected = Vector2.dot(center, axis);
+		if (separated([projected - circle.radius, projected + circle.radius], project(points, axis)))
+			return false;
+	}
+	return true;
+}
+
+/**
+ * Whenever the 2 shapes overlap more than the minCollisionDistance
+ * @param {Shape} a
+ * @param {Shape} b
+ * @returns {Boolean}
+ */
+export function shapesIntersect(a, b) {
+	if (a.type == "circle" && b.type == "circle")
+		return circlesIntersect(a, b);
+	if (a.type == "rect" && b.type == "rect")
+		return rectsIntersect(a.rect, b.rect);
+	if (a.type == "circle" || b.type == "circle") {
+		const circle = (a.type == "circle") ? a : b;
+		const other = (a.type == "circle") ? b : a;
+		return (other.type == "rect") ? circleIntersectsRect(circle, other.rect) : circleIntersectsPolygon(circle, other.points);
+	}
+	return polygonsIntersect(pointsOf(a), pointsOf(b));
+}
+
+/**
+ * The corners of a rect or a polygon
+ * @param {Shape} shape
+ * @returns {Vector2[]}
+ */
+function pointsOf(shape) {
+	return (shape.type == "rect") ? rectPoints(shape.rect) : shape.points;
+}
+
+/**
+ * The same shape moved by the offset
+ * @param {Shape} shape
+ * @param {Vector2} offset
+ * @returns {Shape}
+ */
+export function translateShape(shape, offset) {
+	if (shape.type == "circle")
+		return {type: "circle", center: shape.center.add(offset), radius: shape.radius};
+	if (shape.type == "rect")
+		return {type: "rect", rect: new Rect(shape.rect.x + offset.x, shape.rect.y + offset.y, shape.rect.w, shape.rect.h)};
+	return {type: "polygon", points: shape.points.map(point => point.add(offset))};
+}
+
+/**
+ * When the moving rect overlaps the other one, the slab method with the other rect grown by the size of the moving one
+ * @param {Rect} rect
+ * @param {Vector2} delta The move of the rect
+ * @param {Rect} other
+ * @returns {?Number[]} The part of the move where they start and stop overlapping (0 - 1), null if they don't overlap during the move
+ */
+export function sweepRects(rect, delta, other) {
+	let enter = 0;
+	let exit = 1;
+	const axes = [[rect.minX, rect.maxX, other.minX, other.maxX, delta.x], [rect.minY, rect.maxY, other.minY, other.maxY, delta.y]];
+	for (const [min, max, otherMin, otherMax, move] of axes) {
+		if (move == 0) {
+			if (max <= otherMin || otherMax <= min)
+				return null;
+			continue;
+		}
+		let start = (otherMin - max) / move;
+		let end = (otherMax - min) / move;
+		if (start > end)
+			[start, end] = [end, start];
+		enter = Math.max(enter, start);
+		exit = Math.min(exit, end);
+		if (enter >= exit)
+			return null;
+	}
+	return [enter, exit];
+}
+
+/**
+ * The average of the points, it's inside the convex polygon
+ * @param {Vector2[]} points
+ * @returns {Vector2}
+ */
+function centerOf(points) {
+	let center = Vector2.zero;
+	for (const point of points)
+		center = center.add(point);
+	return center.divide(points.length);
+}
+
+/**
+ * The smallest and the biggest value of the shape along the axis
+ * @param {Shape} shape
+ * @param {Vector2} axis
+ * @returns {Number[]}
+ */
+function projectShape(shape, axis) {
+	if (shape.type != "circle")
+		return project(pointsOf(shape), axis);
+	const center = Vector2.dot(shape.center, axis);
+	return [center - shape.radius, center + shape.radius];
+}
+
+/**
+ * The shortest move pushing the first shape out of the second one (the separating axis theorem again)
+ * @param {Shape} a
+ * @param {Shape} b
+ * @returns {?{normal: Vector2, depth: Number}} Null if they don't overlap. The normal faces from b towards a
+ */
+export function penetration(a, b) {
+	if (a.type == "circle" && b.type == "circle") {
+		const delta = a.center.substract(b.center);
+		const depth = a.radius + b.radius - delta.magnitude;
+		if (depth <= 0)
+			return null;
+		// The same centers are pushed apart upwards
+		return {normal: (delta.sqrMagnitude > 0) ? delta.normalized : new Vector2(0, -1), depth};
+	}
+	const axes = [];
+	for (const shape of [a, b])
+		if (shape.type != "circle")
+			axes.push(...edgeNormals(pointsOf(shape)));
+	// The axis from the circle's center to the closest corner
+	for (const [circle, other] of [[a, b], [b, a]]) {
+		if (circle.type != "circle")
+			continue;
+		let closest = null;
+		for (const point of pointsOf(other))
+			if (closest == null || point.substract(circle.center).sqrMagnitude < closest.substract(circle.center).sqrMagnitude)
+				closest = point;
+		const toCenter = circle.center.substract(closest);
+		if (toCenter.sqrMagnitude > 0)
+			axes.push(toCenter.normalized);
+	}
+
+	let depth = Infinity;
+	let normal = null;
+	for (const axis of axes) {
+		const projectedA = projectShape(a, axis);
+		const projectedB = projectShape(b, axis);
+		const overlap = Math.min(projectedA[1] - projectedB[0], projectedB[1] - projectedA[0]);
+		if (overlap <= 0)
+			return null;
+		if (overlap < depth) {
+			depth = overlap;
+			normal = axis;
+		}
+	}
+	if (normal == null)
+		return null;
+	const centerA = (a.type == "circle") ? a.center : centerOf(pointsOf(a));
+	const centerB = (b.type == "circle") ? b.center : centerOf(pointsOf(b));
+	if (Vector2.dot(centerA.substract(centerB), normal) < 0)
+		normal = normal.negate();
+	return {normal, depth};
+}
+
+/**
+ * Where the ray enters the shape
+ * @param {Shape} shape
+ * @param {Vector2} origin
+ * @param {Vector2} direction Normalized
+ * @param {Number} maxDistance
+ * @returns {?{distance: Number, normal: Vector2}} Null if the ray misses it. A ray starting inside hits right away, with a normal facing back at it
+ */
+export function raycastShape(shape, origin, direction, maxDistance) {
+	if (shape.type == "circle")
+		return raycastCircle(shape, origin, direction, maxDistance);
+	return raycastPolygon(pointsOf(shape), origin, direction, maxDistance);
+}
+
+/**
+ * @param {Shape} circle
+ * @param {Vector2} origin
+ * @param {Vector2} direction
+ * @param {Number} maxDistance
+ */
+function raycastCircle(circle, origin, direction, maxDistance) {
+	const fromCenter = origin.substract(circle.center);
+	const outside = fromCenter.sqrMagnitude - circle.radius * circle.radius;
+	if (outside <= 0)
+		return {distance: 0, normal: direction.negate()};
+	const along = Vector2.dot(fromCenter, direction);
+	const discriminant = along * along - outside;
+	// Pointing away from the circle, or passing by it
+	if (along > 0 || discriminant < 0)
+		return null;
+	const distance = -along - Math.sqrt(discriminant);
+	if (distance > maxDistance)
+		return null;
+	const normal = origin.add(direction.multiply(distance)).substract(circle.center).normalized;
+	return {distance, normal};
+}
+
+/**
+ * Clips the ray with every edge of the convex polygon, it enters at the last edge it crosses inwards
+ * @param {Vector2[]} points
+ * @param {Vector2} origin
+ * @param {Vector2} direction
+ * @param {Number} maxDistance
+ */
+function raycastPolygon(points, origin, direction, maxDistance) {
+	const center = centerOf(points);
+	let enter = 0;
+	let exit = maxDistance;
+	let normal = null;
+	for (let i = 0; i < points.length; i++) {
+		const point = points[i];
+		const edge = points[(i + 1) % points.length].substract(point);
+		if (edge.sqrMagnitude == 0)
+			continue;
+		let edgeNormal = new Vector2(-edge.y, edge.x).normalized;
+		// The normals face outwards, whichever way the corners go around
+		if (Vector2.dot(edgeNormal, point.substract(center)) < 0)
+			edgeNormal = edgeNormal.negate();
+		const facing = Vector2.dot(edgeNormal, direction);
+		const distance = Vector2.dot(edgeNormal, point.substract(origin));
+		if (facing == 0) {
+			// Parallel to the edge, on it's outer side
+			if (distance < 0)
+				return null;
+			continue;
+		}
+		const crossing = distance / facing;
+		if (facing < 0) {
+			if (crossing > enter) {
+				enter = crossing;
+				normal = edgeNormal;
+			}
+		} else {
+			exit = Math.min(exit, crossing);
+		}
+		if (enter > exit)
+			return null;
+	}
+	return {distance: enter, normal: (normal != null) ? normal : direction.negate()};
+}
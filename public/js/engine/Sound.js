@@ -2,6 +2,7 @@
 import Resource from "./Resource";
 
 /**
+ * When running headless there's no audio element, so the sounds are silent
  * @see https://github.com/Luminighty/jelloscript/wiki/Sound
  */
 export default class Sound extends Resource {
@@ -17,6 +18,8 @@ export default class Sound extends Resource {
      * @param {Number} time The time in seconds
      */
     play(time=0) {
+		if (this.element == null)
+			return;
 		this.element.currentTime = time;
 		this.element.play()
 		.catch(_ => {
@@ -32,6 +35,8 @@ export default class Sound extends Resource {
 	 * @param {Number} time The start time
 	 */
 	playOnce(volume, time=0) {
+		if (this.element == null)
+			return;
 		/** @type HTMLAudioElement */
 		const clone = this.element.cloneNode();
 		clone.volume = (volume) ? volume : this.volume;
@@ -51,43 +56,48 @@ export default class Sound extends Resource {
     resume() {this.paused = false;}
 
     /** @type {Boolean} */
-    get paused() { return this.element.paused; }
+    get paused() { return (this.element == null) || this.element.paused; }
     set paused(value) {
         const element = this.element;
+        if (element == null)
+            return;
         (value) ? element.pause() : element.play();
     }
 
     /** @type {Boolean} */
-    get muted() {return this.element.muted;}
-    set muted(value) {this.element.muted = value;}
+    get muted() {return (this.element == null) || this.element.muted;}
+    set muted(value) {if (this.element != null) this.element.muted = value;}
     
     /** @type [ 0.0 ; 1.0 ] */
-    get volume() {return this.element.volume; }
-    set volume(value) {this.element.volume = value;}
+    get volume() {return (this.element == null) ? 0 : this.element.volume; }
+    set volume(value) {if (this.element != null) this.element.volume = value;}
 
     /** @type {HTMLAudioElement} */
     get element() {return super.element;}
 
     /** @type {Number} */
-    get duration() {return this.element.duration;}
+    get duration() {return (this.element == null) ? 0 : this.element.duration;}
 
     /** @type {Boolean} */
     get loop() {return this._loop;}
     set loop(value) {
         this._loop = value;
-        this.element.loop = value;
+        if (this.element != null)
+            this.element.loop = value;
 	}
 
 	/** 
 	 * The current playback time in seconds
 	 * @returns {Number} */
-	get currentTime() {return this.element.currentTime; }
-	set currentTime(time) {this.element.currentTime = time;}
+	get currentTime() {return (this.element == null) ? 0 : this.element.currentTime; }
+	set currentTime(time) {if (this.element != null) this.element.currentTime = time;}
 
     load() {
 		super.load();
 		/** @type {HTMLAudioElement} */
-        const element = this.element;
+        const element = this._element;
+        if (element == null)
+            return;
         element.preload = "auto";
         element.loop = this.loop;
 		element.controls = false;
@@ -0,0 +1,166 @@
+/**
+ * A key for the cell. The coordinates are packed in 16 bits each, the far cells sharing a key only add a few candidates
+ * @param {Number} x
+ * @param {Number} y
+ * @returns {Number}
+ */
+function cellKey(x, y) {
+	return ((x & 0xffff) << 16) | (y & 0xffff);
+}
+
+/**
+ * The broadphase of the collisions: sorts the colliders into a grid by their bounds,
+ * so a collider is only checked against the ones in the same cells.
+ * The colliders are re-sorted lazily, after they were invalidated (eg.: their gameObject moved)
+ * @see Collider.updateCollision
+ */
+export default class SpatialHash {
+
+	/**
+	 * @param {Number} cellSize The size of a cell in pixels. About the size of the common colliders works best
+	 */
+	constructor(cellSize = 64) {
+		/** @type {Number} */
+		this.cellSize = cellSize;
+		/**
+		 * False checks every collider with every other, it's for comparing the two (see server/benchmark)
+		 * @type {Boolean} */
+		this.enabled = true;
+		/**
+		 * The colliders in the cells
+		 * @private @type {Map<Number, Set<import("./Collider").default>>} */
+		this._cells = new Map();
+		/**
+		 * The keys of the cells every collider was sorted into
+		 * @private @type {Map<import("./Collider").default, Number[]>} */
+		this._keys = new Map();
+		/**
+		 * The colliders to sort again before the next query
+		 * @private @type {Set<import("./Collider").default>} */
+		this._dirty = new Set();
+		/**
+		 * The colliders without bounds, they're returned by every query
+		 * @private @type {Set<import("./Collider").default>} */
+		this._unbounded = new Set();
+	}
+
+	/**
+	 * The amount of colliders in the broadphase
+	 * @type {Number}
+	 */
+	get size() {
+		let size = this._keys.size + this._unbounded.size;
+		// The invalidated colliders are still in their old cells until they're sorted again
+		for (const collider of this._dirty)
+			if (!this._keys.has(collider) && !this._unbounded.has(collider))
+				size++;
+		return size;
+	}
+
+	/**
+	 * Adds the collider, it's sorted into the cells when it's first needed
+	 * @param {import("./Collider").default} collider
+	 */
+	add(collider) {
+		this._dirty.add(collider);
+	}
+
+	/** @param {import("./Collider").default} collider */
+	remove(collider) {
+		this._removeFromCells(collider);
+		this._dirty.delete(collider);
+		this._unbounded.delete(collider);
+	}
+
+	/**
+	 * Marks the collider to be sorted again, because it's bounds changed.
+	 * The gameObjects call it when they (or their parents) move or scale, call it after changing the size of a collider
+	 * @param {import("./Collider").default} collider
+	 */
+	invalidate(collider) {
+		if (this._keys.has(collider) || this._unbounded.has(collider))
+			this._dirty.add(collider);
+	}
+
+	/**
+	 * The colliders whose cells overlap the rect, in no particular order
+	 * @param {import("./Struct").Rect} rect
+	 * @returns {Set<import("./Collider").default>}
+	 */
+	query(rect) {
+		this._refresh();
+		const result = new Set(this._unbounded);
+		const size = this.cellSize;
+		const maxX = Math.floor(rect.maxX / size);
+		const maxY = Math.floor(rect.maxY / size);
+		for (let x = Math.floor(rect.minX / size); x <= maxX; x++) {
+			for (let y = Math.floor(rect.minY / size); y <= maxY; y++) {
+				const cell = this._cells.get(cellKey(x, y));
+				if (cell != null)
+					for (const collider of cell)
+						result.add(collider);
+			}
+		}
+		return result;
+	}
+
+	/** Forgets every collider */
+	clear() {
+		this._cells.clear();
+		this._keys.clear();
+		this._dirty.clear();
+		this._unbounded.clear();
+	}
+
+	/**
+	 * Sorts the invalidated colliders into their new cells.
+	 * The colliders not attached to a gameObject yet stay invalidated
+	 * @private
+	 */
+	_refresh() {
+		for (const collider of this._dirty) {
+			if (collider.gameObject == null)
+				continue;
+			this._dirty.delete(collider);
+			this._removeFromCells(collider);
+			const bounds = collider.bounds;
+			if (bounds == null) {
+				this._unbounded.add(collider);
+				continue;
+			}
+			this._unbounded.delete(collider);
+			const size = this.cellSize;
+			const keys = [];
+			const maxX = Math.floor(bounds.maxX / size);
+			const maxY = Math.floor(bounds.maxY / size);
+			for (let x = Math.floor(bounds.minX / size); x <= maxX; x++) {
+				for (let y = Math.floor(bounds.minY / size); y <= maxY; y++) {
+					const key = cellKey(x, y);
+					let cell = this._cells.get(key);
+					if (cell == null)
+						this._cells.set(key, cell = new Set());
+					cell.add(collider);
+					keys.push(key);
+				}
+			}
+			this._keys.set(collider, keys);
+		}
+	}
+
+	/**
+	 * @private
+	 * @param {import("./Collider").default} collider
+	 */
+	_removeFromCells(collider) {
+		const keys = this._keys.get(collider);
+		if (keys == null)
+			return;
+		for (const key of keys) {
+			const cell = this._cells.get(key);
+			cell.delete(collider);
+			if (cell.size == 0)
+				this._cells.delete(key);
+		}
+		this._keys.delete(collider);
+	}
+}
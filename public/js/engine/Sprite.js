@@ -1,5 +1,30 @@
 import Resource from "./Resource";
 import { Vector2, Rect } from "./Struct";
+import { isHeadless } from "./Utils";
+
+/**
+ * The ways a sprite can be mixed with what's already drawn (see GameObject.spriteBlendMode)
+ * @enum {String}
+ */
+export const blendModes = {
+	normal: "source-over",
+	/** Adds the colours together, good for fire and explosions */
+	additive: "lighter",
+	/** Lightens what's under it, without getting as bright as the additive */
+	screen: "screen",
+	multiply: "multiply",
+};
+
+/**
+ * The ways a frame can be recoloured (see Sprite.getEffectFrame)
+ * @enum {String}
+ */
+export const spriteEffects = {
+	/** Multiplies the colours of the pixels with the colour */
+	tint: "tint",
+	/** Replaces the colours of the pixels with the colour (eg.: a white flash or an outline) */
+	fill: "fill",
+};
 
 /**
  * @see https://github.com/Luminighty/jelloscript/wiki/Sprite
@@ -40,6 +65,11 @@ export default class Sprite extends Resource {
 		this.labels = labels;
 		/** @private */
         this._element = null;
+		/**
+		 * The recoloured frames by their effect, colour and rect
+		 * @private
+		 * @type {Map<String, HTMLCanvasElement>} */
+		this._effectFrames = new Map();
     }
 
     /**
@@ -74,6 +104,54 @@ export default class Sprite extends Resource {
     /** @type {HTMLImageElement} */
     get element() {return super.element; }
 
+	/**
+	 * Whenever the image got loaded, so it can be drawn on other canvases
+	 * @type {Boolean}
+	 */
+	get isLoaded() {
+		const element = this.element;
+		return element != null && element.complete && element.naturalWidth > 0;
+	}
+
+	/**
+	 * Returns the frame of the sprite recoloured, so it can be drawn instead of the rect of the sprite.
+	 * The frames are created on the first use and kept in offscreen canvases, so drawing them again is as cheap as drawing the sprite
+	 * @param {Rect} rect The frame in the sprite sheet
+	 * @param {String} effect One of the spriteEffects
+	 * @param {String} color
+	 * @returns {?HTMLCanvasElement} Null while the image isn't loaded, or when running headless
+	 */
+	getEffectFrame(rect, effect, color) {
+		const key = `${effect} ${color} ${rect.x} ${rect.y} ${rect.w} ${rect.h}`;
+		if (this._effectFrames.has(key))
+			return this._effectFrames.get(key);
+		if (isHeadless() || !this.isLoaded)
+			return null;
+		const frame = document.createElement("canvas");
+		frame.width = rect.w;
+		frame.height = rect.h;
+		const context = frame.getContext("2d");
+		context.drawImage(this.element, rect.x, rect.y, rect.w, rect.h, 0, 0, rect.w, rect.h);
+		context.fillStyle = color;
+		if (effect == spriteEffects.tint) {
+			context.globalCompositeOperation = "multiply";
+			context.fillRect(0, 0, rect.w, rect.h);
+			// Multiplying fills the transparent pixels too, so the sprite's shape is cut out again
+			context.globalCompositeOperation = "destination-in";
+			context.drawImage(this.element, rect.x, rect.y, rect.w, rect.h, 0, 0, rect.w, rect.h);
+		} else {
+			context.globalCompositeOperation = "source-in";
+			context.fillRect(0, 0, rect.w, rect.h);
+		}
+		this._effectFrames.set(key, frame);
+		return frame;
+	}
+
+	/** Frees the recoloured frames (eg.: after a lot of colours were used once) */
+	clearEffectFrames() {
+		this._effectFrames.clear();
+	}
+
     load() {
         super.load();
     }
@@ -65,6 +65,26 @@ export class Vector2 {
 	 */
 	divide(number) {return new Vector2(this.x / number, this.y / number);}
 
+	/**
+	 * Multiplies the vectors component-wise (this.x * other.x, this.y * other.y)
+	 * @param {Vector2} other 
+	 * @returns {Vector2} a NEW vector2
+	 */
+	scale(other) { other = new Vector2(other); return new Vector2(this.x * other.x, this.y * other.y); }
+
+	/**
+	 * Rotates the vector around the origin
+	 * @param {Number} angle The angle in radians
+	 * @returns {Vector2} a NEW vector2
+	 */
+	rotate(angle) {
+		if (angle == 0)
+			return this.clone();
+		const cos = Math.cos(angle);
+		const sin = Math.sin(angle);
+		return new Vector2(this.x * cos - this.y * sin, this.x * sin + this.y * cos);
+	}
+
 	/**
 	 * Rounds the components of the vector
 	 * @returns {Vector2} a NEW vector2
@@ -142,7 +162,7 @@ export class Vector2 {
 		const distance = (isSqrMagnitued) ? delta.sqrMagnitude : delta.magnitude;
 		if (maxDelta > distance || distance == 0)
 			return target;
-		return current.add(delta.divide(distance));
+		return current.add(delta.normalized.multiply(maxDelta));
 	}
 	
 	/**
@@ -287,7 +307,7 @@ export class Rect {
 			p = p.multiply(number);
 		if (type !== Rect.MULTIPLY_TYPE.POSITION)
 			o = o.multiply(number);
-		return new Rect(p.x, p.y, s.x, s.y);
+		return new Rect(p.x, p.y, o.x, o.y);
 	}
 
 	/**
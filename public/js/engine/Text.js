@@ -0,0 +1,131 @@
+import Component from "./Component";
+import { Vector2 } from "./Struct";
+import { canvasConfig } from "../Config";
+
+/**
+ * The horizontal alignments, the lines are moved by their widths multiplied by these
+ * @enum {Number}
+ */
+const alignments = {left: 0, center: -0.5, right: -1};
+/**
+ * The vertical alignments, the text is moved by it's height multiplied by these
+ * @enum {Number}
+ */
+const verticalAlignments = {top: 0, middle: -0.5, bottom: -1};
+
+/**
+ * Draws a text at the gameObject's position, moving, rotating and fading with it (see spriteAlpha)
+ * @example
+ * 	this.label = this.addComponent(new Text("0", fonts.digits, {align: "right", color: "#ffd800", scale: 2}));
+ * 	this.label.text = `${score}`;
+ * @public
+ * @class
+ */
+export default class Text extends Component {
+
+	/**
+	 * @param {String} text "\n" starts a new line
+	 * @param {import("./Font").BitmapFont | import("./Font").CanvasFont} font
+	 * @param {Object} options
+	 * @param {String} options.align "left", "center" or "right" of the gameObject's position. Left by default
+	 * @param {String} options.verticalAlign "top", "middle" or "bottom" of the gameObject's position. Top by default
+	 * @param {Number} options.maxWidth The lines longer than this are wrapped between their words, 0 doesn't wrap
+	 * @param {?String} options.color The colour of the text, null for the font's own colours
+	 * @param {Number} options.scale
+	 * @param {Boolean} enabled
+	 */
+	constructor(text = "", font = null, options = {}, enabled = true) {
+		super(null, enabled);
+		/** @type {String} */
+		this.text = text;
+		/** @type {import("./Font").BitmapFont | import("./Font").CanvasFont} */
+		this.font = font;
+		/** @type {String} */
+		this.align = options.align || "left";
+		/** @type {String} */
+		this.verticalAlign = options.verticalAlign || "top";
+		/** @type {Number} */
+		this.maxWidth = options.maxWidth || 0;
+		/** @type {?String} */
+		this.color = (options.color != null) ? options.color : null;
+		/** @type {Number} */
+		this.scale = (options.scale != null) ? options.scale : 1;
+		if (!alignments.hasOwnProperty(this.align))
+			throw new Error(`Unknown text alignment: ${this.align}`);
+		if (!verticalAlignments.hasOwnProperty(this.verticalAlign))
+			throw new Error(`Unknown vertical text alignment: ${this.verticalAlign}`);
+	}
+
+	get isDrawn() { return this.font != null && this.text !== ""; }
+
+	/**
+	 * The scale the text is drawn with. With pixel perfect positions it's rounded to a whole number, so every glyph pixel stays the same size
+	 * @type {Number}
+	 */
+	get drawScale() {
+		if (!canvasConfig.pixelPerfectPosition)
+			return this.scale;
+		return Math.max(Math.round(this.scale), 1);
+	}
+
+	/**
+	 * Splits the text to lines by the line breaks and the maxWidth
+	 * @param {?CanvasRenderingContext2D} canvas Used for measuring canvas fonts, an offscreen canvas by default (see CanvasFont.measure)
+	 * @returns {String[]}
+	 */
+	getLines(canvas = null) {
+		const lines = [];
+		for (const paragraph of `${this.text}`.split("\n")) {
+			if (!(this.maxWidth > 0)) {
+				lines.push(paragraph);
+				continue;
+			}
+			let line = "";
+			for (const word of paragraph.split(" ")) {
+				const next = (line == "") ? word : `${line} ${word}`;
+				// A single word longer than the maxWidth stays on it's own line
+				if (line != "" && this.font.measure(next, canvas) > this.maxWidth) {
+					lines.push(line);
+					line = word;
+				} else {
+					line = next;
+				}
+			}
+			lines.push(line);
+		}
+		return lines;
+	}
+
+	/**
+	 * The size of the drawn text in pixels, before the gameObject's scale
+	 * @param {?CanvasRenderingContext2D} canvas Used for measuring canvas fonts, an offscreen canvas by default (see CanvasFont.measure)
+	 * @returns {Vector2}
+	 */
+	measure(canvas = null) {
+		const lines = this.getLines(canvas);
+		const width = Math.max(...lines.map(line => this.font.measure(line, canvas)));
+		return new Vector2(width, lines.length * this.font.lineHeight).multiply(this.drawScale);
+	}
+
+	/** @param {CanvasRenderingContext2D} canvas */
+	draw(canvas) {
+		const lines = this.getLines(canvas);
+		const scale = this.drawScale;
+		const lineHeight = this.font.lineHeight;
+		let y = lines.length * lineHeight * verticalAlignments[this.verticalAlign];
+		if (canvasConfig.pixelPerfectPosition)
+			y = Math.round(y);
+
+		canvas.save();
+		if (scale != 1)
+			canvas.scale(scale, scale);
+		for (const line of lines) {
+			let x = this.font.measure(line, canvas) * alignments[this.align];
+			if (canvasConfig.pixelPerfectPosition)
+				x = Math.round(x);
+			this.font.draw(canvas, line, x, y, this.color);
+			y += lineHeight;
+		}
+		canvas.restore();
+	}
+}
@@ -0,0 +1,411 @@
+import Component from "./Component";
+import GameObject from "./GameObject";
+import BoxCollider from "./BoxCollider";
+import { COLLISION_CHECK_METHOD } from "./Collider";
+import Camera from "./Camera";
+import RenderLayer from "./RenderLayer";
+import Serializer from "./Serializer";
+import { Vector2, Rect } from "./Struct";
+import { modulo } from "./Utils";
+import { canvasConfig, colliderTags } from "../Config";
+
+/**
+ * @typedef {Object} TilemapLayer
+ * @property {String} name
+ * @property {Number[][]} tiles The rows of the layer. 0 is an empty cell, n is the n-th tile of the sheet (left to right, then top to bottom)
+ * @property {Boolean} visible True by default
+ * @property {Boolean} solid Whenever the tiles of the layer have colliders
+ */
+
+/**
+ * @typedef {Object} TilemapDefinition
+ * @property {String} sprite The registered name of the tile sheet (eg.: "sprites.tiles")
+ * @property {Number} columns The amount of tiles in a row of the sheet
+ * @property {Number[]} scroll The distance the tiles move in a tick
+ * @property {Boolean} loop Whenever the map repeats endlessly along the axes it scrolls on
+ * @property {String} colliderTag The tag of the solid tiles' colliders, colliderTags.background by default
+ * @property {TilemapLayer[]} layers In drawing order
+ */
+
+/** @type {Object.<string, TilemapDefinition>} */
+const maps = {};
+
+/**
+ * Holds the collider of a run of solid tiles. It's recreated with the tilemap, so it's never serialized
+ */
+class TileCollider extends GameObject {
+
+	/**
+	 * @param {String} tag
+	 * @param {Vector2} size
+	 * @param {Vector2} cell The cell of the run's first tile
+	 * @param {Vector2} wrap 1 on the axes where it's the copy of the run before the map's start
+	 */
+	constructor(tag, size, cell, wrap) {
+		super();
+		/** @type {Vector2} */
+		this.cell = cell;
+		/** @type {Vector2} */
+		this.wrap = wrap;
+		// The tiles never move into anything, the colliders moving into them check the collisions
+		/** @type {BoxCollider} */
+		this.collider = this.addComponent(new BoxCollider(tag, size, [0, 0], false, COLLISION_CHECK_METHOD.MANUAL));
+	}
+}
+
+/**
+ * Draws a grid of tiles from a sprite sheet, relative to the gameObject's position.
+ * The tiles can scroll and loop (eg.: the background of a vertical shooter), and the tiles of the solid layers get colliders.
+ * The gameObject shouldn't be rotated, only the tiles on the screen are drawn.
+ * The colliders are created when the gameObject is initialized, so the tilemap should be added before that
+ * @example
+ * 	const background = new GameObject();
+ * 	background.addComponent(Tilemap.create("space"));
+ * 	GameObject.init(background, 0);
+ *
+ * 	const room = new Tilemap(sprites.tiles, [{name: "walls", solid: true, tiles: [[1, 1, 1], [1, 0, 1]]}], {columns: 4});
+ * @public
+ * @class
+ */
+export default class Tilemap extends Component {
+
+	/**
+	 * @param {import("./Sprite").default} sprite The tile sheet, it's size is the size of a tile
+	 * @param {TilemapLayer[]} layers In drawing order
+	 * @param {Object} options
+	 * @param {Number} options.columns The amount of tiles in a row of the sheet, 1 by default
+	 * @param {Vector2} options.scroll The distance the tiles move in a tick
+	 * @param {Boolean} options.loop Whenever the map repeats endlessly along the axes it scrolls on
+	 * @param {String} options.colliderTag The tag of the solid tiles' colliders, colliderTags.background by default
+	 * @param {Boolean} enabled
+	 */
+	constructor(sprite, layers = [], options = {}, enabled = true) {
+		super(null, enabled);
+		/** @type {import("./Sprite").default} */
+		this.sprite = sprite;
+		/** @type {TilemapLayer[]} */
+		this.layers = layers.map(layer => Object.assign({visible: true, solid: false}, layer));
+		/** @type {Number} */
+		this.columns = options.columns || 1;
+		/** @type {Vector2} */
+		this.scroll = new Vector2(options.scroll || [0, 0]);
+		/** @type {Boolean} */
+		this.loop = options.loop == true;
+		/** @type {String} */
+		this.colliderTag = options.colliderTag || colliderTags.background;
+		/**
+		 * How far the tiles scrolled from their original position
+		 * @type {Vector2} */
+		this.offset = Vector2.zero;
+		/** @private @type {TileCollider[]} */
+		this._colliders = [];
+	}
+
+	/**
+	 * The size of a tile in pixels
+	 * @type {Vector2}
+	 */
+	get tileSize() { return this.sprite.size; }
+
+	/**
+	 * The amount of columns of the widest layer
+	 * @type {Number}
+	 */
+	get width() {
+		return Math.max(0, ...this.layers.map(layer => Math.max(0, ...layer.tiles.map(row => row.length))));
+	}
+
+	/**
+	 * The amount of rows of the tallest layer
+	 * @type {Number}
+	 */
+	get height() {
+		return Math.max(0, ...this.layers.map(layer => layer.tiles.length));
+	}
+
+	/**
+	 * The size of the map in pixels
+	 * @type {Vector2}
+	 */
+	get size() {
+		return new Vector2(this.width * this.tileSize.x, this.height * this.tileSize.y);
+	}
+
+	get isDrawn() { return this.sprite != null; }
+
+	/**
+	 * Returns the layer with the name
+	 * @param {String} name
+	 * @returns {TilemapLayer}
+	 */
+	getLayer(name) {
+		const layer = this.layers.find(layer => layer.name == name);
+		if (layer == null)
+			throw new Error(`The tilemap has no layer named ${name}`);
+		return layer;
+	}
+
+	/**
+	 * The tile in the cell, 0 if it's empty or outside the map
+	 * @param {String} layer The name of the layer
+	 * @param {Number} column
+	 * @param {Number} row
+	 * @returns {Number}
+	 */
+	getTile(layer, column, row) {
+		const tiles = this.getLayer(layer).tiles;
+		if (row < 0 || row >= tiles.length || column < 0 || column >= tiles[row].length)
+			return 0;
+		return tiles[row][column];
+	}
+
+	/**
+	 * Changes the tile in the cell. The colliders are rebuilt if the layer is solid
+	 * @param {String} layer The name of the layer
+	 * @param {Number} column
+	 * @param {Number} row
+	 * @param {Number} tile 0 clears the cell
+	 */
+	setTile(layer, column, row, tile) {
+		const definition = this.getLayer(layer);
+		while (definition.tiles.length <= row)
+			definition.tiles.push([]);
+		const tiles = definition.tiles[row];
+		while (tiles.length <= column)
+			tiles.push(0);
+		tiles[column] = tile;
+		if (definition.solid && this.gameObject != null && this.gameObject.scene != null)
+			this.rebuildColliders();
+	}
+
+	/**
+	 * The cell of the map at the world position, including the scroll and the loop
+	 * @param {Vector2} position
+	 * @returns {?Vector2} The column and the row, null if it's outside the map
+	 */
+	cellAt(position) {
+		const local = new Vector2(position).substract(this.gameObject.position).substract(this.offset);
+		let column = Math.floor(local.x / this.tileSize.x);
+		let row = Math.floor(local.y / this.tileSize.y);
+		if (this.loops("x"))
+			column = modulo(column, this.width);
+		if (this.loops("y"))
+			row = modulo(row, this.height);
+		if (column < 0 || row < 0 || column >= this.width || row >= this.height)
+			return null;
+		return new Vector2(column, row);
+	}
+
+	/**
+	 * The rect of the tile in the sheet
+	 * @param {Number} tile
+	 * @returns {Rect}
+	 */
+	getTileRect(tile) {
+		const index = tile - 1;
+		return this.sprite.getSpriteRect(index % this.columns, Math.floor(index / this.columns));
+	}
+
+	/**
+	 * Whenever the map repeats along the axis
+	 * @param {String} axis "x" or "y"
+	 */
+	loops(axis) {
+		return this.loop && this.scroll[axis] != 0;
+	}
+
+	onInit() {
+		if (this._colliders.length == 0)
+			this.rebuildColliders();
+	}
+
+	onDestroy() {
+		// The colliders are destroyed together with their parent
+		this._colliders = [];
+	}
+
+	update() {
+		if (this.scroll.x == 0 && this.scroll.y == 0)
+			return;
+		let offset = this.offset.add(this.scroll);
+		const size = this.size;
+		if (this.loops("x") && size.x > 0)
+			offset.x = modulo(offset.x, size.x);
+		if (this.loops("y") && size.y > 0)
+			offset.y = modulo(offset.y, size.y);
+		this.offset = offset;
+		this._moveColliders();
+	}
+
+	/**
+	 * Recreates the colliders of the solid layers, a collider for every horizontal run of tiles.
+	 * On the looped axes every run also gets a copy before the map's start, for the part leaving the end of the map
+	 */
+	rebuildColliders() {
+		for (const collider of this._colliders)
+			collider.destroy();
+		this._colliders = [];
+		const tileSize = this.tileSize;
+		const wraps = [Vector2.zero];
+		if (this.loops("x"))
+			wraps.push(new Vector2(1, 0));
+		if (this.loops("y"))
+			wraps.push(...wraps.map(wrap => new Vector2(wrap.x, 1)));
+		for (const layer of this.layers) {
+			if (!layer.solid)
+				continue;
+			for (let row = 0; row < layer.tiles.length; row++) {
+				const tiles = layer.tiles[row];
+				for (let column = 0; column < tiles.length; column++) {
+					if (!tiles[column])
+						continue;
+					const start = column;
+					while (column + 1 < tiles.length && tiles[column + 1])
+						column++;
+					const size = new Vector2((column - start + 1) * tileSize.x, tileSize.y);
+					for (const wrap of wraps) {
+						const collider = new TileCollider(this.colliderTag, size, new Vector2(start, row), wrap);
+						collider.parent = this.gameObject;
+						this._colliders.push(GameObject.init(collider, this.gameObject.updateLayer));
+					}
+				}
+			}
+		}
+		this._moveColliders();
+	}
+
+	/** @private */
+	_moveColliders() {
+		const tileSize = this.tileSize;
+		const size = this.size;
+		for (const collider of this._colliders) {
+			const runSize = collider.collider.size;
+			let x = collider.cell.x * tileSize.x + this.offset.x;
+			let y = collider.cell.y * tileSize.y + this.offset.y;
+			// A run crossing the end of the map is drawn again from it's start, where it's copy is
+			if (this.loops("x"))
+				x = modulo(x, size.x) - collider.wrap.x * size.x;
+			if (this.loops("y"))
+				y = modulo(y, size.y) - collider.wrap.y * size.y;
+			collider.localPosition = [x + runSize.x / 2, y + runSize.y / 2];
+		}
+	}
+
+	/**
+	 * The part of the map on the screen, relative to the gameObject
+	 * @private
+	 * @returns {Rect}
+	 */
+	_visibleArea() {
+		const gameObject = this.gameObject;
+		const parallax = gameObject.canvasPosition ? 0 : RenderLayer.of(gameObject).parallax;
+		const position = Camera.toScreenPosition(gameObject.position, parallax);
+		const zoom = (Camera.main != null) ? Camera.main.zoomOf(parallax) : 1;
+		const scale = gameObject.scale.multiply(zoom);
+		return new Rect(-position.x / scale.x, -position.y / scale.y, canvasConfig.size.x / scale.x, canvasConfig.size.y / scale.y);
+	}
+
+	/** @param {CanvasRenderingContext2D} canvas */
+	draw(canvas) {
+		const tileSize = this.tileSize;
+		const width = this.width;
+		const height = this.height;
+		if (width == 0 || height == 0)
+			return;
+		const visible = this._visibleArea();
+		const offset = canvasConfig.pixelPerfectPosition ? this.offset.round() : this.offset;
+		// The cells on the screen, the looped axes go on past the map
+		let firstColumn = Math.floor((visible.x - offset.x) / tileSize.x);
+		let lastColumn = Math.ceil((visible.x + visible.w - offset.x) / tileSize.x) - 1;
+		let firstRow = Math.floor((visible.y - offset.y) / tileSize.y);
+		let lastRow = Math.ceil((visible.y + visible.h - offset.y) / tileSize.y) - 1;
+		if (!this.loops("x")) {
+			firstColumn = Math.max(firstColumn, 0);
+			lastColumn = Math.min(lastColumn, width - 1);
+		}
+		if (!this.loops("y")) {
+			firstRow = Math.max(firstRow, 0);
+			lastRow = Math.min(lastRow, height - 1);
+		}
+
+		const image = this.sprite.element;
+		for (const layer of this.layers) {
+			if (!layer.visible)
+				continue;
+			for (let row = firstRow; row <= lastRow; row++) {
+				const tiles = layer.tiles[modulo(row, height)];
+				if (tiles == null)
+					continue;
+				for (let column = firstColumn; column <= lastColumn; column++) {
+					const tile = tiles[modulo(column, width)];
+					if (!tile)
+						continue;
+					const rect = this.getTileRect(tile);
+					canvas.drawImage(image, rect.x, rect.y, rect.w, rect.h,
+						column * tileSize.x + offset.x, row * tileSize.y + offset.y, tileSize.x, tileSize.y);
+				}
+			}
+		}
+	}
+
+	/**
+	 * Adds a map definition. An existing one with the same name is replaced
+	 * @param {String} name
+	 * @param {TilemapDefinition} definition
+	 */
+	static define(name, definition) {
+		maps[name] = definition;
+	}
+
+	/**
+	 * Adds every map of the object
+	 * @param {Object.<string, TilemapDefinition>} definitions The maps by their names (eg.: the content of a map file)
+	 */
+	static defineAll(definitions) {
+		for (const name in definitions)
+			if (definitions.hasOwnProperty(name))
+				Tilemap.define(name, definitions[name]);
+	}
+
+	/**
+	 * Loads the map files
+	 * @param {...String} paths
+	 * @returns {Promise} Resolves after every file got loaded
+	 */
+	static load(...paths) {
+		return Promise.all(paths.map(path =>
+			fetch(path)
+				.then(response => {
+					if (!response.ok)
+						throw new Error(`Couldn't load the maps from ${path}`);
+					return response.json();
+				})
+				.then(definitions => Tilemap.defineAll(definitions))));
+	}
+
+	/**
+	 * True if there's a map with the name
+	 * @param {String} name
+	 */
+	static has(name) {
+		return maps.hasOwnProperty(name);
+	}
+
+	/**
+	 * Creates a tilemap from the map definition. The tiles are copied, so changing them doesn't change the definition
+	 * @param {String} name
+	 * @returns {Tilemap}
+	 */
+	static create(name) {
+		if (!Tilemap.has(name))
+			throw new Error(`There's no map named ${name}`);
+		const definition = maps[name];
+		const layers = definition.layers.map(layer => Object.assign({}, layer, {tiles: layer.tiles.map(row => row.slice())}));
+		return new Tilemap(Serializer.decode({$resource: definition.sprite}), layers, {
+			columns: definition.columns,
+			scroll: definition.scroll,
+			loop: definition.loop,
+			colliderTag: definition.colliderTag,
+		});
+	}
+}
@@ -0,0 +1,107 @@
+import { timeConfig } from "../Config";
+
+/**
+ * Controls the flow of the game time.
+ * Pausing or scaling the time only affects the game ticks (update, game timers),
+ * the unscaled layers and the controllers are updated regardless
+ */
+const Time = {
+	/** The amount of game ticks since the game started */
+	tick: 0,
+	/** The amount of ticks since the game started, including the paused ones */
+	unscaledTick: 0,
+
+	/** @private */
+	_paused: false,
+	/** @private */
+	_scale: 1,
+	/** @private */
+	_accumulator: 0,
+	/** @private */
+	_stepsLeft: 0,
+	/** @private */
+	_slowMotionLeft: 0,
+
+	/** @type {Boolean} */
+	get paused() { return this._paused; },
+	set paused(value) { this._paused = value; this._stepsLeft = 0; },
+
+	/** Stops the game ticks until resume() is called */
+	pause() { this.paused = true; },
+	/** Continues the game ticks after pause() */
+	resume() { this.paused = false; },
+
+	/**
+	 * The speed of the game time. (0.5 is half speed, 2 is double)
+	 * @type {Number}
+	 */
+	get scale() { return this._scale; },
+	set scale(value) { this._scale = Math.max(value, 0); this._slowMotionLeft = 0; },
+
+	/**
+	 * Scales the time for a while, then sets it back to 1 (eg.: for a big explosion).
+	 * The duration is in unscaled ticks, so it ends even if the game is paused or the scene changes
+	 * @param {Number} scale
+	 * @param {Number} ticks
+	 */
+	slowMotion(scale, ticks) {
+		this.scale = scale;
+		this._slowMotionLeft = ticks;
+	},
+
+	/**
+	 * Advances the game by the amount of ticks while it's paused
+	 * @param {Number} ticks
+	 */
+	step(ticks = 1) {
+		if (this.paused)
+			this._stepsLeft += ticks;
+	},
+
+	/** 
+	 * The time between two ticks in seconds
+	 * @type {Number} */
+	get deltaTime() { return 1 / timeConfig.tickRate; },
+
+	/**
+	 * Checks whenever the layer ignores the pause and the time scale
+	 * @param {Number} layer 
+	 * @returns {Boolean}
+	 */
+	isUnscaledLayer(layer) { return timeConfig.unscaledLayers.includes(layer); },
+
+	/**
+	 * Called once every tick by the game loop
+	 * @private
+	 * @returns {Number} The amount of game ticks to simulate
+	 */
+	_advance() {
+		this.unscaledTick++;
+		if (this._slowMotionLeft > 0 && --this._slowMotionLeft == 0)
+			this._scale = 1;
+		if (this.paused) {
+			if (this._stepsLeft <= 0)
+				return 0;
+			this._stepsLeft--;
+			return 1;
+		}
+		this._accumulator += this.scale;
+		const ticks = Math.floor(this._accumulator);
+		this._accumulator -= ticks;
+		return ticks;
+	},
+
+	/**
+	 * Converts the interpolation value between two ticks to the one between two game ticks
+	 * @private
+	 * @param {Number} alpha 
+	 * @returns {Number}
+	 */
+	_interpolate(alpha) {
+		if (this.paused)
+			return 1;
+		return Math.min(this._accumulator + alpha * this.scale, 1);
+	},
+};
+
+export default Time;
@@ -1,23 +1,37 @@
-import { canvasConfig } from '../Config';
+import { canvasConfig, timeConfig, debugMode } from '../Config';
 import * as InputManager from './InputManager';
 import * as Controller from './Controller';
 import { initControllers } from "./Controller";
-import { Vector2 } from './Struct';
-import GameObject, {gameObjects} from './GameObject';
-import { currentDebugs } from "./Debug";
+import { Vector2, Rect } from './Struct';
+import GameObject from './GameObject';
+import Scene from './Scene';
+import { spriteEffects } from './Sprite';
+import { currentDebugs, drawStats } from "./Debug";
 import Camera from "./Camera";
+import RenderLayer from "./RenderLayer";
+import Time from "./Time";
+import Coroutine from "./Coroutine";
+import { ReplayPlayer } from "./Replay";
 import { Axes, Buttons, TouchInputs } from "../Input";
+import { isHeadless, timers } from "./Utils";
 
 function $(query) {return document.querySelector(query);}
 function $$(query) {return document.querySelectorAll(query);}
 
 /** @type HTMLCanvasElement */
-const canvasElement = $(canvasConfig.canvasQuery);
+const canvasElement = isHeadless() ? null : $(canvasConfig.canvasQuery);
+
+/**
+ * @typedef {Object} GameLoop
+ * @property {Function} start Starts (or resumes) the game loop
+ * @property {Function} stop Stops the game loop. It can be started again with start()
+ * @property {Boolean} isRunning Whenever the game loop is currently running
+ */
 
 /**
  * Starts the game
  * @param {Function} onStart Code to run when the game got initialized
- * @returns {number} The ID used for clearInterval()
+ * @returns {GameLoop} The controller for the game loop
  */
 export function main(onStart) {
 
@@ -29,24 +43,139 @@ export function main(onStart) {
 	canvas.imageSmoothingEnabled = !canvasConfig.pixelPerfectPosition;
 	canvasElement.style.imageRendering = canvasConfig.imageRendering;
 
-	let tick = 0;
 	canvas.save();
 
 	onStart();
 	initControllers(TouchInputs, Buttons, Axes);
+	if (debugMode.isDebugOn)
+		addDebugTimeControls();
+
+	/** The length of a simulation tick in milliseconds */
+	const step = 1000 / timeConfig.tickRate;
+	const deltaTime = step / 1000;
+	let accumulator = 0;
+	let lastTime = null;
+	let frameId = null;
+
+	const frame = (time) => {
+		frameId = requestAnimationFrame(frame);
+		if (lastTime == null)
+			lastTime = time;
+		accumulator += time - lastTime;
+		lastTime = time;
+
+		let ticks = 0;
+		while (accumulator >= step) {
+			// We fell too far behind, the remaining time is dropped
+			if (ticks >= timeConfig.maxTicksPerFrame) {
+				accumulator = 0;
+				break;
+			}
+			Tick(deltaTime);
+			accumulator -= step;
+			ticks++;
+		}
 
-	return setInterval(() => {
-		Update(tick);
-		UpdateTimers();
 		canvas.clearRect(0,0,canvasConfig.size.x, canvasConfig.size.y);
-		Draw(canvas, tick);
+		Draw(canvas, accumulator / step);
+		Scene.drawTransition(canvas);
 		DrawDebug(canvas);
-		Controller.updateControllers();
-		tick++;
-	}, 1000/60);
+	};
+
+	const loop = {
+		start() {
+			if (frameId != null)
+				return;
+			// The time spent while stopped shouldn't be simulated
+			lastTime = null;
+			frameId = requestAnimationFrame(frame);
+		},
+		stop() {
+			if (frameId == null)
+				return;
+			cancelAnimationFrame(frameId);
+			frameId = null;
+		},
+		get isRunning() { return frameId != null; },
+	};
+	loop.start();
+	return loop;
+}
+
+/**
+ * @typedef {Object} HeadlessLoop
+ * @property {Function} start Starts simulating the ticks in real time
+ * @property {Function} stop Stops the real time simulation
+ * @property {Boolean} isRunning Whenever the real time simulation is running
+ * @property {Function} step Simulates the ticks right away. step(ticks = 1)
+ */
+
+/**
+ * Starts the game without a canvas, DOM inputs or audio (eg.: in Node for tests or on the server).
+ * Nothing is simulated until step() or start() is called on the returned loop
+ * @param {Function} onStart Code to run when the game got initialized
+ * @returns {HeadlessLoop} The controller for the game loop
+ */
+export function headless(onStart) {
+	onStart();
+
+	/** The length of a simulation tick in milliseconds */
+	const step = 1000 / timeConfig.tickRate;
+	const deltaTime = step / 1000;
+	let intervalId = null;
+
+	return {
+		start() {
+			if (intervalId == null)
+				intervalId = setInterval(() => Tick(deltaTime), step);
+		},
+		stop() {
+			clearInterval(intervalId);
+			intervalId = null;
+		},
+		get isRunning() { return intervalId != null; },
+		step(ticks = 1) {
+			for (let i = 0; i < ticks; i++)
+				Tick(deltaTime);
+		},
+	};
+}
+
+/**
+ * Simulates a single tick. The unscaled layers are always updated,
+ * while the rest of the game is updated based on the Time's state
+ * @param {Number} deltaTime
+ */
+function Tick(deltaTime) {
+	Scene.updateStack();
+	const gameTicks = Time._advance();
+	// Spawning and destroying is queued while the layers are being iterated
+	GameObject.isUpdating = true;
+	Update(Time.unscaledTick, deltaTime, true);
+	GameObject.applyChanges();
+	for (let i = 0; i < gameTicks; i++) {
+		// The replayed inputs arrive before the tick, like the real ones between two ticks
+		ReplayPlayer.updateCurrent();
+		GameObject.applyChanges();
+		Update(Time.tick, deltaTime, false);
+		Coroutine.updateAll();
+		UpdateTimers();
+		GameObject.applyChanges();
+		Time.tick++;
+	}
+	GameObject.isUpdating = false;
+	Controller.updateControllers();
+}
+
+function addDebugTimeControls() {
+	window.addEventListener("keydown", (e) => {
+		if (e.code == debugMode.Time.pauseKey)
+			Time.paused = !Time.paused;
+		if (e.code == debugMode.Time.stepKey)
+			Time.step();
+	});
 }
 
-export const timers = {id: 0, intervals: {}, timeouts: {}};
 function UpdateTimers() {
 	if (timers.intervals)
 	for (const id in timers.intervals) {
@@ -76,13 +205,18 @@ function UpdateTimers() {
 	}
 }
 
-function Update(tick) {
-	GameObject.tick = tick;
-	for (let layer of gameObjects)
-	if (layer != null)
-	for (const gameObject of layer)
-		if (gameObject.enabled)
-			gameObject.tick(tick);
+/**
+ * @param {Number} tick 
+ * @param {Number} deltaTime The time passed since the last tick in seconds
+ * @param {Boolean} unscaled Whenever to update the unscaled layers or the rest of them
+ */
+function Update(tick, deltaTime, unscaled) {
+	if (!unscaled) {
+		GameObject.tick = tick;
+		GameObject.deltaTime = deltaTime;
+	}
+	for (const scene of Scene.updatedScenes)
+		scene.tick(tick, deltaTime, unscaled);
 }
 
 /**
@@ -91,75 +225,158 @@ function Update(tick) {
 function DrawDebug(canvas) {
 	for (const key in currentDebugs) {
 		const debug = currentDebugs[key];
-		debug(canvas);
+		debug(canvas, Camera.main);
 	}
+	if (debugMode.isDebugOn && debugMode.Stats.visible)
+		drawStats(canvas);
 }
 
 /**
+ * Draws the drawn scenes' gameObjects, render layer by render layer
  * @param {CanvasRenderingContext2D} canvas 
- * @param {Number} tick 
+ * @param {Number} alpha The progress between the last and the next tick [0;1), used for interpolating the positions
  */
-function Draw(canvas, tick) {
-	for (let layer of gameObjects)
-	if (layer != null)
-	for (const gameObject of layer) {
-		try {
-			if(gameObject.hidden || !gameObject.enabled)
-				continue;
-			
-
-			const sprite = gameObject.sprite;
-			if (sprite == null)
+export function Draw(canvas, alpha) {
+	const gameAlpha = Time._interpolate(alpha);
+	const camera = Camera.main;
+	if (camera != null)
+		camera._interpolate(Time.isUnscaledLayer(camera.gameObject.updateLayer) ? alpha : gameAlpha);
+	for (const scene of Scene.drawnScenes) {
+		const groups = RenderLayer.group(scene.gameObjects);
+		for (let index = 0; index < groups.length; index++) {
+			const renderLayer = RenderLayer.layers[index];
+			if (!renderLayer.visible)
 				continue;
-			
-			const flipX = gameObject.spriteFlipX;
-			const flipY = gameObject.spriteFlipY;
-			const flipXSize = (gameObject.spriteFlipX ? -1 : 1) * 1;
-			const flipYSize = (gameObject.spriteFlipY ? -1 : 1) * 1;
-			
-			const rect = gameObject.spriteRect;
-			let size = gameObject.size;
-			size.x *= rect.w;
-			size.y *= rect.h;
-			let pos = gameObject.position;
-
-			if(Camera.main != null) {
-				const cameraPosition = Camera.main.gameObject.position;
-				
-				pos.x -= cameraPosition.x - (canvasConfig.size.x / 2);
-				pos.y -= cameraPosition.y - (canvasConfig.size.y / 2);
-			}
-			
-			pos.x -= size.x * sprite.pivot.x;
-			pos.y -= size.y * sprite.pivot.y;
-			if (flipX) {
-				pos.x *= -1;
-				pos.x -= size.x;
-			}
-			if (flipY) {
-				pos.y *= -1;
-				pos.y -= size.y;
+			for (const gameObject of groups[index]) {
+				const layerAlpha = Time.isUnscaledLayer(gameObject.updateLayer) ? alpha : gameAlpha;
+				DrawGameObject(canvas, gameObject, layerAlpha, gameObject.canvasPosition ? 0 : renderLayer.parallax);
 			}
-			if(canvasConfig.pixelPerfectPosition) {
-				pos = new Vector2(Math.round(pos.x), Math.round(pos.y));
-				size = new Vector2(Math.round(size.x), Math.round(size.y));
-			}
-			canvas.save();
-			canvas.globalAlpha = gameObject.spriteAlpha;
-			canvas.scale(flipXSize, flipYSize);
-			canvas.drawImage(sprite.element, rect.x, rect.y, rect.w, rect.h, pos.x, pos.y, size.x, size.y);	
-			canvas.restore();
-		} catch (error) {
-			console.error(error);
-			throw new Error(error);
 		}
 	}
 }
 
+/**
+ * @param {CanvasRenderingContext2D} canvas 
+ * @param {GameObject} gameObject
+ * @param {Number} alpha The interpolation value of the gameObject's update layer
+ * @param {Number} parallax How much it moves with the camera
+ */
+function DrawGameObject(canvas, gameObject, alpha, parallax) {
+	try {
+		if(gameObject.hidden || !gameObject.enabled)
+			return;
+
+		let pos = gameObject.getInterpolatedPosition(alpha);
+		let zoom = 1;
+		if(Camera.main != null) {
+			pos = Camera.main.toScreenPosition(pos, parallax);
+			zoom = Camera.main.zoomOf(parallax);
+		}
 
-window.addEventListener("resize", (e) => {
-	setCanvasSize();
-});
+		if (gameObject.sprite != null)
+			DrawSprite(canvas, gameObject, pos, zoom);
+		DrawComponents(canvas, gameObject, pos, zoom);
+	} catch (error) {
+		console.error(error);
+		throw new Error(error);
+	}
+}
+
+/**
+ * @param {CanvasRenderingContext2D} canvas 
+ * @param {GameObject} gameObject
+ * @param {Vector2} pos The position on the screen
+ * @param {Number} zoom The camera's zoom
+ */
+function DrawSprite(canvas, gameObject, pos, zoom) {
+	const sprite = gameObject.sprite;
+	const flipX = gameObject.spriteFlipX;
+	const flipY = gameObject.spriteFlipY;
+	const flipXSize = (gameObject.spriteFlipX ? -1 : 1) * 1;
+	const flipYSize = (gameObject.spriteFlipY ? -1 : 1) * 1;
+	
+	const rect = gameObject.spriteRect;
+	let size = gameObject.size;
+	size.x *= rect.w;
+	size.y *= rect.h;
+	
+	// The top left corner of the sprite relative to the pivot
+	const offset = new Vector2(-size.x * sprite.pivot.x, -size.y * sprite.pivot.y);
+	let topLeft = pos.add(offset);
+	if(canvasConfig.pixelPerfectPosition) {
+		topLeft = topLeft.round();
+		size = size.round();
+	}
+	pos = topLeft.substract(offset);
+	const rotation = gameObject.rotation;
+	const scale = gameObject.scale.multiply(zoom);
+
+	// The recoloured frames are drawn instead of the sprite's rect, while they're available
+	let frame = null;
+	if (gameObject.spriteFlash != null)
+		frame = sprite.getEffectFrame(rect, spriteEffects.fill, gameObject.spriteFlash);
+	else if (gameObject.spriteTint != null)
+		frame = sprite.getEffectFrame(rect, spriteEffects.tint, gameObject.spriteTint);
+	const image = (frame != null) ? frame : sprite.element;
+	const source = (frame != null) ? new Rect(0, 0, rect.w, rect.h) : rect;
+	const outline = (gameObject.spriteOutline != null) ? sprite.getEffectFrame(rect, spriteEffects.fill, gameObject.spriteOutline) : null;
+
+	canvas.save();
+	canvas.globalAlpha = gameObject.spriteAlpha;
+	canvas.globalCompositeOperation = gameObject.spriteBlendMode;
+	// Rotating and scaling around the pivot
+	canvas.translate(pos.x, pos.y);
+	if (rotation != 0)
+		canvas.rotate(rotation);
+	if (scale.x != 1 || scale.y != 1)
+		canvas.scale(scale.x, scale.y);
+	canvas.translate(offset.x, offset.y);
+	// Flipping mirrors the sprite in place
+	canvas.translate(flipX ? size.x : 0, flipY ? size.y : 0);
+	canvas.scale(flipXSize, flipYSize);
+	if (outline != null) {
+		// The silhouette moved by a pixel in every direction
+		const pixel = new Vector2(size.x / rect.w, size.y / rect.h);
+		for (const [x, y] of [[-1, 0], [1, 0], [0, -1], [0, 1]])
+			canvas.drawImage(outline, 0, 0, rect.w, rect.h, x * pixel.x, y * pixel.y, size.x, size.y);
+	}
+	canvas.drawImage(image, source.x, source.y, source.w, source.h, 0, 0, size.x, size.y);	
+	canvas.restore();
+}
+
+/**
+ * Calls draw() on the gameObject's drawn components (see Component.isDrawn)
+ * @param {CanvasRenderingContext2D} canvas 
+ * @param {GameObject} gameObject
+ * @param {Vector2} pos The position on the screen
+ * @param {Number} zoom The camera's zoom
+ */
+function DrawComponents(canvas, gameObject, pos, zoom) {
+	const components = gameObject.components.filter(component => component != null && component.enabled && component.isDrawn);
+	if (components.length == 0)
+		return;
+	if (canvasConfig.pixelPerfectPosition)
+		pos = pos.round();
+	const rotation = gameObject.rotation;
+	const scale = gameObject.scale.multiply(zoom);
+
+	canvas.save();
+	canvas.globalAlpha = gameObject.spriteAlpha;
+	canvas.translate(pos.x, pos.y);
+	if (rotation != 0)
+		canvas.rotate(rotation);
+	if (scale.x != 1 || scale.y != 1)
+		canvas.scale(scale.x, scale.y);
+	for (const component of components)
+		component.draw(canvas);
+	canvas.restore();
+}
+
+
+if (!isHeadless())
+	window.addEventListener("resize", (e) => {
+		setCanvasSize();
+	});
 
 function setCanvasSize() {
 	
@@ -7,23 +7,42 @@ const cacheFiles = [
 	'index.html',
 	'style.css',
 	'js/engine/Utils.js',
+	'js/engine/Time.js',
+	'js/engine/Tilemap.js',
+	'js/engine/Text.js',
 	'js/engine/Struct.js',
 	'js/engine/Sprite.js',
+	'js/engine/SpatialHash.js',
 	'js/engine/Sound.js',
+	'js/engine/Shapes.js',
+	'js/engine/Serializer.js',
+	'js/engine/Scene.js',
 	'js/engine/run.js',
+	'js/engine/Rigidbody.js',
 	'js/engine/Resource.js',
+	'js/engine/Replay.js',
+	'js/engine/RenderLayer.js',
+	'js/engine/Random.js',
+	'js/engine/Prefab.js',
+	'js/engine/Pool.js',
+	'js/engine/PolygonCollider.js',
+	'js/engine/Physics.js',
 	'js/engine/ParticleSystem.js',
 	'js/engine/Networking.js',
 	'js/engine/InputManager.js',
 	'js/engine/GameObject.js',
+	'js/engine/Font.js',
 	'js/engine/EventHandler.js',
 	'js/engine/Debug.js',
+	'js/engine/Coroutine.js',
 	'js/engine/Controller.js',
 	'js/engine/Component.js',
 	'js/engine/Collider.js',
+	'js/engine/CircleCollider.js',
 	'js/engine/Camera.js',
 	'js/engine/BoxCollider.js',
 	'js/engine/BehaviourAnimator.js',
+	'js/engine/Background.js',
 	'js/engine/Animator.js',
 
 	// Main files
@@ -31,6 +50,7 @@ const cacheFiles = [
 	'js/Config.js',
 	'js/Input.js',
 	'js/Main.js',
+	'js/Scenes.js',
 	
 	// User files
 	'js/Ship.js',
@@ -38,15 +58,22 @@ const cacheFiles = [
 	'js/Enemy.js',
 	'js/Missile.js',
 	'js/Explosion.js',
+	'js/DamagePopup.js',
 	'js/Slider.js',
 
 	// assets
 	'media/enemies_basic.png',
+	'media/font_digits.png',
 	'media/missiles.png',
 	'media/particles.png',
 	'media/spaceship_player.png',
 	'media/stars.png',
 	'media/thruster.png',
+	'media/tiles_space.png',
+
+	'data/ships.json',
+	'data/enemies.json',
+	'data/maps/space.json',
 
 	'media/sounds/explosion_big.wav',
 	'media/sounds/explosion.wav',
@@ -0,0 +1,107 @@
+/*jshint esversion: 11 */
+/**
+ * Measures the collision checks with and without the broadphase.
+ * Every mover is a trigger bouncing around the screen, so the moves are never blocked and both runs simulate the same
+ * @example
+ * 	cd server
+ * 	npm run benchmark
+ * 	npm run benchmark -- 100 400 // the amounts of movers
+ */
+import { headless } from "../../public/js/engine/run.js";
+import Scene from "../../public/js/engine/Scene.js";
+import GameObject from "../../public/js/engine/GameObject.js";
+import BoxCollider from "../../public/js/engine/BoxCollider.js";
+import { broadphase } from "../../public/js/engine/Collider.js";
+import Random from "../../public/js/engine/Random.js";
+import { Vector2 } from "../../public/js/engine/Struct.js";
+import { colliderTags, canvasConfig } from "../../public/js/Config.js";
+
+/** The simulated ticks of a run */
+const ticks = 120;
+const counts = (process.argv.length > 2) ? process.argv.slice(2).map(Number) : [50, 100, 200, 400];
+
+/** A missile sized trigger bouncing between the edges of the screen */
+class Mover extends GameObject {
+
+	/** @param {CollisionBenchmarkScene} benchmark */
+	constructor(benchmark) {
+		super();
+		/** @type {CollisionBenchmarkScene} */
+		this.benchmark = benchmark;
+		const random = Random.gameplay;
+		this.position = [random.range(0, canvasConfig.size.x), random.range(0, canvasConfig.size.y)];
+		this.velocity = new Vector2(random.range(-2, 2), random.range(-2, 2));
+		this.addComponent(new BoxCollider(colliderTags.missile, [6, 10], [0, 0], true));
+	}
+
+	update(tick) {
+		const next = this.position.add(this.velocity);
+		if (next.x < 0 || next.x > canvasConfig.size.x)
+			this.velocity.x *= -1;
+		if (next.y < 0 || next.y > canvasConfig.size.y)
+			this.velocity.y *= -1;
+		this.position = next;
+	}
+
+	onTriggerEnter(other) {
+		this.benchmark.triggers++;
+	}
+}
+
+/** Spawns the movers with the same seed every time */
+class CollisionBenchmarkScene extends Scene {
+
+	/** @param {Number} count The amount of movers */
+	constructor(count) {
+		super();
+		/** @type {Number} */
+		this.count = count;
+		/**
+		 * The amount of trigger enters, it should be the same with and without the broadphase
+		 * @type {Number} */
+		this.triggers = 0;
+	}
+
+	onLoad() {
+		Random.setSeed(1);
+		for (let i = 0; i < this.count; i++)
+			GameObject.init(new Mover(this), 40);
+	}
+}
+
+/**
+ * Simulates the movers
+ * @param {import("../../public/js/engine/run.js").HeadlessLoop} loop
+ * @param {Number} count
+ * @param {Boolean} useBroadphase
+ * @returns {{time: Number, triggers: Number}} The milliseconds of a tick and the amount of trigger enters
+ */
+function run(loop, count, useBroadphase) {
+	broadphase.enabled = useBroadphase;
+	const scene = new CollisionBenchmarkScene(count);
+	Scene.load(scene);
+	// The scene is loaded at the start of the tick
+	loop.step();
+	const start = performance.now();
+	loop.step(ticks);
+	const time = (performance.now() - start) / ticks;
+	Scene.load(new Scene());
+	loop.step();
+	return {time, triggers: scene.triggers};
+}
+
+const loop = headless(() => {});
+// A short run first, so the engine's code is optimized for both
+run(loop, 20, false);
+run(loop, 20, true);
+
+for (const count of counts) {
+	const bruteForce = run(loop, count, false);
+	const hashed = run(loop, count, true);
+	const speedup = (bruteForce.time / hashed.time).toFixed(1);
+	console.log(`${count} colliders: ${bruteForce.time.toFixed(2)} ms per tick without the broadphase, ` +
+		`${hashed.time.toFixed(2)} ms with it (${speedup}x faster)`);
+	if (bruteForce.triggers != hashed.triggers)
+		console.log(`  The collisions differ: ${bruteForce.triggers} trigger enters without the broadphase, ${hashed.triggers} with it`);
+}
+broadphase.enabled = true;
@@ -0,0 +1,29 @@
+/*jshint esversion: 11 */
+/**
+ * Node module hooks for loading the browser engine from ../public/js headlessly.
+ * Don't import it directly, it's registered by register.mjs
+ */
+
+/** The modules in the public folder are always ES modules, even though they're .js files */
+const publicUrl = new URL("../../public/", import.meta.url).href;
+
+/**
+ * The engine imports the modules without their extension (express serves them with extensions: ['js']),
+ * so the .js is added when the module isn't found
+ */
+export async function resolve(specifier, context, next) {
+	try {
+		return await next(specifier, context);
+	} catch (error) {
+		const isRelative = specifier.startsWith("./") || specifier.startsWith("../");
+		if (error.code !== "ERR_MODULE_NOT_FOUND" || !isRelative || specifier.endsWith(".js"))
+			throw error;
+		return next(`${specifier}.js`, context);
+	}
+}
+
+export async function load(url, context, next) {
+	if (url.startsWith(publicUrl) && url.endsWith(".js"))
+		return next(url, {...context, format: "module"});
+	return next(url, context);
+}
@@ -0,0 +1,14 @@
+/*jshint esversion: 11 */
+/**
+ * Makes the engine and the game in ../public/js importable from Node.
+ * @example
+ * 	node --import ./headless/register.mjs game.mjs
+ *
+ * 	// game.mjs
+ * 	import { headless } from "../public/js/engine/run.js";
+ * 	const loop = headless(() => Scene.load(new GameplayScene()));
+ * 	loop.step(60);
+ */
+import { register } from "node:module";
+
+register("./loader.mjs", import.meta.url);
@@ -0,0 +1,103 @@
+/*jshint esversion: 11 */
+import { describe, it, before, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { Draw } from "../../public/js/engine/run.js";
+import GameObject from "../../public/js/engine/GameObject.js";
+import Scene from "../../public/js/engine/Scene.js";
+import Background, { StarLayer, ImageLayer } from "../../public/js/engine/Background.js";
+import Sprite from "../../public/js/engine/Sprite.js";
+import { Vector2 } from "../../public/js/engine/Struct.js";
+import FakeCanvas from "./helpers/fakeCanvas.mjs";
+import { startGame, loadEmptyScene } from "./helpers/game.mjs";
+
+const stars = new Sprite("./media/test.png", [8, 8]);
+
+/**
+ * Initializes a gameObject on the screen with the background
+ * @param {import("../../public/js/engine/Background.js").BackgroundLayer[]} layers
+ * @param {Object} options
+ */
+function spawn(layers, options = {}) {
+	const holder = new GameObject();
+	holder.canvasPosition = true;
+	const background = holder.addComponent(new Background(layers, options));
+	GameObject.init(holder, 0);
+	return background;
+}
+
+/**
+ * The positions the images were drawn at
+ * @param {FakeCanvas} canvas
+ */
+function drawnAt(canvas) {
+	return canvas.callsOf("drawImage").map(call => new Vector2(call.args[5], call.args[6]));
+}
+
+describe("Background", () => {
+
+	/** @type {import("../../public/js/engine/run.js").HeadlessLoop} */
+	let loop;
+	before(() => { loop = startGame(); });
+	beforeEach(() => { loadEmptyScene(loop); });
+
+	it("draws the stars without a gameObject for each", () => {
+		spawn([new StarLayer({sprite: stars, count: 50, speed: [0, 1]})]);
+		loop.step(100);
+		assert.equal(Scene.current.gameObjects[0].length, 1);
+
+		const canvas = new FakeCanvas();
+		Draw(canvas, 1);
+		assert.equal(canvas.callsOf("drawImage").length, 50);
+	});
+
+	it("scrolls the layers with their own speeds", () => {
+		const background = spawn([
+			new StarLayer({sprite: stars, count: 1, speed: [0, 1]}),
+			new StarLayer({sprite: stars, count: 1, speed: [0, 3]}),
+		]);
+		let canvas = new FakeCanvas();
+		Draw(canvas, 1);
+		const before = drawnAt(canvas);
+		loop.step(2);
+		canvas = new FakeCanvas();
+		Draw(canvas, 1);
+		const after = drawnAt(canvas);
+		// The stars can wrap to the top, so the distance is compared around the screen
+		const moved = (index) => (after[index].y - before[index].y + 368) % 368;
+		assert.ok(Math.abs(moved(0) - 2) < 1e-3);
+		assert.ok(Math.abs(moved(1) - 6) < 1e-3);
+
+		loop.step(400);
+		assert.ok(background.layers[0].scroll.y < 368, "the stars wrap after leaving the screen");
+	});
+
+	it("sways the layers opposite to the followed gameObjects", () => {
+		const near = new StarLayer({sprite: stars, count: 1, sway: 0.1});
+		const far = new StarLayer({sprite: stars, count: 1, sway: 0.02});
+		const background = spawn([far, near], {followSpeed: 1});
+		const player = GameObject.init(new GameObject());
+		player.position = [420, 180];
+		background.follow(player);
+		loop.step();
+		assert.deepEqual(background.getOffset(near), new Vector2(-10, 0));
+		assert.deepEqual(background.getOffset(far), new Vector2(-2, 0));
+
+		player.destroy();
+		loop.step(2);
+		assert.deepEqual(background.getOffset(near), Vector2.zero, "the sway returns without targets");
+	});
+
+	it("repeats the images over the screen", () => {
+		const tile = new Sprite("./media/test.png", [100, 100]);
+		const layer = new ImageLayer({sprite: tile, speed: [0, 30]});
+		spawn([layer]);
+		loop.step();
+		const canvas = new FakeCanvas();
+		Draw(canvas, 1);
+		const drawn = drawnAt(canvas);
+		assert.deepEqual(drawn[0], new Vector2(-100, -70));
+		assert.ok(drawn.every(position => position.x < 640 && position.y < 360));
+		// 8 columns of the 640 pixels wide screen, and 5 rows of it's 360 pixels
+		assert.equal(drawn.length, 40);
+	});
+});
@@ -0,0 +1,97 @@
+/*jshint esversion: 11 */
+import { describe, it, before, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { Draw } from "../../public/js/engine/run.js";
+import Camera from "../../public/js/engine/Camera.js";
+import Sprite from "../../public/js/engine/Sprite.js";
+import { Vector2, Rect } from "../../public/js/engine/Struct.js";
+import * as Debug from "../../public/js/engine/Debug.js";
+import FakeCanvas from "./helpers/fakeCanvas.mjs";
+import { startGame, loadEmptyScene, spawnWith } from "./helpers/game.mjs";
+
+describe("Camera", () => {
+
+	/** @type {import("../../public/js/engine/run.js").HeadlessLoop} */
+	let loop;
+	/** @type {Camera} */
+	let camera;
+	before(() => { loop = startGame(); });
+	beforeEach(() => {
+		loadEmptyScene(loop);
+		camera = new Camera(true);
+		spawnWith([100, 50], camera);
+		loop.step();
+	});
+	afterEach(() => { Camera.main = null; });
+
+	it("converts between the world and the zoomed screen", () => {
+		camera.zoom = 2;
+		// The camera is in the middle of the 640x360 canvas
+		assert.deepEqual(camera.toScreenPosition([110, 40]), new Vector2(340, 160));
+		assert.deepEqual(camera.toWorldPosition([340, 160]), new Vector2(110, 40));
+		assert.deepEqual(camera.toScreenPosition([110, 40], 0), new Vector2(110, 40), "the layers without parallax aren't zoomed");
+	});
+
+	it("zooms the sprites", () => {
+		camera.zoom = 2;
+		const object = spawnWith([100, 50]);
+		object.sprite = new Sprite("./media/test.png", [8, 8], [0, 0], [0.5, 0.5]);
+		loop.step();
+		const canvas = new FakeCanvas();
+		Draw(canvas, 1);
+		assert.deepEqual(canvas.callsOf("translate")[0].args, [320, 180]);
+		assert.deepEqual(canvas.callsOf("scale")[0].args, [2, 2]);
+	});
+
+	it("follows the average position of it's targets", () => {
+		camera.followSpeed = 0.5;
+		camera.follow(spawnWith([200, 50]), spawnWith([200, 150]));
+		loop.step();
+		assert.deepEqual(camera.gameObject.position, new Vector2(150, 75));
+		loop.step(30);
+		assert.ok(camera.gameObject.position.substract([200, 100]).magnitude < 0.01);
+	});
+
+	it("stays inside it's bounds", () => {
+		camera.zoom = 2;
+		camera.followSpeed = 1;
+		camera.bounds = new Rect(0, 0, 1000, 1000);
+		const target = spawnWith([10, 990]);
+		camera.follow(target);
+		loop.step();
+		// The view is 320x180 at 2x zoom
+		assert.deepEqual(camera.gameObject.position, new Vector2(160, 910));
+
+		camera.bounds = new Rect(0, 0, 100, 1000);
+		loop.step();
+		assert.equal(camera.gameObject.position.x, 50, "it's centered on the bounds narrower than the view");
+	});
+
+	it("shakes with the trauma until it fades away", () => {
+		Camera.shake(0.5);
+		Camera.shake(0.8);
+		assert.equal(camera.trauma, 1);
+		loop.step();
+		const shaken = camera.viewPosition.substract(camera.gameObject.position);
+		assert.ok(shaken.magnitude > 0 && Math.abs(shaken.x) <= camera.maxShake && Math.abs(shaken.y) <= camera.maxShake);
+		loop.step(60);
+		assert.equal(camera.trauma, 0);
+		assert.deepEqual(camera.viewPosition, camera.gameObject.position);
+	});
+
+	it("moves the debug drawings with it", () => {
+		camera.zoom = 2;
+		Debug.drawRect(110, 40, 10, 5);
+		const canvas = new FakeCanvas();
+		for (const key in Debug.currentDebugs)
+			Debug.currentDebugs[key](canvas, Camera.main);
+		assert.deepEqual(canvas.callsOf("moveTo")[0].args, [340.5, 160.5]);
+		assert.deepEqual(canvas.callsOf("lineTo")[1].args, [340.5 + 19, 160.5 + 9]);
+	});
+
+	it("stops being the main camera when it's destroyed", () => {
+		camera.gameObject.destroy();
+		loop.step();
+		assert.equal(Camera.main, null);
+	});
+});
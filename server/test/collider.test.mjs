@@ -0,0 +1,310 @@
+/*jshint esversion: 11 */
+import { describe, it, before, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import GameObject from "../../public/js/engine/GameObject.js";
+import BoxCollider from "../../public/js/engine/BoxCollider.js";
+import { colliders } from "../../public/js/engine/Collider.js";
+import Scene from "../../public/js/engine/Scene.js";
+import SpatialHash from "../../public/js/engine/SpatialHash.js";
+import CircleCollider from "../../public/js/engine/CircleCollider.js";
+import PolygonCollider from "../../public/js/engine/PolygonCollider.js";
+import Serializer from "../../public/js/engine/Serializer.js";
+import * as Debug from "../../public/js/engine/Debug.js";
+import FakeCanvas from "./helpers/fakeCanvas.mjs";
+import { Rect } from "../../public/js/engine/Struct.js";
+import { colliderTags } from "../../public/js/Config.js";
+import { startGame, loadEmptyScene, spawnCollider } from "./helpers/game.mjs";
+
+/** A gameObject recording it's collision events */
+class Box extends GameObject {
+	constructor(position, tag = colliderTags.default, isTrigger = false) {
+		super();
+		this.position = position;
+		this.collider = this.addComponent(new BoxCollider(tag, [10, 10], [0, 0], isTrigger));
+		/** @type {String[]} */
+		this.events = [];
+	}
+	onCollisionEnter(other) { this.events.push("collisionEnter"); }
+	onCollisionStay(other) { this.events.push("collisionStay"); }
+	onCollisionExit(other) { this.events.push("collisionExit"); }
+	onTriggerEnter(other) { this.events.push("triggerEnter"); }
+	onTriggerStay(other) { this.events.push("triggerStay"); }
+	onTriggerExit(other) { this.events.push("triggerExit"); }
+}
+
+/**
+ * The position setter checks the collisions for both axes,
+ * so the repeated events are merged
+ * @param {String[]} events
+ */
+function merged(events) {
+	return events.filter((event, i) => event != events[i - 1]);
+}
+
+describe("BoxCollider", () => {
+
+	/** @type {import("../../public/js/engine/run.js").HeadlessLoop} */
+	let loop;
+	before(() => { loop = startGame(); });
+	beforeEach(() => { loadEmptyScene(loop); });
+
+	it("calls enter, stay and exit on triggers", () => {
+		const mover = GameObject.init(new Box([0, 0], colliderTags.default, true));
+		const target = GameObject.init(new Box([50, 0]));
+
+		mover.position = [45, 0];
+		mover.position = [46, 0];
+		mover.position = [0, 0];
+		assert.deepEqual(merged(mover.events), ["triggerEnter", "triggerStay", "triggerExit"]);
+		assert.deepEqual(mover.collider.collisions, []);
+		assert.deepEqual(target.events, [], "only the moving collider is checked");
+	});
+
+	it("stops the movement on a collision", () => {
+		const mover = GameObject.init(new Box([0, 0]));
+		GameObject.init(new Box([50, 0]));
+
+		mover.position = [45, 0];
+		assert.equal(mover.events[0], "collisionEnter");
+		assert.ok(mover.position.equals([0, 0]), "the box can't move into the other one");
+	});
+
+	it("doesn't collide within the minimum collision distance", () => {
+		const mover = GameObject.init(new Box([0, 0]));
+		GameObject.init(new Box([50, 0]));
+
+		mover.position = [39.8, 0];
+		assert.deepEqual(mover.events, []);
+		assert.ok(mover.position.equals([39.8, 0]));
+	});
+
+	it("ignores the colliders based on their tags", () => {
+		const player = GameObject.init(new Box([0, 0], colliderTags.player, true));
+		GameObject.init(new Box([50, 0], colliderTags.playerMissile, true));
+
+		player.position = [50, 0];
+		assert.deepEqual(player.events, []);
+	});
+
+	it("ignores the disabled colliders and exits when the other one gets disabled", () => {
+		const mover = GameObject.init(new Box([0, 0], colliderTags.default, true));
+		const target = GameObject.init(new Box([50, 0]));
+
+		target.collider.enabled = false;
+		mover.position = [50, 0];
+		assert.deepEqual(mover.events, []);
+
+		target.collider.enabled = true;
+		mover.position = [51, 0];
+		assert.deepEqual(merged(mover.events), ["triggerEnter", "triggerStay"]);
+		target.collider.enabled = false;
+		assert.deepEqual(merged(mover.events), ["triggerEnter", "triggerStay", "triggerExit"]);
+		assert.deepEqual(mover.collider.collisions, []);
+	});
+
+	it("exits and unregisters when it's gameObject is destroyed", () => {
+		const mover = GameObject.init(new Box([0, 0], colliderTags.default, true));
+		const target = GameObject.init(new Box([50, 0]));
+
+		mover.position = [50, 0];
+		target.destroy();
+		assert.deepEqual(merged(mover.events), ["triggerEnter", "triggerStay", "triggerExit"]);
+		assert.ok(!colliders.includes(target.collider));
+		assert.deepEqual(mover.collider.collisions, []);
+	});
+});
+
+describe("broadphase", () => {
+
+	/** @type {import("../../public/js/engine/run.js").HeadlessLoop} */
+	let loop;
+	before(() => { loop = startGame(); });
+	beforeEach(() => { loadEmptyScene(loop); });
+
+	it("only checks the colliders near the moving one", () => {
+		const mover = GameObject.init(new Box([0, 0], colliderTags.default, true));
+		for (let i = 0; i < 50; i++)
+			GameObject.init(new Box([200 + i * 20, 200]));
+		const target = GameObject.init(new Box([30, 0]));
+		let checks = 0;
+		const collides = mover.collider.collides;
+		mover.collider.collides = function(other) {
+			checks++;
+			return collides.call(this, other);
+		};
+
+		mover.position = [25, 0];
+		assert.equal(merged(mover.events)[0], "triggerEnter");
+		assert.ok(checks <= 4, `${checks} colliders were checked`);
+		mover.position = [-100, 0];
+		assert.equal(merged(mover.events).pop(), "triggerExit", "the far colliders it collided with still exit");
+	});
+
+	it("follows the colliders moved by their parents", () => {
+		const mover = GameObject.init(new Box([0, 0]));
+		const parent = GameObject.init(new GameObject());
+		const child = GameObject.init(new Box([500, 0]));
+		child.parent = parent;
+		// The child is moved without checking it's own collisions
+		parent.localPosition = [-470, 0];
+
+		mover.position = [25, 0];
+		assert.equal(mover.events[0], "collisionEnter");
+		assert.ok(mover.position.equals([0, 0]));
+	});
+
+	it("finds the colliders in the cells of a rect", () => {
+		const hash = new SpatialHash(10);
+		// In the scene, so they're destroyed with it and don't stay in the game's broadphase
+		const near = GameObject.init(new Box([5, 5])).collider;
+		const far = GameObject.init(new Box([100, 5])).collider;
+		hash.add(near);
+		hash.add(far);
+		assert.deepEqual([...hash.query(new Rect(0, 0, 20, 20))], [near]);
+		assert.equal(hash.query(new Rect(-50, -50, 200, 100)).size, 2);
+
+		far.gameObject.position = [110, 5];
+		hash.invalidate(far);
+		assert.equal(hash.size, 2, "the invalidated collider is only counted once");
+
+		hash.remove(near);
+		assert.deepEqual([...hash.query(new Rect(0, 0, 20, 20))], []);
+		assert.equal(hash.size, 1);
+	});
+});
+
+describe("CircleCollider and PolygonCollider", () => {
+
+	/** @type {import("../../public/js/engine/run.js").HeadlessLoop} */
+	let loop;
+	before(() => { loop = startGame(); });
+	beforeEach(() => { loadEmptyScene(loop); });
+
+	/** A right triangle with the right angle at the top left, it's diagonal faces the bottom right */
+	const triangle = [[-10, -10], [10, -10], [-10, 10]];
+
+	it("collides circles by the distance of their centers", () => {
+		const circle = spawnCollider([0, 0], new CircleCollider("default", 5));
+		assert.ok(circle.collides(spawnCollider([9, 0], new CircleCollider("default", 5))));
+		assert.ok(!circle.collides(spawnCollider([8, 8], new CircleCollider("default", 5))), "the bounds overlap, but the circles don't");
+	});
+
+	it("collides circles with the boxes", () => {
+		const circle = spawnCollider([0, 0], new CircleCollider("default", 5));
+		assert.ok(circle.collides(spawnCollider([9, 0], new BoxCollider("default", [10, 10]))));
+		assert.ok(!circle.collides(spawnCollider([9, 9], new BoxCollider("default", [10, 10]))), "the circle misses the corner");
+		const inside = spawnCollider([0, 0], new BoxCollider("default", [40, 40]));
+		assert.ok(inside.collides(circle), "the box containing the circle");
+	});
+
+	it("collides convex polygons with every collider", () => {
+		const polygon = spawnCollider([0, 0], new PolygonCollider("default", triangle));
+		assert.ok(polygon.collides(spawnCollider([-12, 0], new BoxCollider("default", [10, 10]))));
+		assert.ok(!polygon.collides(spawnCollider([8, 8], new BoxCollider("default", [10, 10]))), "the box is beyond the diagonal");
+		assert.ok(!polygon.collides(spawnCollider([7, 7], new CircleCollider("default", 5))));
+		assert.ok(polygon.collides(spawnCollider([-12, -12], new CircleCollider("default", 5))));
+		const other = spawnCollider([4, 4], new PolygonCollider("default", [[10, 10], [-10, 10], [10, -10]]));
+		assert.ok(!polygon.collides(other), "the diagonals face each other");
+		assert.ok(other.collides(spawnCollider([0, 0], new PolygonCollider("default", [[0, 0], [10, 0], [10, 10], [0, 10]]))));
+	});
+
+	it("rotates the polygon with it's gameObject if it follows the rotation", () => {
+		const box = spawnCollider([8, 8], new BoxCollider("default", [10, 10]));
+		const fixed = spawnCollider([0, 0], new PolygonCollider("default", triangle));
+		const rotating = spawnCollider([0, 0], new PolygonCollider("default", triangle, [0, 0], false, null, true));
+		fixed.gameObject.rotation = Math.PI;
+		rotating.gameObject.rotation = Math.PI;
+		assert.ok(!fixed.collides(box));
+		assert.ok(rotating.collides(box), "the diagonal faces the top left after the half turn");
+	});
+
+	it("blocks the movement with the new shapes", () => {
+		spawnCollider([30, 0], new CircleCollider(colliderTags.default, 10));
+		const mover = GameObject.init(new Box([0, 0]));
+		mover.position = [20, 0];
+		assert.equal(mover.events[0], "collisionEnter");
+		assert.ok(mover.position.equals([0, 0]));
+	});
+
+	it("only accepts convex polygons", () => {
+		assert.throws(() => new PolygonCollider("default", [[0, 0], [10, 0], [5, 2], [10, 10], [0, 10]]));
+	});
+
+	it("keeps it's shape when it's serialized", () => {
+		spawnCollider([0, 0], new PolygonCollider("player", triangle, [1, 2], true, null, true));
+		const [loaded] = Serializer.deserialize(Serializer.serialize(Scene.current.gameObjects));
+		const collider = loaded.getComponent(PolygonCollider);
+		assert.ok(collider.points[1].equals([10, -10]));
+		assert.ok(collider.offset.equals([1, 2]));
+		assert.equal(collider.followRotation, true);
+	});
+
+	it("draws it's outline for debugging", () => {
+		const circle = spawnCollider([0, 0], new CircleCollider("default", 5));
+		const polygon = spawnCollider([0, 0], new PolygonCollider("default", triangle));
+		circle.debugBounds = true;
+		polygon.debugBounds = true;
+		circle.collides(polygon);
+		const canvas = new FakeCanvas();
+		for (const key in Debug.currentDebugs)
+			Debug.currentDebugs[key](canvas, null);
+		assert.deepEqual(canvas.callsOf("arc")[0].args, [0, 0, 5, 0, Math.PI * 2]);
+		assert.deepEqual(canvas.callsOf("lineTo").map(call => call.args), [[10.5, -9.5], [-9.5, 10.5]]);
+	});
+});
+
+describe("continuous collision detection", () => {
+
+	/** @type {import("../../public/js/engine/run.js").HeadlessLoop} */
+	let loop;
+	before(() => { loop = startGame(); });
+	beforeEach(() => { loadEmptyScene(loop); });
+
+	it("enters the triggers it passed through in a single move", () => {
+		const bullet = GameObject.init(new Box([0, 0], colliderTags.default, true));
+		GameObject.init(new Box([50, 0]));
+		bullet.position = [100, 0];
+		assert.deepEqual(bullet.events, [], "it passes through without the sweep");
+
+		bullet.collider.continuous = true;
+		bullet.position = [0, 0];
+		assert.deepEqual(merged(bullet.events), ["triggerEnter", "triggerExit"]);
+	});
+
+	it("stops at the first solid collider on the way", () => {
+		const mover = GameObject.init(new Box([0, 0]));
+		mover.collider.continuous = true;
+		GameObject.init(new Box([100, 0]));
+		GameObject.init(new Box([50, 0]));
+
+		mover.position = [200, 0];
+		assert.equal(mover.events[0], "collisionEnter");
+		// The boxes can overlap by the minimum collision distance
+		assert.ok(Math.abs(mover.position.x - 40.4) < 0.01, `it stopped at ${mover.position.x} instead of touching the closer box`);
+		assert.equal(mover.position.y, 0);
+	});
+
+	it("is at the hit point while entering the triggers on the way", () => {
+		const bullet = GameObject.init(new Box([0, 0], colliderTags.default, true));
+		bullet.collider.continuous = true;
+		GameObject.init(new Box([50, 0]));
+		let hitPosition = null;
+		bullet.onTriggerEnter = () => { hitPosition = bullet.position; };
+
+		bullet.position = [100, 0];
+		assert.ok(Math.abs(hitPosition.x - 40.4) < 0.01, `it entered at ${hitPosition.x}`);
+		assert.ok(bullet.position.equals([100, 0]), "it still passes through");
+	});
+
+	it("reports the hits from the earliest", () => {
+		const mover = spawnCollider([0, 0], new CircleCollider("default", 4));
+		const far = spawnCollider([80, 0], new PolygonCollider("default", [[-10, -10], [10, -10], [-10, 10]]));
+		const near = spawnCollider([40, 2], new CircleCollider("default", 2));
+		spawnCollider([40, 20], new CircleCollider("default", 2));
+
+		const hits = mover.sweep([100, 0]);
+		assert.deepEqual(hits.map(hit => hit.collider), [near, far]);
+		assert.ok(hits[0].time > 0.3 && hits[0].time < 0.4);
+		assert.deepEqual(mover.sweep([20, 0]), [], "the colliders beyond the move are missed");
+	});
+});
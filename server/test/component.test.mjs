@@ -0,0 +1,142 @@
+/*jshint esversion: 11 */
+import { describe, it, before, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import GameObject from "../../public/js/engine/GameObject.js";
+import Component from "../../public/js/engine/Component.js";
+import Pool from "../../public/js/engine/Pool.js";
+import { timers } from "../../public/js/engine/Utils.js";
+import { startGame, loadEmptyScene } from "./helpers/game.mjs";
+
+/** A gameObject counting it's updates and destroys */
+class Counter extends GameObject {
+	constructor(onUpdate = null) {
+		super();
+		this.updates = 0;
+		this.destroys = 0;
+		this.onUpdate = onUpdate;
+	}
+	update() {
+		this.updates++;
+		if (this.onUpdate != null)
+			this.onUpdate(this);
+	}
+	onDestroy() { this.destroys++; }
+}
+
+class CountingComponent extends Component {
+	constructor() {
+		super();
+		this.destroys = 0;
+	}
+	onDestroy() { this.destroys++; }
+}
+
+describe("Component.destroy", () => {
+
+	/** @type {import("../../public/js/engine/run.js").HeadlessLoop} */
+	let loop;
+	/** @type {import("../../public/js/engine/Scene.js").default} */
+	let scene;
+	before(() => { loop = startGame(); });
+	beforeEach(() => { scene = loadEmptyScene(loop); });
+
+	it("removes the gameObject from it's scene and calls onDestroy on it and it's components", () => {
+		const object = GameObject.init(new Counter());
+		const component = object.addComponent(new CountingComponent());
+
+		object.destroy();
+		assert.ok(object.isDestroyed);
+		assert.equal(object.scene, null);
+		assert.ok(!scene.gameObjects[0].includes(object));
+		assert.equal(object.destroys, 1);
+		assert.equal(component.destroys, 1);
+	});
+
+	it("is harmless to destroy twice", () => {
+		const object = GameObject.init(new Counter());
+		object.destroy();
+		object.destroy();
+		GameObject.destroy(object);
+		assert.equal(object.destroys, 1);
+	});
+
+	it("destroys the children together with the parent", () => {
+		const parent = GameObject.init(new Counter());
+		const child = GameObject.init(new Counter());
+		child.parent = parent;
+
+		parent.destroy();
+		assert.ok(child.isDestroyed);
+		assert.equal(child.destroys, 1);
+		assert.deepEqual(parent.children, []);
+	});
+
+	it("waits for the delay in ticks", () => {
+		const object = GameObject.init(new Counter());
+		object.destroy(3);
+		loop.step(2);
+		assert.ok(!object.isDestroyed);
+		loop.step();
+		assert.ok(object.isDestroyed);
+		assert.equal(object.destroys, 1);
+	});
+
+	it("destroys right away even if a delayed destroy is pending", () => {
+		const object = GameObject.init(new Counter());
+		object.destroy(3);
+		object.destroy();
+		loop.step(5);
+		assert.equal(object.destroys, 1);
+	});
+
+	it("cancels the delayed destroy of the first timer, so it can't destroy the reused gameObject", () => {
+		const pool = new Pool("Counters", () => new Counter(), () => {});
+		const object = GameObject.init(pool.acquire());
+		timers.id = 0;
+		object.destroy(3);
+		object.destroy();
+		loop.step();
+		assert.equal(GameObject.init(pool.acquire()), object);
+		loop.step(5);
+		assert.ok(!object.isDestroyed);
+	});
+
+	it("removes the gameObjects destroyed while updating at the end of the tick", () => {
+		const second = new Counter();
+		const first = GameObject.init(new Counter(() => {
+			second.destroy();
+			assert.ok(second.isDestroyed);
+			assert.equal(second.destroys, 0, "onDestroy is only called at the end of the tick");
+		}));
+		GameObject.init(second);
+
+		loop.step();
+		assert.equal(first.updates, 1);
+		assert.equal(second.destroys, 1);
+		assert.ok(!scene.gameObjects[0].includes(second));
+		assert.equal(second.updates, 0, "the destroyed gameObject isn't updated anymore");
+	});
+
+	it("doesn't skip the next gameObject when one destroys itself while updating", () => {
+		const first = GameObject.init(new Counter((self) => self.destroy()));
+		const second = GameObject.init(new Counter());
+
+		loop.step();
+		assert.equal(first.updates, 1);
+		assert.equal(second.updates, 1);
+	});
+
+	it("adds the gameObjects spawned while updating at the end of the tick", () => {
+		let spawned = null;
+		GameObject.init(new Counter((self) => {
+			if (spawned == null)
+				spawned = GameObject.init(new Counter());
+		}));
+
+		loop.step();
+		assert.ok(scene.gameObjects[0].includes(spawned));
+		assert.equal(spawned.updates, 0);
+		loop.step();
+		assert.equal(spawned.updates, 1);
+	});
+});
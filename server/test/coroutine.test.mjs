@@ -0,0 +1,138 @@
+/*jshint esversion: 11 */
+import { describe, it, before, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import GameObject from "../../public/js/engine/GameObject.js";
+import EventHandler from "../../public/js/engine/EventHandler.js";
+import Time from "../../public/js/engine/Time.js";
+import { waitTicks, waitUntil, waitForEvent } from "../../public/js/engine/Coroutine.js";
+import { startGame, loadEmptyScene } from "./helpers/game.mjs";
+
+describe("coroutines", () => {
+
+	/** @type {import("../../public/js/engine/run.js").HeadlessLoop} */
+	let loop;
+	/** @type {GameObject} */
+	let gameObject;
+	before(() => { loop = startGame(); });
+	beforeEach(() => {
+		loadEmptyScene(loop);
+		gameObject = GameObject.init(new GameObject());
+	});
+
+	it("runs until the first yield right away, then waits the ticks", () => {
+		const steps = [];
+		gameObject.startCoroutine(function* () {
+			steps.push("start");
+			yield waitTicks(3);
+			steps.push("waited");
+			yield;
+			steps.push("next tick");
+		});
+		assert.deepEqual(steps, ["start"]);
+		loop.step(2);
+		assert.deepEqual(steps, ["start"]);
+		loop.step();
+		assert.deepEqual(steps, ["start", "waited"]);
+		loop.step();
+		assert.deepEqual(steps, ["start", "waited", "next tick"]);
+	});
+
+	it("calls the generator function on the component", () => {
+		let self = null;
+		gameObject.startCoroutine(function* () { self = this; });
+		assert.equal(self, gameObject);
+	});
+
+	it("waits until the predicate is true", () => {
+		let open = false;
+		let passed = false;
+		gameObject.startCoroutine(function* () {
+			yield waitUntil(() => open);
+			passed = true;
+		});
+		loop.step(5);
+		assert.equal(passed, false);
+		open = true;
+		loop.step();
+		assert.equal(passed, true);
+	});
+
+	it("waits for the event and returns it's argument", () => {
+		const events = new EventHandler();
+		let received = null;
+		const coroutine = gameObject.startCoroutine(function* () {
+			received = yield waitForEvent(events, "hit");
+		});
+		loop.step(3);
+		events.call("hit", 25);
+		loop.step();
+		assert.equal(received, 25);
+		assert.equal(coroutine.isRunning, false);
+		assert.equal(events.listeners.hit.length, 0, "the listener is removed");
+	});
+
+	it("waits for an other coroutine", () => {
+		const steps = [];
+		gameObject.startCoroutine(function* () {
+			yield this.startCoroutine(function* () {
+				yield waitTicks(2);
+				steps.push("inner");
+			});
+			steps.push("outer");
+		});
+		loop.step(2);
+		assert.deepEqual(steps, ["inner"]);
+		loop.step();
+		assert.deepEqual(steps, ["inner", "outer"]);
+	});
+
+	it("stops the coroutines when the gameObject is destroyed", () => {
+		let ticks = 0;
+		const coroutine = gameObject.startCoroutine(function* () {
+			while (true) {
+				ticks++;
+				yield;
+			}
+		});
+		loop.step(2);
+		gameObject.destroy();
+		loop.step(5);
+		assert.equal(ticks, 3);
+		assert.equal(coroutine.isRunning, false);
+	});
+
+	it("can destroy it's own gameObject", () => {
+		let after = false;
+		const coroutine = gameObject.startCoroutine(function* () {
+			yield;
+			this.destroy();
+			after = true;
+			yield;
+			assert.fail("it shouldn't continue");
+		});
+		loop.step(3);
+		assert.ok(after);
+		assert.ok(gameObject.isDestroyed);
+		assert.equal(coroutine.isRunning, false);
+	});
+
+	it("runs on the game clock and pauses while the owner is disabled", () => {
+		let ticks = 0;
+		gameObject.startCoroutine(function* () {
+			while (true) {
+				ticks++;
+				yield;
+			}
+		});
+		Time.pause();
+		loop.step(3);
+		assert.equal(ticks, 1);
+		Time.resume();
+		gameObject.enabled = false;
+		loop.step(3);
+		assert.equal(ticks, 1);
+		gameObject.enabled = true;
+		loop.step(3);
+		assert.equal(ticks, 4);
+	});
+});
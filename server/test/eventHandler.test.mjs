@@ -0,0 +1,56 @@
+/*jshint esversion: 11 */
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import EventHandler from "../../public/js/engine/EventHandler.js";
+
+describe("EventHandler", () => {
+
+	it("calls the listeners of the type with the arguments", () => {
+		const events = new EventHandler();
+		const calls = [];
+		events.on("hit", (a, b) => calls.push(["first", a, b]));
+		events.on("hit", (a, b) => calls.push(["second", a, b]));
+		events.on("other", () => calls.push(["other"]));
+		events.call("hit", 1, 2);
+		assert.deepEqual(calls, [["first", 1, 2], ["second", 1, 2]]);
+	});
+
+	it("ignores the types without listeners", () => {
+		const events = new EventHandler();
+		assert.doesNotThrow(() => events.call("nothing"));
+		assert.doesNotThrow(() => events.off("nothing", () => {}));
+	});
+
+	it("removes listeners", () => {
+		const events = new EventHandler();
+		let count = 0;
+		const listener = () => count++;
+		events.on("hit", listener);
+		events.call("hit");
+		events.off("hit", listener);
+		events.call("hit");
+		assert.equal(count, 1);
+	});
+
+	it("lets the listeners remove themselves while being called", () => {
+		const events = new EventHandler();
+		const calls = [];
+		const once = () => { calls.push("once"); events.off("hit", once); };
+		events.on("hit", once);
+		events.on("hit", () => calls.push("always"));
+		events.call("hit");
+		events.call("hit");
+		assert.deepEqual(calls, ["once", "always", "always"]);
+	});
+
+	it("iterates over the listeners", () => {
+		const events = new EventHandler();
+		const a = () => {};
+		const b = () => {};
+		events.on("hit", a);
+		events.on("hit", b);
+		const listeners = [];
+		events.forEach("hit", (listener) => listeners.push(listener));
+		assert.deepEqual(listeners, [a, b]);
+	});
+});
@@ -0,0 +1,70 @@
+/*jshint esversion: 11 */
+/**
+ * A stand-in for CanvasRenderingContext2D that records the calls made on it.
+ * Used for rendering smoke tests, where there's no real canvas
+ */
+export default class FakeCanvas {
+
+	constructor() {
+		/** @type {{name: String, args: any[], state: Object.<string, any>}[]} */
+		this.calls = [];
+		this.globalAlpha = 1;
+		this.globalCompositeOperation = "source-over";
+		this.fillStyle = "black";
+		this.strokeStyle = "black";
+		this.lineWidth = 1;
+		this.font = "10px sans-serif";
+		this.textBaseline = "alphabetic";
+		this.imageSmoothingEnabled = true;
+		/** @private */
+		this._states = [];
+	}
+
+	save() {
+		this.calls.push({name: "save", args: []});
+		const state = {};
+		for (const key of stateKeys)
+			state[key] = this[key];
+		this._states.push(state);
+	}
+
+	restore() {
+		this.calls.push({name: "restore", args: []});
+		const state = this._states.pop();
+		if (state != null)
+			Object.assign(this, state);
+	}
+
+	/**
+	 * Every character is as wide as half of the font's size
+	 * @param {String} text
+	 */
+	measureText(text) {
+		return {width: text.length * parseFloat(this.font) / 2};
+	}
+
+	/**
+	 * The calls made with the name
+	 * @param {String} name
+	 */
+	callsOf(name) {
+		return this.calls.filter(call => call.name == name);
+	}
+}
+
+/** The properties saved and restored with save() and restore() */
+const stateKeys = ["globalAlpha", "globalCompositeOperation", "fillStyle", "strokeStyle", "lineWidth", "font", "textBaseline", "imageSmoothingEnabled"];
+
+/** The drawing methods, they are only recorded with the state they were called in */
+const methods = [
+	"translate", "rotate", "scale", "setTransform",
+	"drawImage", "fillRect", "strokeRect", "clearRect", "fillText",
+	"beginPath", "closePath", "moveTo", "lineTo", "arc", "stroke", "fill",
+];
+for (const name of methods)
+	FakeCanvas.prototype[name] = function(...args) {
+		const state = {};
+		for (const key of stateKeys)
+			state[key] = this[key];
+		this.calls.push({name, args, state});
+	};
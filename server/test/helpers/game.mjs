@@ -0,0 +1,92 @@
+/*jshint esversion: 11 */
+import { headless } from "../../../public/js/engine/run.js";
+import Scene from "../../../public/js/engine/Scene.js";
+import Prefab from "../../../public/js/engine/Prefab.js";
+import Tilemap from "../../../public/js/engine/Tilemap.js";
+import GameObject from "../../../public/js/engine/GameObject.js";
+import assert from "node:assert/strict";
+import { readFileSync, readdirSync } from "node:fs";
+
+const dataDirectory = new URL("../../../public/data/", import.meta.url);
+const mapDirectory = new URL("maps/", dataDirectory);
+
+/**
+ * Starts the engine headless with an empty scene, the game's prefabs and maps
+ * @returns {import("../../../public/js/engine/run.js").HeadlessLoop}
+ */
+export function startGame() {
+	const loop = headless(() => {});
+	loadPrefabs();
+	loadMaps();
+	loadEmptyScene(loop);
+	return loop;
+}
+
+/**
+ * Replaces the loaded scenes with an empty one, so the tests don't affect each other
+ * @param {import("../../../public/js/engine/run.js").HeadlessLoop} loop
+ * @returns {Scene}
+ */
+export function loadEmptyScene(loop) {
+	const scene = new Scene();
+	Scene.load(scene);
+	// The scene changes are applied at the start of the next tick
+	loop.step();
+	return scene;
+}
+
+/**
+ * Defines the prefabs of the files in public/data. Prefab.load() needs fetch, which can't read files in Node
+ */
+export function loadPrefabs() {
+	for (const file of readdirSync(dataDirectory))
+		if (file.endsWith(".json"))
+			Prefab.defineAll(JSON.parse(readFileSync(new URL(file, dataDirectory), "utf8")));
+}
+
+/**
+ * Defines the tilemaps of the files in public/data/maps, like loadPrefabs()
+ */
+export function loadMaps() {
+	for (const file of readdirSync(mapDirectory))
+		if (file.endsWith(".json"))
+			Tilemap.defineAll(JSON.parse(readFileSync(new URL(file, mapDirectory), "utf8")));
+}
+
+/**
+ * Initializes a gameObject with the components
+ * @param {Number[]} position
+ * @param {import("../../../public/js/engine/Component.js").default | import("../../../public/js/engine/Component.js").default[]} components
+ * @param {Number} layer The update layer
+ * @returns {GameObject}
+ */
+export function spawnWith(position, components = [], layer = 10) {
+	const object = GameObject.init(new GameObject(), layer);
+	object.position = position;
+	for (const component of [].concat(components))
+		object.addComponent(component);
+	return object;
+}
+
+/**
+ * Initializes a gameObject with the collider, like spawnWith()
+ * @param {Number[]} position
+ * @param {import("../../../public/js/engine/Collider.js").default} collider
+ * @returns {import("../../../public/js/engine/Collider.js").default}
+ */
+export function spawnCollider(position, collider) {
+	spawnWith(position, collider);
+	return collider;
+}
+
+/**
+ * Asserts that the numbers or the vectors are the same, apart from the rounding errors
+ * @param {Number | import("../../../public/js/engine/Struct.js").Vector2} actual
+ * @param {Number | Number[]} expected
+ */
+export function assertNear(actual, expected) {
+	if (typeof actual == "number")
+		assert.ok(Math.abs(actual - expected) < 1e-6, `${actual} isn't ${expected}`);
+	else
+		assert.ok(actual.substract(expected).magnitude < 1e-6, `${actual.x}, ${actual.y} isn't ${expected}`);
+}
@@ -0,0 +1,90 @@
+/*jshint esversion: 11 */
+import { describe, it, before, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import GameObject from "../../public/js/engine/GameObject.js";
+import BoxCollider from "../../public/js/engine/BoxCollider.js";
+import CircleCollider from "../../public/js/engine/CircleCollider.js";
+import PolygonCollider from "../../public/js/engine/PolygonCollider.js";
+import Physics from "../../public/js/engine/Physics.js";
+import { colliderTags } from "../../public/js/Config.js";
+import { startGame, loadEmptyScene, spawnCollider, assertNear } from "./helpers/game.mjs";
+
+describe("Physics", () => {
+
+	/** @type {import("../../public/js/engine/run.js").HeadlessLoop} */
+	let loop;
+	before(() => { loop = startGame(); });
+	beforeEach(() => { loadEmptyScene(loop); });
+
+	it("returns the closest hit of the ray with it's point and normal", () => {
+		const near = spawnCollider([50, 0], new BoxCollider(colliderTags.enemy, [10, 10]));
+		const far = spawnCollider([100, 0], new BoxCollider(colliderTags.enemy, [10, 10]));
+
+		const hit = Physics.raycast([0, 0], [2, 0]);
+		assert.equal(hit.collider, near);
+		assertNear(hit.point, [45, 0]);
+		assertNear(hit.normal, [-1, 0]);
+		assert.equal(hit.distance, 45);
+		assert.deepEqual(Physics.raycastAll([0, 0], [1, 0]).map(hit => hit.collider), [near, far]);
+		assert.equal(Physics.raycast([0, 0], [1, 0], 40), null, "the colliders beyond the max distance are missed");
+		assert.equal(Physics.raycast([0, 0], [0, 1]), null);
+	});
+
+	it("hits the circles and the polygons on their outline", () => {
+		spawnCollider([0, 50], new CircleCollider(colliderTags.enemy, 10));
+		const circleHit = Physics.raycast([0, 0], [0, 1]);
+		assertNear(circleHit.point, [0, 40]);
+		assertNear(circleHit.normal, [0, -1]);
+
+		// The diagonal of the triangle faces the bottom right
+		spawnCollider([100, 0], new PolygonCollider(colliderTags.enemy, [[-10, -10], [10, -10], [-10, 10]]));
+		const polygonHit = Physics.raycast([120, 20], [-1, -1]);
+		assertNear(polygonHit.point, [100, 0]);
+		assertNear(polygonHit.normal, [Math.SQRT1_2, Math.SQRT1_2]);
+	});
+
+	it("hits right away from inside a collider", () => {
+		spawnCollider([0, 0], new CircleCollider(colliderTags.enemy, 10));
+		const hit = Physics.raycast([2, 0], [1, 0]);
+		assert.equal(hit.distance, 0);
+		assertNear(hit.point, [2, 0]);
+		assertNear(hit.normal, [-1, 0]);
+	});
+
+	it("filters the colliders by the tag mask", () => {
+		const player = spawnCollider([50, 0], new BoxCollider(colliderTags.player, [10, 10]));
+		const enemy = spawnCollider([100, 0], new BoxCollider(colliderTags.enemy, [10, 10]));
+		const missile = spawnCollider([150, 0], new BoxCollider(colliderTags.missile, [10, 10]));
+
+		// The players ignore the other players
+		assert.equal(Physics.raycast([0, 0], [1, 0], Infinity, colliderTags.player).collider, enemy);
+		// The missiles are ignored by the enemies
+		assert.deepEqual(Physics.raycastAll([0, 0], [1, 0], Infinity, colliderTags.enemy).map(hit => hit.collider), [player, enemy]);
+		assert.deepEqual(Physics.raycastAll([0, 0], [1, 0], Infinity, [colliderTags.missile]).map(hit => hit.collider), [missile]);
+		assert.equal(Physics.raycast([0, 0], [1, 0], Infinity, null, player.gameObject).collider, enemy, "the ignored gameObject is skipped");
+	});
+
+	it("checks the line of sight between two points", () => {
+		const shooter = spawnCollider([0, 0], new CircleCollider(colliderTags.enemy, 10));
+		const target = spawnCollider([0, 100], new BoxCollider(colliderTags.player, [10, 10]));
+		assert.equal(Physics.linecast([0, 0], [0, 100], colliderTags.enemy, shooter.gameObject).collider, target);
+		assert.equal(Physics.linecast([0, 0], [0, 90], colliderTags.enemy, shooter.gameObject), null, "it stops at the end point");
+
+		const blocker = spawnCollider([0, 50], new BoxCollider(colliderTags.enemy, [10, 10]));
+		assert.equal(Physics.linecast([0, 0], [0, 100], colliderTags.enemy, shooter.gameObject).collider, blocker);
+		blocker.gameObject.destroy();
+		assert.equal(Physics.linecast([0, 0], [0, 100], colliderTags.enemy, shooter.gameObject).collider, target);
+	});
+
+	it("finds the colliders in a box or a circle", () => {
+		const box = spawnCollider([10, 0], new BoxCollider(colliderTags.enemy, [10, 10]));
+		const circle = spawnCollider([0, 30], new CircleCollider(colliderTags.enemy, 5));
+		spawnCollider([200, 200], new BoxCollider(colliderTags.enemy, [10, 10]));
+
+		assert.deepEqual(Physics.overlapBox([0, 0], [20, 20]), [box]);
+		assert.deepEqual(new Set(Physics.overlapCircle([0, 10], 20)), new Set([box, circle]));
+		circle.enabled = false;
+		assert.deepEqual(Physics.overlapCircle([0, 10], 20), [box], "the disabled colliders aren't found");
+		assert.deepEqual(Physics.overlapCircle([0, 10], 20, [colliderTags.player]), []);
+	});
+});
@@ -0,0 +1,137 @@
+/*jshint esversion: 11 */
+import { describe, it, before, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import GameObject from "../../public/js/engine/GameObject.js";
+import Prefab from "../../public/js/engine/Prefab.js";
+import BoxCollider from "../../public/js/engine/BoxCollider.js";
+import { ParticleSystem } from "../../public/js/engine/ParticleSystem.js";
+import { sprites } from "../../public/js/Assets.js";
+import Enemy from "../../public/js/Enemy.js";
+import Player from "../../public/js/Player.js";
+import { VirtualController } from "../../public/js/engine/Controller.js";
+import { startGame, loadEmptyScene } from "./helpers/game.mjs";
+
+class Crate extends GameObject {
+	constructor(weight) {
+		super();
+		this.weight = weight;
+		this.color = "brown";
+	}
+}
+Prefab.register(Crate, (fields) => new Crate(fields.weight));
+
+Prefab.defineAll({
+	test_crate: {
+		type: "Crate",
+		layer: 5,
+		sprite: "sprites.missile",
+		spriteLabel: "GREEN",
+		fields: {weight: 10, color: "red"},
+		colliders: [{tag: "default", size: [8, 8], offset: [1, 2]}],
+	},
+	test_heavy_crate: {
+		extends: "test_crate",
+		fields: {weight: 50},
+	},
+	test_stack: {
+		children: [
+			{prefab: "test_crate", position: [0, -10]},
+			{type: "Crate", fields: {weight: 1}, position: [0, -20]},
+		],
+	},
+	test_sparks: {
+		particleSystems: [{
+			delay: 5,
+			particles: [{sprite: "sprites.particles", spriteLabel: "EXPLOSION", lifespan: {$random: [10, 20]}}],
+		}],
+	},
+});
+
+describe("Prefab", () => {
+
+	/** @type {import("../../public/js/engine/run.js").HeadlessLoop} */
+	let loop;
+	/** @type {import("../../public/js/engine/Scene.js").default} */
+	let scene;
+	before(() => { loop = startGame(); });
+	beforeEach(() => { scene = loadEmptyScene(loop); });
+
+	it("builds the gameObject from the definition", () => {
+		const crate = GameObject.instantiate("test_crate", [30, 40]);
+		assert.ok(crate instanceof Crate);
+		assert.equal(crate.weight, 10);
+		assert.equal(crate.color, "red");
+		assert.ok(crate.localPosition.equals([30, 40]));
+		assert.equal(crate.sprite, sprites.missile);
+		assert.deepEqual(crate.spriteRect, sprites.missile.getSpriteFromLabel("GREEN"));
+		assert.ok(scene.gameObjects[5].includes(crate));
+
+		const collider = crate.getComponent(BoxCollider);
+		assert.ok(collider.size.equals([8, 8]));
+		assert.ok(collider.offset.equals([1, 2]));
+	});
+
+	it("takes the missing values from the extended prefab", () => {
+		const crate = GameObject.instantiate("test_heavy_crate");
+		assert.equal(crate.weight, 50);
+		assert.equal(crate.color, "red");
+		assert.equal(crate.updateLayer, 5);
+	});
+
+	it("throws for the prefabs extending themselves", () => {
+		Prefab.define("test_loop_a", {extends: "test_loop_b"});
+		Prefab.define("test_loop_b", {extends: "test_loop_a"});
+		assert.throws(() => Prefab.get("test_loop_a"), /extends itself/);
+		// The other tests list every prefab
+		Prefab.define("test_loop_a", {});
+		Prefab.define("test_loop_b", {});
+	});
+
+	it("builds the children", () => {
+		const stack = GameObject.instantiate("test_stack", [100, 100]);
+		assert.equal(stack.children.length, 2);
+		const [prefabChild, inlineChild] = stack.children;
+		assert.equal(prefabChild.weight, 10);
+		assert.ok(prefabChild.position.equals([100, 90]));
+		assert.equal(inlineChild.weight, 1);
+		assert.ok(inlineChild.position.equals([100, 80]));
+	});
+
+	it("creates the particle systems", () => {
+		const sparks = GameObject.instantiate("test_sparks");
+		const system = sparks.getComponent(ParticleSystem);
+		assert.ok(system.enabled);
+		loop.step();
+		assert.equal(system.particlesObjects.length, 1);
+		const particle = system.particlesObjects[0];
+		assert.ok(particle.lifespan >= 10 && particle.lifespan <= 20);
+		assert.deepEqual(particle.spriteRect, sprites.particles.getSpriteFromLabel("EXPLOSION"));
+	});
+
+	it("throws for the unknown prefabs and types", () => {
+		assert.throws(() => GameObject.instantiate("test_missing"), /no prefab named/);
+		Prefab.define("test_unknown_type", {type: "Missing"});
+		assert.throws(() => GameObject.instantiate("test_unknown_type"), /not registered/);
+	});
+
+	it("builds the game's enemies from the data files", () => {
+		assert.ok(Prefab.namesOfType("Enemy").includes("enemy_basic"));
+		const enemy = GameObject.instantiate("enemy_basic", [50, 60]);
+		assert.ok(enemy instanceof Enemy);
+		assert.equal(enemy.health, 20);
+		assert.equal(enemy.collider.tag, "enemy");
+	});
+
+	it("builds the player ships with the layout of their colour", () => {
+		const controller = new VirtualController();
+		const thrusterCounts = {PURPLE: 2, GREEN: 3, BLUE: 1};
+		for (const label in thrusterCounts) {
+			const player = GameObject.instantiate("player", null, controller.input, label, null);
+			assert.ok(player instanceof Player);
+			assert.equal(player.health, 100);
+			assert.equal(player.thrusters.length, thrusterCounts[label], label);
+			player.destroy();
+		}
+		controller.remove();
+	});
+});
@@ -0,0 +1,124 @@
+/*jshint esversion: 11 */
+import { describe, it, before, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import GameObject from "../../public/js/engine/GameObject.js";
+import BoxCollider from "../../public/js/engine/BoxCollider.js";
+import Component from "../../public/js/engine/Component.js";
+import { Vector2 } from "../../public/js/engine/Struct.js";
+import Enemy from "../../public/js/Enemy.js";
+import Missile from "../../public/js/Missile.js";
+import DamagePopup from "../../public/js/DamagePopup.js";
+import Player from "../../public/js/Player.js";
+import { VirtualController } from "../../public/js/engine/Controller.js";
+import { startGame, loadEmptyScene } from "./helpers/game.mjs";
+
+class Rock extends GameObject {}
+class BigRock extends Rock {}
+
+/**
+ * @param {GameObject} gameObject
+ * @param {Number[]} position
+ * @param {Number} layer
+ */
+function spawn(gameObject, position, layer = 0) {
+	gameObject.localPosition = position;
+	return GameObject.init(gameObject, layer);
+}
+
+describe("scene queries", () => {
+
+	/** @type {import("../../public/js/engine/run.js").HeadlessLoop} */
+	let loop;
+	/** @type {import("../../public/js/engine/Scene.js").default} */
+	let scene;
+	before(() => { loop = startGame(); });
+	beforeEach(() => { scene = loadEmptyScene(loop); });
+
+	it("finds the gameObjects by their class on every layer", () => {
+		const rock = spawn(new Rock(), [0, 0], 1);
+		const bigRock = spawn(new BigRock(), [0, 0], 7);
+		spawn(new GameObject(), [0, 0]);
+
+		assert.deepEqual(scene.findByType(Rock), [rock, bigRock]);
+		assert.deepEqual(scene.findByType(BigRock), [bigRock]);
+	});
+
+	it("finds the gameObjects by their collider tag, tag and name", () => {
+		const wall = spawn(new GameObject(), [0, 0]);
+		wall.addComponent(new BoxCollider("background", [10, 10]));
+		const boss = spawn(new GameObject(), [0, 0]);
+		boss.name = "Boss";
+		boss.tags = ["enemy", "large"];
+
+		assert.deepEqual(scene.findByColliderTag("background"), [wall]);
+		assert.deepEqual(scene.findByTag("large"), [boss]);
+		assert.equal(scene.findByName("Boss"), boss);
+		assert.equal(scene.findByName("Nobody"), null);
+	});
+
+	it("skips the destroyed gameObjects", () => {
+		const rock = spawn(new Rock(), [0, 0]);
+		GameObject.isUpdating = true;
+		rock.destroy();
+		assert.deepEqual(scene.findByType(Rock), [], "it's only removed at the end of the tick");
+		GameObject.isUpdating = false;
+		GameObject.applyChanges();
+	});
+
+	it("finds the nearest gameObject of the class", () => {
+		spawn(new Rock(), [100, 0]);
+		const near = spawn(new Rock(), [10, 10]);
+		const filtered = spawn(new Rock(), [1, 1]);
+		spawn(new GameObject(), [0, 0]);
+
+		assert.equal(scene.nearest(Rock, [0, 0], rock => rock != filtered), near);
+		assert.equal(scene.nearest(BigRock, [0, 0]), null);
+	});
+
+	it("returns every component of the type", () => {
+		const gameObject = spawn(new GameObject(), [0, 0]);
+		const first = gameObject.addComponent(new BoxCollider("default", [1, 1]));
+		gameObject.addComponent(new Component());
+		const second = gameObject.addComponent(new BoxCollider("default", [2, 2]));
+		assert.deepEqual(gameObject.getComponents(BoxCollider), [first, second]);
+	});
+
+	it("moves the tracking enemies towards the nearest player", () => {
+		const controller = new VirtualController();
+		const player = GameObject.instantiate("player", [300, 300], controller.input, "PURPLE", null);
+		const enemy = GameObject.instantiate("enemy_hunter", [100, 0]);
+		const basic = GameObject.instantiate("enemy_basic", [100, 0]);
+		loop.step(10);
+		assert.ok(enemy.position.x > 100);
+		assert.equal(basic.position.x, 100);
+		player.destroy();
+		controller.remove();
+	});
+
+	it("turns the homing missiles towards the nearest enemy", () => {
+		const enemy = GameObject.instantiate("enemy_basic", [200, 0]);
+		enemy.enabled = false;
+		const ship = {position: new Vector2(100, 200)};
+		const homing = GameObject.init(Missile.pool.acquire("BLUE", ship, [0, 0], 10, 0.1), 40);
+		const straight = GameObject.init(Missile.pool.acquire("BLUE", ship, [0, 0], 10, 0), 40);
+		loop.step(10);
+		assert.equal(homing.target, enemy);
+		assert.ok(homing.position.x > 100);
+		assert.ok(homing.localRotation > 0, "it's rotated to the right");
+		assert.equal(straight.position.x, 100);
+	});
+
+	it("colours the damage popup of the missile from it's ship's layout", () => {
+		const controller = new VirtualController();
+		const player = GameObject.instantiate("player", [100, 300], controller.input, "GREEN", null);
+		const enemy = GameObject.instantiate("enemy_basic", [100, 200]);
+		enemy.enabled = false;
+		player.spawnMissiles();
+		loop.step(30);
+		const popup = scene.findAll(object => object instanceof DamagePopup)[0];
+		assert.equal(popup.text.color, player.ship.popupColor);
+		assert.ok(popup.text.color != null);
+		player.destroy();
+		controller.remove();
+	});
+});
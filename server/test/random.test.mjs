@@ -0,0 +1,82 @@
+/*jshint esversion: 11 */
+import { describe, it, before } from "node:test";
+import assert from "node:assert/strict";
+import Random, { RandomStream } from "../../public/js/engine/Random.js";
+import { decide } from "../../public/js/engine/Utils.js";
+import Scene from "../../public/js/engine/Scene.js";
+import Enemy from "../../public/js/Enemy.js";
+import { GameplayScene } from "../../public/js/Scenes.js";
+import { startGame } from "./helpers/game.mjs";
+
+/**
+ * @param {RandomStream} stream
+ * @param {Number} count
+ */
+function take(stream, count) {
+	return Array.from({length: count}, () => stream.next());
+}
+
+describe("Random", () => {
+
+	it("gives the same sequence for the same seed", () => {
+		const a = new RandomStream(1234);
+		const b = new RandomStream(1234);
+		assert.deepEqual(take(a, 10), take(b, 10));
+		assert.notDeepEqual(take(new RandomStream(1), 10), take(new RandomStream(2), 10));
+		for (const value of take(a, 1000))
+			assert.ok(value >= 0 && value < 1);
+	});
+
+	it("continues the sequence from a saved state", () => {
+		const stream = new RandomStream(99);
+		take(stream, 5);
+		const state = stream.state;
+		const expected = take(stream, 5);
+		stream.reset(7);
+		stream.state = state;
+		assert.deepEqual(take(stream, 5), expected);
+	});
+
+	it("restarts the named streams from the seed", () => {
+		Random.setSeed(42);
+		const gameplay = take(Random.gameplay, 5);
+		const other = take(Random.stream("other"), 5);
+		assert.notDeepEqual(gameplay, other, "the streams don't share their numbers");
+
+		const state = Random.state;
+		const next = take(Random.gameplay, 3);
+		Random.setSeed(42);
+		assert.deepEqual(take(Random.gameplay, 5), gameplay);
+		Random.state = state;
+		assert.deepEqual(take(Random.gameplay, 3), next);
+	});
+
+	it("decides with the stream", () => {
+		const options = ["A", "B", "C"];
+		const first = Array.from({length: 20}, () => decide([1, 2, 3], options, new RandomStream(5)));
+		assert.ok(first.every(option => option == first[0]));
+		const picks = new Set(Array.from({length: 100}, () => decide([1, 1, 1], options)));
+		assert.equal(picks.size, 3);
+	});
+
+	describe("a match", () => {
+
+		/** @type {import("../../public/js/engine/run.js").HeadlessLoop} */
+		let loop;
+		before(() => { loop = startGame(); });
+
+		/** The enemies spawned in a match with the seed */
+		function play(seed) {
+			Scene.load(new GameplayScene(null, seed));
+			loop.step(300);
+			return Scene.current.findByType(Enemy).map(enemy => `${enemy.label} ${enemy.position.x} ${enemy.position.y}`);
+		}
+
+		it("is reproducible from it's seed", () => {
+			const first = play(2024);
+			assert.ok(first.length > 0);
+			assert.deepEqual(play(2024), first);
+			assert.notDeepEqual(play(7), first);
+		});
+	});
+});
@@ -0,0 +1,250 @@
+/*jshint esversion: 11 */
+import { describe, it, before, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { Draw } from "../../public/js/engine/run.js";
+import GameObject from "../../public/js/engine/GameObject.js";
+import Scene, { SceneTransition } from "../../public/js/engine/Scene.js";
+import Sprite, { blendModes } from "../../public/js/engine/Sprite.js";
+import { Vector2 } from "../../public/js/engine/Struct.js";
+import * as Debug from "../../public/js/engine/Debug.js";
+import RenderLayer from "../../public/js/engine/RenderLayer.js";
+import Camera from "../../public/js/engine/Camera.js";
+import FakeCanvas from "./helpers/fakeCanvas.mjs";
+import { startGame, loadEmptyScene, spawnWith } from "./helpers/game.mjs";
+
+const sprite = new Sprite("./media/test.png", [8, 8], [0, 0], [0.5, 0.5]);
+
+/**
+ * Initializes a gameObject with the sprite
+ * @param {Number[]} position
+ * @param {Number} layer The update layer
+ */
+function spawn(position, layer = 0) {
+	const object = spawnWith(position, [], layer);
+	object.sprite = sprite;
+	return object;
+}
+
+/**
+ * The x positions the gameObjects were drawn at, in drawing order
+ * @param {FakeCanvas} canvas
+ */
+function drawnAt(canvas) {
+	// Every sprite is translated to it's position, offset and flip
+	return canvas.callsOf("translate").filter((call, index) => index % 3 == 0).map(call => call.args[0]);
+}
+
+describe("rendering", () => {
+
+	/** @type {import("../../public/js/engine/run.js").HeadlessLoop} */
+	let loop;
+	/** @type {FakeCanvas} */
+	let canvas;
+	before(() => { loop = startGame(); });
+	beforeEach(() => {
+		loadEmptyScene(loop);
+		canvas = new FakeCanvas();
+	});
+
+	it("draws the gameObjects with a sprite around their pivot", () => {
+		const object = GameObject.init(new GameObject());
+		object.sprite = sprite;
+		object.position = [20, 30];
+		GameObject.init(new GameObject());
+
+		Draw(canvas, 0);
+		const draws = canvas.callsOf("drawImage");
+		assert.equal(draws.length, 1, "the gameObject without a sprite isn't drawn");
+		assert.deepEqual(draws[0].args.slice(1), [0, 0, 8, 8, 0, 0, 8, 8]);
+		assert.deepEqual(canvas.callsOf("translate")[0].args, [20, 30]);
+		assert.equal(canvas.callsOf("save").length, canvas.callsOf("restore").length);
+	});
+
+	it("skips the hidden and the disabled gameObjects", () => {
+		const hidden = GameObject.init(new GameObject());
+		hidden.sprite = sprite;
+		hidden.hidden = true;
+		const disabled = GameObject.init(new GameObject());
+		disabled.sprite = sprite;
+		disabled.enabled = false;
+
+		Draw(canvas, 0);
+		assert.equal(canvas.callsOf("drawImage").length, 0);
+	});
+
+	it("interpolates the position between the ticks", () => {
+		const object = GameObject.init(new GameObject());
+		object.sprite = sprite;
+		object.update = function() { this.position = this.position.add(new Vector2(10, 0)); };
+		loop.step();
+
+		Draw(canvas, 0.5);
+		assert.deepEqual(canvas.callsOf("translate")[0].args, [5, 0]);
+	});
+
+	describe("render layers", () => {
+
+		/** @type {RenderLayer} */
+		let testLayer;
+		beforeEach(() => {
+			testLayer = new RenderLayer({name: "test"});
+			RenderLayer.layers.push(testLayer);
+		});
+		afterEach(() => {
+			RenderLayer.layers.splice(RenderLayer.layers.indexOf(testLayer), 1);
+			Camera.main = null;
+		});
+
+		it("are drawn in their order instead of the update layers'", () => {
+			spawn([1, 0], 40);
+			spawn([2, 0], 0);
+			spawn([3, 0], 99);
+			spawn([4, 0], 40).renderLayer = "background";
+
+			Draw(canvas, 0);
+			assert.deepEqual(drawnAt(canvas), [2, 4, 1, 3]);
+			assert.equal(RenderLayer.of(spawn([0, 0], 99)).name, "default");
+			assert.throws(() => RenderLayer.get("nothing"), /no render layer named nothing/);
+		});
+
+		it("sort their gameObjects by y or z", () => {
+			testLayer.sort = "y";
+			for (const [x, y] of [[1, 30], [2, 10], [3, 20]])
+				spawn([x, y]).renderLayer = "test";
+			Draw(canvas, 0);
+			assert.deepEqual(drawnAt(canvas), [2, 3, 1]);
+
+			testLayer.sort = "z";
+			canvas = new FakeCanvas();
+			Scene.current.findAll().forEach((object, index) => { object.z = -index; });
+			Draw(canvas, 0);
+			assert.deepEqual(drawnAt(canvas), [3, 2, 1]);
+		});
+
+		it("can be hidden", () => {
+			spawn([1, 0]).renderLayer = "test";
+			spawn([2, 0]);
+			testLayer.visible = false;
+			Draw(canvas, 0);
+			assert.deepEqual(drawnAt(canvas), [2]);
+		});
+
+		it("move with the camera by their parallax", () => {
+			const camera = GameObject.init(new GameObject());
+			camera.addComponent(new Camera(true));
+			camera.position = [100, 40];
+			testLayer.parallax = 0.5;
+			spawn([20, 0]).renderLayer = "test";
+			spawn([20, 0]);
+
+			Draw(canvas, 0);
+			// The camera is 220 and 140 pixels away from the middle of the 640x360 canvas
+			assert.deepEqual(canvas.callsOf("translate").filter((call, index) => index % 3 == 0).map(call => call.args), [[240, 140], [130, 70]]);
+		});
+	});
+
+	describe("sprite effects", () => {
+
+		/**
+		 * Draws the scene with a stand-in document, so the effect frames can be created
+		 * @returns {FakeCanvas[]} The contexts of the created canvases
+		 */
+		function drawWithDocument() {
+			const contexts = [];
+			globalThis.window = {};
+			globalThis.document = {createElement: () => {
+				const context = new FakeCanvas();
+				contexts.push(context);
+				return {width: 0, height: 0, getContext: () => context};
+			}};
+			try {
+				Draw(canvas, 0);
+			} finally {
+				delete globalThis.window;
+				delete globalThis.document;
+			}
+			return contexts;
+		}
+
+		/** A sprite with a loaded image */
+		function loadedSprite() {
+			const loaded = new Sprite("./media/test.png", [8, 8], [0, 0], [0.5, 0.5]);
+			loaded._element = {complete: true, naturalWidth: 16, naturalHeight: 8};
+			return loaded;
+		}
+
+		it("draws with the blend mode", () => {
+			spawn([0, 0]).spriteBlendMode = blendModes.additive;
+			spawn([0, 0]);
+			Draw(canvas, 0);
+			assert.deepEqual(canvas.callsOf("drawImage").map(call => call.state.globalCompositeOperation), ["lighter", "source-over"]);
+			assert.equal(canvas.globalCompositeOperation, "source-over", "the canvas state is restored");
+		});
+
+		it("tints the frame in a cached offscreen canvas", () => {
+			const object = spawn([0, 0]);
+			object.sprite = loadedSprite();
+			object.spriteRect = object.sprite.getSpriteRect(1, 0);
+			object.spriteTint = "#ff0000";
+			const [context] = drawWithDocument();
+			assert.deepEqual(context.callsOf("fillRect").map(call => call.state.globalCompositeOperation), ["multiply"]);
+			assert.deepEqual(context.callsOf("drawImage")[0].args.slice(1), [8, 0, 8, 8, 0, 0, 8, 8]);
+			const draw = canvas.callsOf("drawImage")[0];
+			assert.notEqual(draw.args[0], object.sprite.element);
+			assert.deepEqual(draw.args.slice(1, 5), [0, 0, 8, 8]);
+
+			canvas = new FakeCanvas();
+			assert.equal(drawWithDocument().length, 0, "the frame is reused");
+			assert.equal(canvas.callsOf("drawImage")[0].args[0], draw.args[0]);
+		});
+
+		it("flashes for a few ticks", () => {
+			const object = spawn([0, 0]);
+			object.sprite = loadedSprite();
+			object.spriteTint = "#ff0000";
+			loop.step();
+			object.flash("white", 3);
+			const [context] = drawWithDocument();
+			assert.equal(context.callsOf("fillRect")[0].state.fillStyle, "white", "the flash replaces the tint");
+			assert.equal(context.callsOf("fillRect")[0].state.globalCompositeOperation, "source-in");
+			loop.step(3);
+			assert.equal(object.spriteFlash, null);
+		});
+
+		it("draws the outline around the sprite", () => {
+			const object = spawn([0, 0]);
+			object.sprite = loadedSprite();
+			object.spriteOutline = "black";
+			drawWithDocument();
+			const draws = canvas.callsOf("drawImage");
+			assert.equal(draws.length, 5);
+			assert.deepEqual(draws.slice(0, 4).map(call => call.args.slice(5, 7)), [[-1, 0], [1, 0], [0, -1], [0, 1]]);
+			assert.equal(draws[4].args[0], object.sprite.element);
+		});
+
+		it("draws the sprite as it is while the effect frames can't be created", () => {
+			const object = spawn([0, 0]);
+			object.spriteTint = "#ff0000";
+			object.spriteOutline = "black";
+			Draw(canvas, 0);
+			assert.equal(canvas.callsOf("drawImage").length, 1);
+		});
+	});
+
+	it("draws the scene transitions", () => {
+		const transition = new SceneTransition(4, "white");
+		Scene.load(new Scene(), transition);
+		loop.step(2);
+
+		Scene.drawTransition(canvas);
+		assert.equal(canvas.callsOf("fillRect").length, 1);
+		assert.equal(canvas.fillStyle, "black", "the canvas state is restored");
+		loop.step(2);
+	});
+
+	it("draws the debug stats", () => {
+		Debug.setStat("Test", 42);
+		Debug.drawStats(canvas);
+		assert.ok(canvas.callsOf("fillText").some(call => call.args[0] == "Test: 42"));
+	});
+});
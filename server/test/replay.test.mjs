@@ -0,0 +1,135 @@
+/*jshint esversion: 11 */
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import Scene from "../../public/js/engine/Scene.js";
+import Time from "../../public/js/engine/Time.js";
+import { ReplayPlayer } from "../../public/js/engine/Replay.js";
+import { VirtualController, OnNewControllerListener, OnControllerRemoved } from "../../public/js/engine/Controller.js";
+import Player from "../../public/js/Player.js";
+import Enemy from "../../public/js/Enemy.js";
+import Missile from "../../public/js/Missile.js";
+import { session, SpaceScene, GameplayScene, ReplayScene } from "../../public/js/Scenes.js";
+import { startGame } from "./helpers/game.mjs";
+
+/** The gameplay relevant state of the current scene */
+function snapshot() {
+	return Scene.current.findAll(object => object instanceof Player || object instanceof Enemy || object instanceof Missile)
+		.map(object => `${object.constructor.name} ${object.label} ${object.position.x} ${object.position.y} ${object.health}`);
+}
+
+describe("Replay", () => {
+
+	/** @type {import("../../public/js/engine/run.js").HeadlessLoop} */
+	let loop;
+	/** @type {import("../../public/js/engine/Replay.js").Replay} */
+	let replay;
+	/** The snapshots of the recorded match by their ticks */
+	const expected = {};
+
+	/** Registers the controllers the same way the game does */
+	function onNewController(input, id) {
+		session.controllers[id] = {input, color: null};
+		OnControllerRemoved(id, () => {
+			delete session.controllers[id];
+			if (Scene.current instanceof SpaceScene)
+				Scene.current.removePlayer(id);
+		});
+		if (Scene.current instanceof SpaceScene)
+			Scene.current.addPlayer(id);
+	}
+
+	before(() => {
+		loop = startGame();
+		OnNewControllerListener(onNewController);
+		const first = new VirtualController();
+		Scene.load(new GameplayScene(null, 4321));
+		loop.step();
+
+		first.press("A");
+		first.setAxis("Horizontal", 1);
+		loop.step(60);
+		first.setAxis("Horizontal", -0.5);
+		first.setAxis("Vertical", 1);
+		loop.step(40);
+		// A player joining in the middle of the match
+		const second = new VirtualController();
+		second.press("A");
+		loop.step(49);
+		expected[150] = snapshot();
+		first.release("A");
+		second.setAxis("Horizontal", -1);
+		loop.step(100);
+		first.press("A");
+		second.release("A");
+		loop.step(100);
+		expected[350] = snapshot();
+
+		replay = JSON.parse(JSON.stringify(Scene.current.recorder.replay));
+		first.remove();
+		second.remove();
+	});
+
+	after(() => {
+		if (ReplayPlayer.current != null)
+			ReplayPlayer.current.stop();
+	});
+
+	it("records the inputs of the match", () => {
+		assert.equal(replay.length, 350);
+		assert.equal(replay.controllers.length, 2);
+		assert.equal(replay.controllers[0].joined, null);
+		assert.equal(replay.controllers[1].joined, 101);
+		assert.ok(replay.controllers.every(controller => controller.data.color != null));
+		assert.ok(replay.events.some(event => event.controller == 1 && event.key == "Horizontal" && event.value == -1));
+	});
+
+	it("plays back the same match and pauses at the end", () => {
+		const player = new ReplayPlayer(replay, (player) => new ReplayScene(player));
+		player.play();
+		loop.step(400);
+		assert.ok(Scene.current instanceof ReplayScene);
+		assert.ok(player.isFinished && player.isPaused);
+		assert.equal(player.tick, 350);
+		assert.equal(Object.keys(Scene.current.players).length, 2);
+		assert.deepEqual(snapshot(), expected[350]);
+	});
+
+	it("seeks backwards and forwards", () => {
+		const player = ReplayPlayer.current;
+		player.seek(150);
+		loop.step(10);
+		assert.equal(player.tick, 150);
+		assert.ok(player.isPaused);
+		assert.deepEqual(snapshot(), expected[150]);
+
+		player.seek(350);
+		loop.step(10);
+		assert.equal(player.tick, 350);
+		assert.deepEqual(snapshot(), expected[350]);
+	});
+
+	it("fast-forwards without running past the end", () => {
+		const player = ReplayPlayer.current;
+		player.speed = 3;
+		player.play();
+		loop.step(2);
+		player.pause();
+		const tick = player.tick;
+		loop.step(10);
+		assert.equal(player.tick, tick, "paused");
+		player.resume();
+		loop.step(200);
+		assert.equal(player.tick, 350);
+		assert.deepEqual(snapshot(), expected[350]);
+	});
+
+	it("removes it's controllers when it's stopped", () => {
+		const player = ReplayPlayer.current;
+		const count = Object.keys(session.controllers).length;
+		player.stop();
+		assert.equal(Object.keys(session.controllers).length, count - 2);
+		assert.equal(ReplayPlayer.current, null);
+		assert.equal(Time.paused, false);
+		assert.equal(Time.scale, 1);
+	});
+});
@@ -0,0 +1,104 @@
+/*jshint esversion: 11 */
+import { describe, it, before, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import GameObject from "../../public/js/engine/GameObject.js";
+import BoxCollider from "../../public/js/engine/BoxCollider.js";
+import CircleCollider from "../../public/js/engine/CircleCollider.js";
+import Rigidbody from "../../public/js/engine/Rigidbody.js";
+import Serializer from "../../public/js/engine/Serializer.js";
+import { penetration } from "../../public/js/engine/Shapes.js";
+import { Vector2, Rect } from "../../public/js/engine/Struct.js";
+import { colliderTags } from "../../public/js/Config.js";
+import { startGame, loadEmptyScene, spawnWith, assertNear } from "./helpers/game.mjs";
+
+describe("Rigidbody", () => {
+
+	/** @type {import("../../public/js/engine/run.js").HeadlessLoop} */
+	let loop;
+	/** @type {import("../../public/js/engine/Scene.js").default} */
+	let scene;
+	before(() => { loop = startGame(); });
+	beforeEach(() => { scene = loadEmptyScene(loop); });
+
+	it("moves by it's velocity, changed by the acceleration and the drag", () => {
+		const body = new Rigidbody({velocity: [2, 0], acceleration: [0, 1]});
+		const object = spawnWith([0, 0], body);
+		loop.step();
+		assert.deepEqual(object.position, new Vector2(2, 1));
+		body.acceleration = Vector2.zero;
+		body.drag = 0.5;
+		loop.step();
+		assert.deepEqual(body.velocity, new Vector2(1, 0.5));
+		body.addImpulse([4, 0]);
+		assert.deepEqual(body.velocity, new Vector2(5, 0.5), "the impulse is divided by the mass");
+	});
+
+	it("slides along the wall it runs into", () => {
+		spawnWith([0, 20], new BoxCollider(colliderTags.enemy, [100, 10]));
+		const body = new Rigidbody({velocity: [1, 4]});
+		const object = spawnWith([0, 0], [new BoxCollider(colliderTags.player, [10, 10]), body]);
+		loop.step(5);
+		assertNear(object.position.y, 10);
+		assert.equal(object.position.x, 5, "it still moves along the wall");
+		assert.deepEqual(body.velocity, new Vector2(1, 0));
+	});
+
+	it("bounces off with the restitution", () => {
+		spawnWith([0, 20], new CircleCollider(colliderTags.enemy, 5));
+		const body = new Rigidbody({velocity: [0, 4], restitution: 0.5});
+		const object = spawnWith([0, 0], [new CircleCollider(colliderTags.player, 5), body]);
+		loop.step(3);
+		assertNear(object.position.y, 10);
+		assert.deepEqual(body.velocity, new Vector2(0, -2));
+	});
+
+	it("pushes the other dynamic bodies by their masses", () => {
+		const heavy = new Rigidbody({mass: 3, restitution: 1});
+		spawnWith([12, 0], [new CircleCollider(colliderTags.enemy, 5), heavy]);
+		const body = new Rigidbody({velocity: [4, 0], restitution: 1});
+		spawnWith([0, 0], [new CircleCollider(colliderTags.player, 5), body]);
+		loop.step();
+		// The momentum is kept
+		assertNear(body.velocity.x + heavy.velocity.x * 3, 4);
+		assertNear(body.velocity.x, -2);
+		assertNear(heavy.velocity.x, 2);
+	});
+
+	it("doesn't push or bounce the kinematic bodies", () => {
+		const wall = spawnWith([0, 20], [new BoxCollider(colliderTags.enemy, [100, 10]), new Rigidbody({isKinematic: true})]);
+		const body = new Rigidbody({velocity: [0, 4], isKinematic: true});
+		const object = spawnWith([0, 0], [new BoxCollider(colliderTags.player, [10, 10]), body]);
+		loop.step(5);
+		assert.ok(object.position.y < 10, "the move is undone like without a rigidbody");
+		assert.deepEqual(body.velocity, new Vector2(0, 4));
+		assert.deepEqual(wall.position, new Vector2(0, 20));
+	});
+
+	it("triggers don't block it", () => {
+		let entered = 0;
+		spawnWith([0, 20], new BoxCollider(colliderTags.enemy, [100, 10], [0, 0], true));
+		const object = spawnWith([0, 0], [new BoxCollider(colliderTags.player, [10, 10]), new Rigidbody({velocity: [0, 4]})]);
+		object.onCollisionEnter = () => entered++;
+		loop.step(5);
+		assert.equal(object.position.y, 20);
+		assert.equal(entered, 1);
+	});
+
+	it("finds the shortest way out of the shapes", () => {
+		const rect = {type: "rect", rect: new Rect(0, 0, 10, 10)};
+		const contact = penetration({type: "circle", center: new Vector2(12, 5), radius: 4}, rect);
+		assert.ok(contact.normal.equals(new Vector2(1, 0)));
+		assertNear(contact.depth, 2);
+		assert.equal(penetration({type: "circle", center: new Vector2(20, 5), radius: 4}, rect), null);
+	});
+
+	it("is serialized with the gameObject", () => {
+		spawnWith([0, 0], new Rigidbody({velocity: [1, 2], mass: 2, restitution: 0.5}));
+		const data = Serializer.serialize(scene.gameObjects);
+		loadEmptyScene(loop);
+		const [object] = Serializer.deserialize(data);
+		assert.deepEqual(object.rigidbody.velocity, new Vector2(1, 2));
+		assert.equal(object.rigidbody.mass, 2);
+		assert.equal(object.rigidbody.restitution, 0.5);
+	});
+});
@@ -0,0 +1,118 @@
+/*jshint esversion: 11 */
+import { describe, it, before, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import GameObject from "../../public/js/engine/GameObject.js";
+import Serializer from "../../public/js/engine/Serializer.js";
+import BoxCollider from "../../public/js/engine/BoxCollider.js";
+import CircleCollider from "../../public/js/engine/CircleCollider.js";
+import { sprites } from "../../public/js/Assets.js";
+import Enemy from "../../public/js/Enemy.js";
+import { startGame, loadEmptyScene } from "./helpers/game.mjs";
+
+class Crate extends GameObject {
+	constructor() {
+		super();
+		this.weight = 1;
+		/** @type {GameObject} */
+		this.target = null;
+		this.onOpen = () => {};
+	}
+	static get serializedFields() { return [...super.serializedFields, "weight", "target", "onOpen"]; }
+}
+Serializer.register(Crate);
+
+/** Class that is not registered */
+class Decoration extends GameObject {}
+
+/**
+ * Serializes the layers through JSON, then loads them into a new scene
+ * @param {GameObject[][]} layers
+ */
+function roundTrip(loop, layers) {
+	const json = JSON.stringify(Serializer.serialize(layers));
+	loadEmptyScene(loop);
+	return Serializer.deserialize(JSON.parse(json));
+}
+
+describe("Serializer", () => {
+
+	/** @type {import("../../public/js/engine/run.js").HeadlessLoop} */
+	let loop;
+	/** @type {import("../../public/js/engine/Scene.js").default} */
+	let scene;
+	before(() => { loop = startGame(); });
+	beforeEach(() => { scene = loadEmptyScene(loop); });
+
+	it("round-trips the serialized fields", () => {
+		const crate = GameObject.init(new Crate(), 3);
+		crate.localPosition = [10, 20];
+		crate.localRotation = 1.5;
+		crate.weight = 42;
+		crate.sprite = sprites.missile;
+		crate.spriteRect = sprites.missile.getSpriteFromLabel("BLUE");
+
+		const [loaded] = roundTrip(loop, scene.gameObjects);
+		assert.ok(loaded instanceof Crate);
+		assert.notEqual(loaded, crate);
+		assert.ok(loaded.localPosition.equals([10, 20]));
+		assert.equal(loaded.localRotation, 1.5);
+		assert.equal(loaded.weight, 42);
+		assert.equal(loaded.sprite, sprites.missile);
+		assert.deepEqual(loaded.spriteRect, crate.spriteRect);
+		assert.equal(loaded.updateLayer, 3);
+		assert.ok(loaded.scene.gameObjects[3].includes(loaded));
+	});
+
+	it("restores the parents and the references", () => {
+		const parent = GameObject.init(new Crate());
+		const child = GameObject.init(new Crate(), 2);
+		child.parent = parent;
+		child.localPosition = [5, 0];
+		parent.localPosition = [100, 0];
+		parent.target = child;
+
+		const [loadedParent, loadedChild] = roundTrip(loop, scene.gameObjects);
+		assert.equal(loadedChild.parent, loadedParent);
+		assert.deepEqual(loadedParent.children, [loadedChild]);
+		assert.equal(loadedParent.target, loadedChild);
+		assert.ok(loadedChild.position.equals([105, 0]));
+	});
+
+	it("skips the unregistered types and the functions", () => {
+		const crate = GameObject.init(new Crate());
+		GameObject.init(new Decoration());
+
+		const data = Serializer.serialize(scene.gameObjects);
+		assert.equal(data.objects.length, 1);
+		assert.ok(!("onOpen" in data.objects[0].fields));
+		const [loaded] = Serializer.deserialize(data);
+		assert.equal(typeof loaded.onOpen, "function", "the constructor's value is kept");
+	});
+
+	it("adds the components that the constructor doesn't create", () => {
+		const crate = GameObject.init(new Crate());
+		crate.addComponent(new BoxCollider("default", [4, 6], [1, 0], true));
+
+		const [loaded] = roundTrip(loop, scene.gameObjects);
+		const collider = loaded.getComponent(BoxCollider);
+		assert.ok(collider != null);
+		assert.ok(collider.size.equals([4, 6]));
+		assert.ok(collider.offset.equals([1, 0]));
+		assert.equal(collider.isTrigger, true);
+	});
+
+	it("restores the components added by the prefab only once", () => {
+		const enemy = GameObject.instantiate("enemy_basic", [50, 60]);
+		enemy.health = 5;
+
+		const [loaded] = roundTrip(loop, scene.gameObjects);
+		assert.ok(loaded instanceof Enemy);
+		assert.equal(loaded.health, 5);
+		assert.ok(loaded.position.equals([50, 60]));
+		assert.equal(loaded.components.filter(component => component instanceof CircleCollider).length, 1);
+	});
+
+	it("throws for the unknown types", () => {
+		assert.throws(() => Serializer.deserialize({version: 1, objects: [{type: "Unknown", fields: {}, components: []}]}));
+	});
+});
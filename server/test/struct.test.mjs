@@ -0,0 +1,95 @@
+/*jshint esversion: 11 */
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { Vector2, Rect } from "../../public/js/engine/Struct.js";
+
+describe("Vector2", () => {
+
+	it("can be created from numbers, arrays and objects", () => {
+		assert.deepEqual(new Vector2(1, 2), new Vector2([1, 2]));
+		assert.deepEqual(new Vector2(1, 2), new Vector2({x: 1, y: 2}));
+	});
+
+	it("returns new vectors from the arithmetic", () => {
+		const a = new Vector2(1, 2);
+		const b = new Vector2(3, 5);
+		assert.ok(a.add(b).equals([4, 7]));
+		assert.ok(b.substract(a).equals([2, 3]));
+		assert.ok(a.multiply(3).equals([3, 6]));
+		assert.ok(b.divide(2).equals([1.5, 2.5]));
+		assert.ok(a.negate().equals([-1, -2]));
+		assert.ok(a.scale([2, 3]).equals([2, 6]));
+		assert.ok(a.equals([1, 2]), "the original vector isn't changed");
+	});
+
+	it("calculates the magnitude and the direction", () => {
+		const vector = new Vector2(3, 4);
+		assert.equal(vector.magnitude, 5);
+		assert.equal(vector.sqrMagnitude, 25);
+		assert.ok(vector.normalized.equals([0.6, 0.8]));
+		assert.ok(Vector2.zero.normalized.equals(Vector2.zero));
+		assert.equal(Vector2.dot(new Vector2(1, 2), new Vector2(3, 4)), 11);
+	});
+
+	it("rotates around the origin", () => {
+		const rotated = Vector2.right.rotate(Math.PI / 2);
+		assert.ok(Math.abs(rotated.x) < 1e-9);
+		assert.ok(Math.abs(rotated.y - 1) < 1e-9);
+	});
+
+	it("rounds and floors the components", () => {
+		assert.ok(new Vector2(1.5, -1.5).floor().equals([1, -2]));
+		assert.ok(new Vector2(1.4, 2.6).round().equals([1, 3]));
+	});
+
+	it("moves towards the target no farther than maxDelta", () => {
+		assert.ok(Vector2.moveTowards(Vector2.zero, new Vector2(10, 0), 3).equals([3, 0]));
+		assert.ok(Vector2.moveTowards(Vector2.zero, new Vector2(1, 0), 3).equals([1, 0]));
+	});
+
+	it("takes the minimum and maximum of the components", () => {
+		const a = new Vector2(1, 5);
+		const b = new Vector2(3, 2);
+		assert.ok(Vector2.min(a, b).equals([1, 2]));
+		assert.ok(Vector2.max(a, b).equals([3, 5]));
+	});
+});
+
+describe("Rect", () => {
+
+	it("exposes it's edges and corners", () => {
+		const rect = new Rect(1, 2, 3, 4);
+		assert.equal(rect.minX, 1);
+		assert.equal(rect.minY, 2);
+		assert.equal(rect.maxX, 4);
+		assert.equal(rect.maxY, 6);
+		assert.ok(rect.bottomRight.equals([4, 6]));
+		assert.ok(rect.center.equals([2.5, 4]));
+	});
+
+	it("can be created from two positions", () => {
+		assert.ok(Rect.initFromPositions(5, 6, 1, 2).equals(new Rect(1, 2, 4, 4)));
+	});
+
+	it("checks containment", () => {
+		const rect = new Rect(0, 0, 10, 10);
+		assert.ok(rect.contains(new Rect(2, 2, 5, 5)));
+		assert.ok(rect.contains(new Rect(0, 0, 10, 10)));
+		assert.ok(!rect.contains(new Rect(8, 8, 5, 5)));
+		assert.ok(!rect.contains(new Rect(-1, 0, 2, 2)));
+	});
+
+	it("checks intersection, including the touching edges", () => {
+		const rect = new Rect(0, 0, 10, 10);
+		assert.ok(rect.intersects(new Rect(5, 5, 10, 10)));
+		assert.ok(rect.intersects(new Rect(10, 0, 5, 5)));
+		assert.ok(!rect.intersects(new Rect(11, 0, 5, 5)));
+	});
+
+	it("multiplies the position and/or the size", () => {
+		const rect = new Rect(1, 2, 3, 4);
+		assert.ok(rect.multiply(2, Rect.MULTIPLY_TYPE.BOTH).equals(new Rect(2, 4, 6, 8)));
+		assert.ok(rect.multiply(2, Rect.MULTIPLY_TYPE.POSITION).equals(new Rect(2, 4, 3, 4)));
+		assert.ok(rect.multiply(2, Rect.MULTIPLY_TYPE.SIZE).equals(new Rect(1, 2, 6, 8)));
+	});
+});
@@ -0,0 +1,94 @@
+/*jshint esversion: 11 */
+import { describe, it, before, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { Draw } from "../../public/js/engine/run.js";
+import GameObject from "../../public/js/engine/GameObject.js";
+import Sprite from "../../public/js/engine/Sprite.js";
+import Text from "../../public/js/engine/Text.js";
+import { BitmapFont, CanvasFont } from "../../public/js/engine/Font.js";
+import { Vector2 } from "../../public/js/engine/Struct.js";
+import FakeCanvas from "./helpers/fakeCanvas.mjs";
+import { startGame, loadEmptyScene, spawnWith } from "./helpers/game.mjs";
+
+// 3x5 glyphs in two rows
+const font = new BitmapFont(new Sprite("./media/font.png", [3, 5], [0, 0], [0, 0]), ["0123", "ABC"], {widths: {"1": 1}});
+
+describe("Text", () => {
+
+	/** @type {import("../../public/js/engine/run.js").HeadlessLoop} */
+	let loop;
+	/** @type {FakeCanvas} */
+	let canvas;
+	before(() => { loop = startGame(); });
+	beforeEach(() => {
+		loadEmptyScene(loop);
+		canvas = new FakeCanvas();
+	});
+
+	it("measures bitmap text with the spacing and the narrow glyphs", () => {
+		assert.equal(font.measure("0"), 3);
+		assert.equal(font.measure("00"), 7);
+		assert.equal(font.measure("010"), 9);
+		assert.equal(font.measure(""), 0);
+	});
+
+	it("draws the glyphs of the bitmap font from their tiles", () => {
+		spawnWith([10, 20], new Text("2b 1", font));
+		loop.step();
+		Draw(canvas, 0);
+		const draws = canvas.callsOf("drawImage").map(call => call.args.slice(1));
+		assert.deepEqual(draws, [
+			[6, 0, 3, 5, 0, 0, 3, 5],
+			// The lowercase letter falls back to the uppercase one
+			[3, 5, 3, 5, 4, 0, 3, 5],
+			// The space only moves the next glyph
+			[3, 0, 1, 5, 12, 0, 1, 5],
+		]);
+		assert.deepEqual(canvas.callsOf("translate")[0].args, [10, 20]);
+	});
+
+	it("aligns the lines around the gameObject's position", () => {
+		spawnWith([0, 0], new Text("00\n0", font, {align: "right", verticalAlign: "bottom"}));
+		loop.step();
+		Draw(canvas, 0);
+		const positions = canvas.callsOf("drawImage").map(call => call.args.slice(5, 7));
+		assert.deepEqual(positions, [[-7, -12], [-3, -12], [-3, -6]]);
+	});
+
+	it("wraps the lines longer than the maxWidth between the words", () => {
+		const text = new Text("00 0 0000 0\nA", font, {maxWidth: 16});
+		assert.deepEqual(text.getLines(), ["00 0", "0000", "0", "A"]);
+		const size = text.measure();
+		assert.deepEqual([size.x, size.y], [15, 24]);
+	});
+
+	it("rounds the scale to a whole number with pixel perfect positions", () => {
+		spawnWith([0, 0], new Text("0", font, {scale: 2.4}));
+		loop.step();
+		Draw(canvas, 0);
+		assert.deepEqual(canvas.callsOf("scale").map(call => call.args), [[2, 2]]);
+	});
+
+	it("measures and wraps canvas font text with the canvas it's given", () => {
+		const text = new Text("ab cd", new CanvasFont("8px monospace", 10), {maxWidth: 10});
+		assert.deepEqual(text.getLines(canvas), ["ab", "cd"]);
+		assert.deepEqual(text.measure(canvas), new Vector2(8, 20));
+		assert.throws(() => text.measure(), /without a canvas when running headless/, "there's no offscreen canvas to measure with");
+	});
+
+	it("fades with the gameObject and draws canvas fonts with fillText", () => {
+		const object = spawnWith([0, 0], new Text("Hi", new CanvasFont("8px monospace", 10), {align: "center", color: "red"}));
+		object.spriteAlpha = 0.5;
+		loop.step();
+		let alpha = null;
+		canvas.fillText = function(...args) {
+			alpha = this.globalAlpha;
+			this.calls.push({name: "fillText", args, fillStyle: this.fillStyle});
+		};
+		Draw(canvas, 0);
+		const [call] = canvas.callsOf("fillText");
+		assert.deepEqual(call.args, ["Hi", -4, 0]);
+		assert.equal(call.fillStyle, "red");
+		assert.equal(alpha, 0.5);
+	});
+});
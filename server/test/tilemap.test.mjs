@@ -0,0 +1,154 @@
+/*jshint esversion: 11 */
+import { describe, it, before, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { Draw } from "../../public/js/engine/run.js";
+import GameObject from "../../public/js/engine/GameObject.js";
+import BoxCollider from "../../public/js/engine/BoxCollider.js";
+import Tilemap from "../../public/js/engine/Tilemap.js";
+import Sprite from "../../public/js/engine/Sprite.js";
+import { Vector2 } from "../../public/js/engine/Struct.js";
+import { sprites } from "../../public/js/Assets.js";
+import { colliderTags } from "../../public/js/Config.js";
+import FakeCanvas from "./helpers/fakeCanvas.mjs";
+import { startGame, loadEmptyScene } from "./helpers/game.mjs";
+
+const tiles = new Sprite("./media/test.png", [8, 8], [0, 0], [0, 0]);
+
+/**
+ * Initializes a gameObject with the tilemap
+ * @param {Object[]} layers
+ * @param {Object} options
+ */
+function spawn(layers, options = {}) {
+	const object = new GameObject();
+	const tilemap = object.addComponent(new Tilemap(tiles, layers, Object.assign({columns: 2}, options)));
+	GameObject.init(object, 0);
+	return tilemap;
+}
+
+/**
+ * The source and the target rects of the drawn tiles
+ * @param {FakeCanvas} canvas
+ */
+function drawnTiles(canvas) {
+	return canvas.callsOf("drawImage").map(call => call.args.slice(1));
+}
+
+describe("Tilemap", () => {
+
+	/** @type {import("../../public/js/engine/run.js").HeadlessLoop} */
+	let loop;
+	/** @type {FakeCanvas} */
+	let canvas;
+	before(() => { loop = startGame(); });
+	beforeEach(() => {
+		loadEmptyScene(loop);
+		canvas = new FakeCanvas();
+	});
+
+	it("draws the tiles of the visible layers from the sheet", () => {
+		const tilemap = spawn([
+			{name: "ground", tiles: [[1, 0, 2], [3, 4]]},
+			{name: "hidden", tiles: [[1]], visible: false},
+		]);
+		assert.deepEqual(tilemap.size, new Vector2(24, 16));
+
+		Draw(canvas, 1);
+		assert.deepEqual(drawnTiles(canvas), [
+			[0, 0, 8, 8, 0, 0, 8, 8],
+			[8, 0, 8, 8, 16, 0, 8, 8],
+			[0, 8, 8, 8, 0, 8, 8, 8],
+			[8, 8, 8, 8, 8, 8, 8, 8],
+		]);
+	});
+
+	it("only draws the tiles on the screen", () => {
+		const tilemap = spawn([{name: "ground", tiles: [new Array(100).fill(1)]}]);
+		tilemap.gameObject.position = [-4, 0];
+		loop.step();
+
+		Draw(canvas, 1);
+		// The 640 pixels wide screen shows the halves of the first and the last tile
+		const drawn = drawnTiles(canvas);
+		assert.equal(drawn.length, 81);
+		assert.equal(drawn[0][4], 0);
+		assert.equal(drawn[80][4], 640);
+	});
+
+	it("scrolls and repeats the looped tiles", () => {
+		const tilemap = spawn([{name: "ground", tiles: [[1], [2]]}], {scroll: [0, 1], loop: true});
+		loop.step(20);
+		assert.deepEqual(tilemap.offset, new Vector2(0, 4), "the offset wraps around the height of the map");
+		assert.deepEqual(tilemap.cellAt([0, 4]), new Vector2(0, 0));
+		assert.deepEqual(tilemap.cellAt([0, 2]), new Vector2(0, 1), "the cells above the map are looped");
+
+		Draw(canvas, 1);
+		const drawn = drawnTiles(canvas);
+		assert.equal(drawn.length, 46, "the screen is filled with the repeated rows");
+		assert.deepEqual(drawn[0], [8, 0, 8, 8, 0, -4, 8, 8]);
+	});
+
+	it("blocks the colliders with it's solid tiles", () => {
+		const tilemap = spawn([
+			{name: "walls", solid: true, tiles: [[1, 1, 0, 1]]},
+			{name: "decoration", tiles: [[2, 2, 2, 2]]},
+		]);
+		const colliders = tilemap.gameObject.children;
+		assert.equal(colliders.length, 2, "the neighbouring tiles share a collider");
+		assert.deepEqual(colliders[0].collider.size, new Vector2(16, 8));
+		assert.equal(colliders[0].collider.tag, colliderTags.background);
+
+		const ship = GameObject.init(new GameObject());
+		ship.addComponent(new BoxCollider(colliderTags.player, [4, 4]));
+		ship.position = [4, 20];
+		ship.position = [4, 6];
+		assert.deepEqual(ship.position, new Vector2(4, 20), "the ship can't move into the wall");
+		ship.position = [20, 6];
+		assert.deepEqual(ship.position, new Vector2(20, 6), "the empty tile has no collider");
+	});
+
+	it("moves the colliders with the scroll", () => {
+		const tilemap = spawn([{name: "walls", solid: true, tiles: [[0], [1]]}], {scroll: [0, 2], loop: true});
+		const [collider, copy] = tilemap.gameObject.children;
+		assert.deepEqual(collider.position, new Vector2(4, 12));
+		assert.deepEqual(copy.position, new Vector2(4, -4));
+		loop.step(2);
+		assert.deepEqual(collider.position, new Vector2(4, 16));
+		assert.deepEqual(copy.position, new Vector2(4, 0), "the looped tile wraps above the map");
+	});
+
+	it("keeps the colliders of a run crossing the end of the looped map on both sides", () => {
+		spawn([{name: "walls", solid: true, tiles: [[1, 1, 1, 0]]}], {scroll: [4, 0], loop: true});
+		loop.step(5);
+		const ship = GameObject.init(new GameObject());
+		ship.addComponent(new BoxCollider(colliderTags.player, [2, 2]));
+		for (const x of [2, 30]) {
+			ship.position = [x, 20];
+			ship.position = [x, 4];
+			assert.deepEqual(ship.position, new Vector2(x, 20), `the wall at ${x} blocks the ship`);
+		}
+		ship.position = [16, 20];
+		ship.position = [16, 4];
+		assert.deepEqual(ship.position, new Vector2(16, 4), "the empty tile has no collider");
+	});
+
+	it("rebuilds the colliders when a solid tile changes", () => {
+		const tilemap = spawn([{name: "walls", solid: true, tiles: [[1, 0, 1]]}]);
+		assert.equal(tilemap.gameObject.children.length, 2);
+		tilemap.setTile("walls", 1, 0, 1);
+		loop.step();
+		assert.equal(tilemap.gameObject.children.length, 1);
+		assert.equal(tilemap.getTile("walls", 1, 0), 1);
+		assert.equal(tilemap.getTile("walls", 5, 5), 0);
+		assert.throws(() => tilemap.getTile("water", 0, 0));
+	});
+
+	it("creates the tilemaps of the map files", () => {
+		const tilemap = Tilemap.create("space");
+		assert.equal(tilemap.sprite, sprites.tiles);
+		assert.ok(tilemap.loop);
+		tilemap.setTile("nebula", 0, 0, 4);
+		assert.notEqual(Tilemap.create("space").getTile("nebula", 0, 0), 4, "the tiles of the definition aren't changed");
+		assert.throws(() => Tilemap.create("unknown"));
+	});
+});
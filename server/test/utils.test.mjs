@@ -0,0 +1,137 @@
+/*jshint esversion: 11 */
+import { describe, it, before, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import * as Utils from "../../public/js/engine/Utils.js";
+import { Vector2 } from "../../public/js/engine/Struct.js";
+import Time from "../../public/js/engine/Time.js";
+import Random from "../../public/js/engine/Random.js";
+import { startGame } from "./helpers/game.mjs";
+
+describe("decide", () => {
+
+	afterEach(() => mock.restoreAll());
+
+	it("picks the index based on the weights", () => {
+		mock.method(Random.cosmetic, "next", () => 0.1);
+		assert.equal(Utils.decide([1, 1, 2]), 0);
+		mock.method(Random.cosmetic, "next", () => 0.4);
+		assert.equal(Utils.decide([1, 1, 2]), 1);
+		mock.method(Random.cosmetic, "next", () => 0.9);
+		assert.equal(Utils.decide([1, 1, 2]), 2);
+	});
+
+	it("returns the option instead of the index", () => {
+		mock.method(Random.cosmetic, "next", () => 0.9);
+		assert.equal(Utils.decide([1, 1], ["a", "b"]), "b");
+	});
+
+	it("never picks the zero weights", () => {
+		mock.method(Random.cosmetic, "next", () => 0.5);
+		assert.equal(Utils.decide([0, 1, 0]), 1);
+	});
+});
+
+describe("moveTowards", () => {
+
+	it("moves numbers by at most maxDelta", () => {
+		assert.equal(Utils.moveTowards(0, 10, 3), 3);
+		assert.equal(Utils.moveTowards(10, 0, 3), 7);
+		assert.equal(Utils.moveTowards(0, 2, 3), 2);
+	});
+
+	it("moves vectors by at most maxDelta", () => {
+		assert.ok(Utils.moveTowards(Vector2.zero, new Vector2(0, 10), 4).equals([0, 4]));
+	});
+
+	it("throws for unsupported types", () => {
+		assert.throws(() => Utils.moveTowards("a", "b", 1), TypeError);
+	});
+});
+
+describe("modulo", () => {
+
+	it("wraps the negative values into the divisor too", () => {
+		assert.equal(Utils.modulo(7, 5), 2);
+		assert.equal(Utils.modulo(-2, 5), 3);
+		assert.equal(Utils.modulo(-10, 5), 0);
+	});
+});
+
+describe("asFunction", () => {
+
+	it("keeps the functions", () => {
+		const getter = () => 5;
+		assert.equal(Utils.asFunction(getter), getter);
+	});
+
+	it("wraps the values", () => {
+		assert.equal(Utils.asFunction(5)(), 5);
+		assert.equal(Utils.asFunction(0)(), 0);
+	});
+
+	it("falls back to the default value", () => {
+		assert.equal(Utils.asFunction(null, 3)(), 3);
+		assert.equal(Utils.asFunction(undefined, 3)(), 3);
+	});
+});
+
+describe("game timers", () => {
+
+	/** @type {import("../../public/js/engine/run.js").HeadlessLoop} */
+	let loop;
+	before(() => { loop = startGame(); });
+	afterEach(() => { Time.resume(); Time.scale = 1; });
+
+	it("calls the timeout after the delay in ticks", () => {
+		let called = 0;
+		Utils.setGameTimeout(() => called++, 3);
+		loop.step(2);
+		assert.equal(called, 0);
+		loop.step();
+		assert.equal(called, 1);
+		loop.step(5);
+		assert.equal(called, 1, "a timeout is only called once");
+	});
+
+	it("doesn't call the cleared timeout", () => {
+		let called = false;
+		const id = Utils.setGameTimeout(() => called = true, 2);
+		Utils.clearGameTimeout(id);
+		loop.step(5);
+		assert.ok(!called);
+	});
+
+	it("calls the interval repeatedly until it's cleared", () => {
+		let called = 0;
+		const id = Utils.setGameInterval(() => called++, 2);
+		loop.step(6);
+		assert.equal(called, 3);
+		Utils.clearGameInterval(id);
+		loop.step(6);
+		assert.equal(called, 3);
+	});
+
+	it("doesn't advance the timers while the game is paused", () => {
+		let called = false;
+		Utils.setGameTimeout(() => called = true, 1);
+		Time.pause();
+		loop.step(5);
+		assert.ok(!called);
+		Time.step();
+		loop.step();
+		assert.ok(called);
+	});
+
+	it("ends the slow motion after the unscaled ticks, even while paused", () => {
+		Time.slowMotion(0.25, 4);
+		assert.equal(Time.scale, 0.25);
+		Time.pause();
+		loop.step(4);
+		assert.equal(Time.scale, 1);
+
+		Time.slowMotion(0.25, 4);
+		Time.scale = 2;
+		loop.step(4);
+		assert.equal(Time.scale, 2, "setting the scale cancels the slow motion");
+	});
+});